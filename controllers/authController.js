@@ -3,7 +3,6 @@ const { hashPassword, comparePassword, getTokenFromReq } = require("../helpers/a
 const User = require("../models/user");
 const BusinessCard = require("../models/BusinessCard");
 const jwt = require("jsonwebtoken");
-const QRCode = require("qrcode");
 const Stripe = require("stripe");
 const sendEmail = require("../utils/SendEmail");
 
@@ -16,7 +15,9 @@ const {
     contactFormAdminTemplate,
 } = require("../utils/emailTemplates");
 const crypto = require("crypto");
-const uploadToS3 = require("../utils/uploadToS3");
+const { generateAndUploadProfileQr, getProfileQrOptions } = require("../utils/qrCode");
+const { checkSlugClaimable } = require("../utils/profileSlugs");
+const { verifyDigestUnsubscribeToken } = require("../utils/analyticsDigest");
 
 const FRONTEND_PROFILE_DOMAIN =
     process.env.PUBLIC_PROFILE_DOMAIN || "https://www.konarcard.com";
@@ -86,30 +87,6 @@ const buildTrackedProfileUrl = (profileSlug, via = "") => {
     return `${base}?via=${encodeURIComponent(cleanVia)}`;
 };
 
-/**
- * Generate QR -> upload to S3 -> return URL
- * Each BusinessCard has its own QR, keyed by its profile_slug.
- *
- * IMPORTANT:
- * QR codes must point to the tracked QR URL so analytics can record qr_scan.
- */
-const generateAndUploadProfileQr = async (userId, profileSlug) => {
-    const url = buildTrackedProfileUrl(profileSlug, "qr");
-    if (!url) return "";
-
-    const qrBuffer = await QRCode.toBuffer(url, {
-        width: 900,
-        margin: 2,
-        errorCorrectionLevel: "M",
-        color: { dark: "#000000", light: "#ffffff" },
-    });
-
-    const safeSlug = safeProfileSlug(profileSlug) || "profile";
-    const fileKey = `qr-codes/${userId}/${safeSlug}-${Date.now()}.png`;
-    const qrCodeUrl = await uploadToS3(qrBuffer, fileKey);
-    return qrCodeUrl;
-};
-
 // TEST
 const test = (req, res) => res.json("test is working");
 
@@ -140,8 +117,9 @@ const claimLink = async (req, res) => {
             "_id"
         );
         const takenUser = await User.findOne({ username: profileSlug }).select("_id");
+        const claimable = await checkSlugClaimable(profileSlug);
 
-        if (takenCard || takenUser) {
+        if (takenCard || takenUser || !claimable.ok) {
             return res.status(409).json({ error: "Username already taken" });
         }
 
@@ -154,6 +132,7 @@ const claimLink = async (req, res) => {
         let decoded = null;
         try {
             decoded = jwt.verify(token, process.env.JWT_SECRET);
+            if (decoded?.purpose) decoded = null;
         } catch {
             return res.json({ success: true, available: true, username: profileSlug });
         }
@@ -184,7 +163,7 @@ const claimLink = async (req, res) => {
         });
 
         if (target) {
-            const qrUrl = await generateAndUploadProfileQr(user._id, profileSlug);
+            const qrUrl = await generateAndUploadProfileQr(user._id, profileSlug, getProfileQrOptions(target));
             if (qrUrl) {
                 target.qr_code_url = qrUrl;
                 await target.save();
@@ -232,7 +211,8 @@ const registerUser = async (req, res) => {
             "_id"
         );
         const userSlugTaken = await User.findOne({ username: desiredSlug }).select("_id");
-        if (slugTaken || userSlugTaken) {
+        const claimable = await checkSlugClaimable(desiredSlug);
+        if (slugTaken || userSlugTaken || !claimable.ok) {
             return res
                 .status(400)
                 .json({ error: "Username already taken. Please choose another." });
@@ -263,7 +243,7 @@ const registerUser = async (req, res) => {
             template_id: "template-1",
         });
 
-        const qrUrl = await generateAndUploadProfileQr(user._id, desiredSlug);
+        const qrUrl = await generateAndUploadProfileQr(user._id, desiredSlug, getProfileQrOptions(card));
         if (qrUrl) {
             card.qr_code_url = qrUrl;
             await card.save();
@@ -596,6 +576,71 @@ const updateProfile = async (req, res) => {
     }
 };
 
+// EMAIL PREFERENCES (PROTECTED BY requireAuth)
+const EMAIL_PREFERENCE_KEYS = ["weeklyAnalyticsDigest"];
+
+const toEmailPreferences = (user) => {
+    const prefs = user?.emailPreferences || {};
+    return { weeklyAnalyticsDigest: prefs.weeklyAnalyticsDigest !== false };
+};
+
+const getEmailPreferences = async (req, res) => {
+    if (!req.user) return res.status(401).json({ error: "Unauthorized" });
+    return res.json({ data: toEmailPreferences(req.user) });
+};
+
+const updateEmailPreferences = async (req, res) => {
+    try {
+        if (!req.user) return res.status(401).json({ error: "Unauthorized" });
+
+        const body = req.body && typeof req.body === "object" ? req.body : {};
+        const $set = {};
+        for (const key of EMAIL_PREFERENCE_KEYS) {
+            if (body[key] === undefined) continue;
+            if (typeof body[key] !== "boolean") {
+                return res.status(400).json({ error: `${key} must be true or false`, code: "INVALID_PREFERENCE" });
+            }
+            $set[`emailPreferences.${key}`] = body[key];
+        }
+
+        if (!Object.keys($set).length) {
+            return res.status(400).json({ error: "No preferences to update", code: "NO_CHANGES" });
+        }
+
+        const user = await User.findByIdAndUpdate(req.user._id, { $set }, { new: true }).select("emailPreferences");
+        if (!user) return res.status(401).json({ error: "Unauthorized" });
+
+        return res.json({ success: true, data: toEmailPreferences(user) });
+    } catch (err) {
+        console.error("updateEmailPreferences error:", err);
+        return res.status(500).json({ error: "Failed to update email preferences" });
+    }
+};
+
+// Unsubscribe from the weekly digest email (no login)
+// GET only opens the confirmation page in the app: link scanners and mail
+// prefetchers GET every URL in an email. The preference changes on POST,
+// sent by that page or by the mail client (RFC 8058 List-Unsubscribe-Post).
+const unsubscribeFromDigest = async (req, res) => {
+    const token = String(req.query?.token || req.body?.token || "");
+    const userId = verifyDigestUnsubscribeToken(token);
+
+    if (req.method === "GET") {
+        if (!userId) return res.redirect(302, `${FRONTEND_URL}/settings?digest=invalid-link`);
+        return res.redirect(302, `${FRONTEND_URL}/unsubscribe?token=${encodeURIComponent(token)}`);
+    }
+
+    if (!userId) return res.status(400).json({ error: "Invalid or expired link", code: "INVALID_TOKEN" });
+
+    try {
+        await User.updateOne({ _id: userId }, { $set: { "emailPreferences.weeklyAnalyticsDigest": false } });
+        return res.json({ success: true });
+    } catch (err) {
+        console.error("unsubscribeFromDigest error:", err);
+        return res.status(500).json({ error: "Failed to unsubscribe" });
+    }
+};
+
 // DELETE ACCOUNT (PROTECTED BY requireAuth)
 const deleteAccount = async (req, res) => {
     try {
@@ -688,6 +733,9 @@ module.exports = {
     getProfile,
     logoutUser,
     updateProfile,
+    getEmailPreferences,
+    updateEmailPreferences,
+    unsubscribeFromDigest,
     deleteAccount,
     startTrial,
     submitContactForm,
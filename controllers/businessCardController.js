@@ -1,8 +1,50 @@
 // backend/controllers/businessCardController.js
 const BusinessCard = require("../models/BusinessCard");
+const BusinessCardRevision = require("../models/BusinessCardRevision");
+const PhysicalCard = require("../models/PhysicalCard");
+const Organisation = require("../models/Organisation");
+const ProfileReview = require("../models/ProfileReview");
+const ReviewRequest = require("../models/ReviewRequest");
+const CustomDomain = require("../models/CustomDomain");
+const Campaign = require("../models/Campaign");
 const User = require("../models/user");
 const uploadToS3 = require("../utils/uploadToS3");
-const QRCode = require("qrcode");
+const { getClientIp, trackProfileEvent } = require("../utils/trackProfileEvent");
+const {
+  buildVcard,
+  buildVcardFilename,
+  businessCardToContact,
+  loadVcardPhoto,
+} = require("../utils/vcard");
+const {
+  pickProfileContent,
+  diffProfileContent,
+  buildPublishedView,
+  hasUnpublishedChanges,
+} = require("../utils/profileSnapshot");
+const { findEditableProfile, listTeamProfiles } = require("../helpers/profileAccess");
+const { applyLockedBrandFields, getBrandKitProfileValues } = require("../utils/brandKit");
+const {
+  resolveProfileSlug,
+  checkSlugClaimable,
+  recordSlugRename,
+  releaseOwnSlugAlias,
+  reserveSlugsOfDeletedProfile,
+} = require("../utils/profileSlugs");
+const { createRateLimiter } = require("../utils/rateLimit");
+const { assessContactSpam } = require("../utils/spamCheck");
+const { computeReviewStats, buildAggregateRating } = require("../utils/reviewStats");
+const { refreshOgImage } = require("../utils/ogImage");
+const { refreshCampaignQrs } = require("../utils/campaigns");
+const { buildProfileTargetUrl, refreshCustomDomainCache } = require("../utils/customDomains");
+const {
+  QR_FORMATS,
+  generateAndUploadProfileQr,
+  getProfileQrOptions,
+  normalizeQrStyle,
+  renderQrCode,
+  toPlainStyle,
+} = require("../utils/qrCode");
 
 /**
  * ---------------------------------------------------------
@@ -77,12 +119,17 @@ const PAID_MAX_WORKS = 12;
 const PAID_MAX_SERVICES = 12;
 const PAID_MAX_REVIEWS = 12;
 
+// Revision history kept per profile (oldest pruned first)
+const FREE_MAX_REVISIONS = 10;
+const PAID_MAX_REVISIONS = 50;
+
 const getContentLimitsForPlan = (plan) => {
   if (plan === "plus" || plan === "teams") {
     return {
       maxWorks: PAID_MAX_WORKS,
       maxServices: PAID_MAX_SERVICES,
       maxReviews: PAID_MAX_REVIEWS,
+      maxRevisions: PAID_MAX_REVISIONS,
     };
   }
 
@@ -90,6 +137,7 @@ const getContentLimitsForPlan = (plan) => {
     maxWorks: FREE_MAX_WORKS,
     maxServices: FREE_MAX_SERVICES,
     maxReviews: FREE_MAX_REVIEWS,
+    maxRevisions: FREE_MAX_REVISIONS,
   };
 };
 
@@ -100,15 +148,18 @@ const upgradeRequired = (res, payload = {}) => {
   });
 };
 
-const clampPlanContent = ({ plan, works, services, reviews }) => {
+// approvedReviews: visitor reviews already approved on this profile —
+// they share the maxReviews allowance with owner-typed reviews.
+const clampPlanContent = ({ plan, works, services, reviews, approvedReviews = 0 }) => {
   const limits = getContentLimitsForPlan(plan);
 
   const safeArr = (a) => (Array.isArray(a) ? a : []).filter(Boolean);
+  const ownerReviewSlots = Math.max(0, limits.maxReviews - approvedReviews);
 
   return {
     works: safeArr(works).slice(0, limits.maxWorks),
     services: safeArr(services).slice(0, limits.maxServices),
-    reviews: safeArr(reviews).slice(0, limits.maxReviews),
+    reviews: safeArr(reviews).slice(0, ownerReviewSlots),
     limits,
   };
 };
@@ -188,7 +239,7 @@ const hasMeaningfulProfileContent = (cardLike = {}) => {
 /**
  * ---------------------------------------------------------
  * QR helpers
- * Public URL is ALWAYS: /u/:profile_slug
+ * Public URL is /u/:profile_slug, or the profile's verified custom domain
  * ---------------------------------------------------------
  */
 
@@ -201,21 +252,257 @@ const buildPublicProfileUrl = (profileSlug) => {
   return `${FRONTEND_PROFILE_DOMAIN}/u/${s}`;
 };
 
-const generateAndUploadProfileQr = async (userId, profileSlug) => {
-  const url = buildPublicProfileUrl(profileSlug);
-  if (!url) return "";
+// Re-renders the saved QR with the profile's current style and target.
+// Used outside a save too (custom domain verified/removed, style changed).
+const regenerateProfileQr = async (card) => {
+  const qrUrl = await generateAndUploadProfileQr(card.user, card.profile_slug, getProfileQrOptions(card));
+  if (qrUrl) {
+    await BusinessCard.updateOne({ _id: card._id }, { $set: { qr_code_url: qrUrl } });
+  }
+  return qrUrl;
+};
 
-  const qrBuffer = await QRCode.toBuffer(url, {
-    width: 900,
-    margin: 2,
-    errorCorrectionLevel: "M",
-    color: { dark: "#000000", light: "#ffffff" },
+// Share image follows the published view; only re-rendered when its inputs
+// changed. Runs in the background so saves/publishes never wait on S3.
+const refreshOgImageInBackground = (card, context) => {
+  refreshOgImage(card).catch((e) => {
+    console.error(`OG image refresh failed (${context}):`, e?.message || e);
   });
+};
+
+/**
+ * ---------------------------------------------------------
+ * Revision helpers
+ * Every save stores a content snapshot so a bad save can be undone.
+ * ---------------------------------------------------------
+ */
+
+// Concurrent saves can pick the same next number; the unique
+// { business_card, revision } index rejects one and it retries.
+const MAX_REVISION_ATTEMPTS = 5;
+
+const recordRevision = async ({
+  card,
+  reason = "save",
+  previousContent = null,
+  restoredFrom,
+  limits,
+  editedBy = null,
+}) => {
+  const snapshot = pickProfileContent(card);
+
+  let created = null;
+  for (let attempt = 1; !created; attempt += 1) {
+    const last = await BusinessCardRevision.findOne({ business_card: card._id })
+      .sort({ revision: -1 })
+      .select("revision snapshot")
+      .lean();
+
+    const before = previousContent || last?.snapshot || null;
+    const changedFields = before
+      ? diffProfileContent(before, snapshot).map((c) => c.field)
+      : [];
+
+    // Nothing changed since the last snapshot: don't clutter the history
+    if (last && reason === "save" && changedFields.length === 0) return null;
+
+    try {
+      created = await BusinessCardRevision.create({
+        business_card: card._id,
+        user: card.user,
+        profile_slug: card.profile_slug,
+        revision: (last?.revision || 0) + 1,
+        reason,
+        restored_from: restoredFrom,
+        edited_by: editedBy || card.user,
+        changed_fields: changedFields,
+        snapshot,
+      });
+    } catch (err) {
+      if (err?.code !== 11000 || attempt >= MAX_REVISION_ATTEMPTS) throw err;
+    }
+  }
+
+  const maxRevisions = Number(limits?.maxRevisions || FREE_MAX_REVISIONS);
+  const stale = await BusinessCardRevision.find({ business_card: card._id })
+    .sort({ revision: -1 })
+    .skip(maxRevisions)
+    .select("_id")
+    .lean();
+
+  if (stale.length) {
+    await BusinessCardRevision.deleteMany({ _id: { $in: stale.map((r) => r._id) } });
+  }
+
+  return created;
+};
+
+const serializeRevision = (rev) => ({
+  _id: rev._id,
+  revision: rev.revision,
+  reason: rev.reason,
+  restored_from: rev.restored_from ?? null,
+  edited_by: rev.edited_by || null,
+  profile_slug: rev.profile_slug,
+  changed_fields: rev.changed_fields || [],
+  createdAt: rev.createdAt,
+});
+
+/**
+ * ---------------------------------------------------------
+ * Visitor review helpers
+ * Approved ProfileReview docs are merged into the public reviews list
+ * after the owner's own reviews, within the plan's maxReviews.
+ * ---------------------------------------------------------
+ */
+
+const countApprovedReviews = (businessCardId) =>
+  ProfileReview.countDocuments({ business_card: businessCardId, status: "approved" });
+
+const serializeVisitorReview = (r) => ({
+  _id: r._id,
+  name: r.reviewer_name,
+  text: r.text || "",
+  rating: r.rating,
+  source: "visitor",
+  verified: !!r.verified,
+  submitted_at: r.createdAt,
+  reply: r.owner_reply?.text
+    ? { text: r.owner_reply.text, replied_at: r.owner_reply.replied_at }
+    : null,
+});
+
+// Published view + approved visitor reviews + rating summary:
+// the payload every public getter returns
+const buildPublicProfilePayload = async (card) => {
+  const view = buildPublishedView(card);
+
+  const [owner, approved] = await Promise.all([
+    User.findById(card.user).select("plan").lean(),
+    ProfileReview.find({ business_card: card._id, status: "approved" })
+      .sort({ createdAt: -1 })
+      .lean(),
+  ]);
+
+  const { maxReviews } = getContentLimitsForPlan(getPlan(owner));
+  const ownerReviews = Array.isArray(view.reviews) ? view.reviews : [];
+
+  // After a downgrade the combined list is trimmed to the new plan's limit
+  view.reviews = [...ownerReviews, ...approved.map(serializeVisitorReview)].slice(0, maxReviews);
+
+  // Rating summary of the approved visitor reviews shown, plus schema.org
+  // data for JSON-LD. Owner-entered testimonials are listed but never rated:
+  // self-written reviews must not feed the average or AggregateRating.
+  view.review_stats = computeReviewStats(view.reviews.filter((r) => r.source === "visitor"));
+  // Structured data must describe reviews visible on the page
+  view.aggregate_rating =
+    view.show_reviews_section === false ? null : buildAggregateRating(view.review_stats);
+
+  return view;
+};
+
+/**
+ * ---------------------------------------------------------
+ * Brand kit
+ * Locked fields win on every save and restore; a kit change is applied
+ * to every profile of the organisation owner.
+ * ---------------------------------------------------------
+ */
+
+// Forces locked kit values onto a profile update (save / restore).
+// Returns the field names whose submitted value was ignored.
+const enforceBrandKitLocks = async (update, ownerId, plan) => {
+  const org = await Organisation.findOne({ owner: ownerId }).select("brand_kit").lean();
+  const ignored = org ? applyLockedBrandFields(update, org.brand_kit) : [];
+  if (ignored.includes("template_id")) {
+    update.template_id = normalizeTemplateForPlan(plan, update.template_id);
+  }
+  return ignored;
+};
+
+// Kit values as a profile of this plan may use them
+const getBrandValuesForPlan = (kit, plan) => {
+  const values = getBrandKitProfileValues(kit);
+  if (values.template_id) {
+    values.template_id = normalizeTemplateForPlan(plan, values.template_id);
+  }
+  return values;
+};
+
+// QR codes and share images of every profile, one at a time
+const refreshBrandAssetsInBackground = (cards) => {
+  (async () => {
+    for (const card of cards) {
+      try {
+        await regenerateProfileQr(card);
+      } catch (e) {
+        console.error("QR regeneration failed (propagateBrandKit):", e?.message || e);
+      }
+
+      try {
+        await refreshOgImage(card);
+      } catch (e) {
+        console.error("OG image refresh failed (propagateBrandKit):", e?.message || e);
+      }
+    }
+  })();
+};
+
+// Called after an Organisation brand kit changes. Each profile gets a
+// "brand_kit" revision; QR / share images are re-rendered in the background.
+const propagateBrandKit = async (org, { editedBy = null } = {}) => {
+  const result = { matched: 0, modified: 0, assets_refreshing: 0 };
+  if (!org?.owner) return result;
+
+  const owner = await User.findById(org.owner).select("plan").lean();
+  const plan = getPlan(owner);
+  const limits = getContentLimitsForPlan(plan);
+
+  const values = getBrandValuesForPlan(org.brand_kit, plan);
+  if (!Object.keys(values).length) return result;
+
+  const cards = await BusinessCard.find({ user: org.owner });
+  result.matched = cards.length;
+
+  const changed = [];
+  for (const card of cards) {
+    const previousContent = pickProfileContent(card);
+
+    // Same as a save: keep what was there before the first tracked change
+    try {
+      const hasHistory = await BusinessCardRevision.exists({ business_card: card._id });
+      if (!hasHistory) await recordRevision({ card, reason: "baseline", limits });
+    } catch (e) {
+      console.error("Baseline revision failed (propagateBrandKit):", e);
+    }
+
+    card.set(values);
+    // Draft and live version change together: a kit update should not
+    // wait for every profile to be re-published.
+    if (card.published) {
+      const published = { ...card.published, ...values };
+      if (JSON.stringify(published) !== JSON.stringify(card.published)) {
+        card.published = published;
+        card.markModified("published");
+      }
+    }
+    if (!card.isModified()) continue;
+
+    await card.save();
+    result.modified += 1;
+    changed.push(card);
 
-  const safe = safeSlug(profileSlug) || "profile";
-  const fileKey = `qr-codes/${userId}/${safe}-${Date.now()}.png`;
-  const qrCodeUrl = await uploadToS3(qrBuffer, fileKey);
-  return qrCodeUrl;
+    try {
+      await recordRevision({ card, reason: "brand_kit", previousContent, limits, editedBy });
+    } catch (e) {
+      console.error("Revision snapshot failed (propagateBrandKit):", e);
+    }
+  }
+
+  result.assets_refreshing = changed.length;
+  refreshBrandAssetsInBackground(changed);
+
+  return result;
 };
 
 /**
@@ -241,7 +528,22 @@ const getMyProfiles = async (req, res) => {
       updatedAt: -1,
     });
 
-    return res.json({ data: cards || [] });
+    // Profiles shared with this user through a team organisation
+    const team = await listTeamProfiles(req.user);
+    const ownIds = new Set((cards || []).map((c) => String(c._id)));
+    const shared = team.filter((t) => !ownIds.has(String(t.card._id)));
+
+    return res.json({
+      data: [...(cards || []), ...shared.map((t) => t.card)],
+      meta: {
+        shared: shared.map((t) => ({
+          _id: t.card._id,
+          profile_slug: t.card.profile_slug,
+          role: t.role,
+          organisation: t.organisation,
+        })),
+      },
+    });
   } catch (err) {
     console.error("getMyProfiles:", err);
     return res.status(500).json({ error: "Failed to fetch profiles" });
@@ -256,12 +558,12 @@ const getMyProfileBySlug = async (req, res) => {
     const slug = safeSlug(req.params.slug);
     if (!slug) return res.status(400).json({ error: "profile_slug required" });
 
-    const card = await BusinessCard.findOne({
-      user: req.user._id,
-      profile_slug: slug,
-    });
+    const access = await findEditableProfile(req.user, slug);
 
-    return res.json({ data: card || null });
+    return res.json({
+      data: access?.card || null,
+      meta: { role: access?.role || null },
+    });
   } catch (err) {
     console.error("getMyProfileBySlug:", err);
     return res.status(500).json({ error: "Failed to fetch profile" });
@@ -302,8 +604,12 @@ const createMyProfile = async (req, res) => {
     }
 
     const slugTaken = await BusinessCard.findOne({ profile_slug: slug }).select("_id");
-    if (slugTaken) {
-      return res.status(409).json({ error: "Profile slug already exists" });
+    const claimable = await checkSlugClaimable(slug, userId);
+    if (slugTaken || !claimable.ok) {
+      return res.status(409).json({
+        error: "Profile slug already exists",
+        code: claimable.reason || "SLUG_TAKEN",
+      });
     }
 
     const effectiveTemplate = normalizeTemplateForPlan(
@@ -311,6 +617,10 @@ const createMyProfile = async (req, res) => {
       req.body.template_id || "template-1"
     );
 
+    // New team profiles start from the brand kit
+    const org = await Organisation.findOne({ owner: userId }).select("brand_kit").lean();
+    const brandValues = org ? getBrandValuesForPlan(org.brand_kit, plan) : {};
+
     const created = await BusinessCard.create({
       user: userId,
       profile_slug: slug,
@@ -327,10 +637,18 @@ const createMyProfile = async (req, res) => {
       logo: "",
       avatar: "",
       cover_photo: "",
+      ...brandValues,
+      // Same as a new profile from saveBusinessCard: nothing is live until
+      // the first publish
+      published: pickProfileContent(new BusinessCard({ user: userId, profile_slug: slug })),
+      published_at: null,
     });
 
+    // Re-using one of the user's own retired slugs: it is live again
+    await releaseOwnSlugAlias(slug, userId);
+
     try {
-      const qrUrl = await generateAndUploadProfileQr(userId, slug);
+      const qrUrl = await generateAndUploadProfileQr(userId, slug, getProfileQrOptions(created));
       if (qrUrl) {
         created.qr_code_url = qrUrl;
         await created.save();
@@ -379,6 +697,15 @@ const deleteMyProfile = async (req, res) => {
     if (!card) return res.status(404).json({ error: "Profile not found" });
 
     await BusinessCard.deleteOne({ _id: card._id });
+    await BusinessCardRevision.deleteMany({ business_card: card._id });
+    // Slugs may be printed on cards: keep them from other users for a while
+    await reserveSlugsOfDeletedProfile(card);
+    await ProfileReview.deleteMany({ business_card: card._id });
+    await ReviewRequest.deleteMany({ business_card: card._id });
+    await Campaign.deleteMany({ business_card: card._id });
+    const domains = await CustomDomain.deleteMany({ business_card: card._id });
+    if (domains.deletedCount) await refreshCustomDomainCache();
+    await PhysicalCard.updateMany({ business_card: card._id }, { $set: { business_card: null } });
 
     return res.json({ success: true });
   } catch (err) {
@@ -392,7 +719,17 @@ const saveBusinessCard = async (req, res) => {
   try {
     if (!req.user?._id) return res.status(401).json({ error: "Unauthorized" });
 
-    const userId = req.user._id;
+    const requestedSlug = safeSlug(req.body.profile_slug || "");
+    if (!requestedSlug || requestedSlug.length < 3) {
+      return res.status(400).json({
+        error: "profile_slug is required and must be at least 3 chars",
+      });
+    }
+
+    // Team members save into the organisation owner's profile; the owner's
+    // plan, limits and storage apply as if the owner had saved it.
+    const access = await findEditableProfile(req.user, requestedSlug);
+    const userId = access ? access.card.user : req.user._id;
 
     const freshUser = await User.findById(userId).select(
       "plan teamsProfilesQty extraProfilesQty username slug profileUrl qrCodeUrl"
@@ -400,21 +737,15 @@ const saveBusinessCard = async (req, res) => {
     const plan = getPlan(freshUser);
     const limits = getContentLimitsForPlan(plan);
 
-    const requestedSlug = safeSlug(req.body.profile_slug || "");
-    if (!requestedSlug || requestedSlug.length < 3) {
-      return res.status(400).json({
-        error: "profile_slug is required and must be at least 3 chars",
+    // Taken by another user, or reserved as another user's retired slug
+    const claimable = await checkSlugClaimable(requestedSlug, userId);
+    if (!claimable.ok) {
+      return res.status(409).json({
+        error: "Profile slug already exists",
+        code: claimable.reason,
       });
     }
 
-    const otherOwner = await BusinessCard.findOne({
-      profile_slug: requestedSlug,
-      user: { $ne: userId },
-    }).select("_id");
-    if (otherOwner) {
-      return res.status(409).json({ error: "Profile slug already exists" });
-    }
-
     let existingCard = await BusinessCard.findOne({
       user: userId,
       profile_slug: requestedSlug,
@@ -494,11 +825,16 @@ const saveBusinessCard = async (req, res) => {
 
     let works = [...existingWorksFromRequest, ...uploadedWorkUrls];
 
+    const approvedReviews = existingCard
+      ? await countApprovedReviews(existingCard._id)
+      : 0;
+
     const clamped = clampPlanContent({
       plan,
       works,
       services,
       reviews,
+      approvedReviews,
     });
 
     works = clamped.works;
@@ -613,21 +949,64 @@ const saveBusinessCard = async (req, res) => {
       update.profile_slug = requestedSlug;
     }
 
+    // Team brand kit: locked fields always come from the kit
+    const lockedFieldsIgnored = await enforceBrandKitLocks(update, userId, plan);
+
     const allowUpsert = plan === "teams" || !existingCard;
 
+    // Saves only touch the draft. The first save after drafts were introduced
+    // freezes what is currently live so visitors keep seeing it until publish.
+    // Brand new profiles start with an unpublished (default) public view.
+    if (!existingCard) {
+      update.published = pickProfileContent(
+        new BusinessCard({ user: userId, profile_slug: requestedSlug })
+      );
+      update.published_at = null;
+    } else if (!existingCard.published) {
+      update.published = pickProfileContent(existingCard);
+      update.published_at = existingCard.updatedAt || new Date();
+    }
+
+    const previousContent = existingCard ? pickProfileContent(existingCard) : null;
+
+    // First tracked save of an existing profile: keep what was there before
+    if (existingCard?._id) {
+      try {
+        const hasHistory = await BusinessCardRevision.exists({ business_card: existingCard._id });
+        if (!hasHistory) {
+          await recordRevision({ card: existingCard, reason: "baseline", limits, editedBy: userId });
+        }
+      } catch (e) {
+        console.error("Baseline revision failed (saveBusinessCard):", e);
+      }
+    }
+
+    const previousSlug = existingCard?.profile_slug || "";
+
     const saved = await BusinessCard.findOneAndUpdate(
       targetQuery,
       { $set: update },
       { new: true, upsert: allowUpsert }
     );
 
+    // Old /u/:slug URLs are printed on QR codes and NFC cards: keep them resolving
+    try {
+      if (willRenameSlug && previousSlug && previousSlug !== saved.profile_slug) {
+        await recordSlugRename({ card: saved, fromSlug: previousSlug });
+      } else {
+        await releaseOwnSlugAlias(saved.profile_slug, userId);
+      }
+    } catch (e) {
+      console.error("Slug alias update failed (saveBusinessCard):", e);
+    }
+
     try {
       const needsQr =
         !saved?.qr_code_url ||
         (willRenameSlug && safeSlug(saved.profile_slug) === requestedSlug);
 
       if (needsQr) {
-        const qrUrl = await generateAndUploadProfileQr(userId, saved.profile_slug);
+        const qrUrl = await generateAndUploadProfileQr(userId, saved.profile_slug, getProfileQrOptions(saved));
         if (qrUrl) {
           saved.qr_code_url = qrUrl;
           await saved.save();
@@ -637,12 +1016,29 @@ const saveBusinessCard = async (req, res) => {
       console.error("QR ensure failed (saveBusinessCard):", e);
     }
 
+    refreshOgImageInBackground(saved, "saveBusinessCard");
+
+    let revision = null;
+    try {
+      revision = await recordRevision({
+        card: saved,
+        reason: "save",
+        previousContent,
+        limits,
+        editedBy: req.user._id,
+      });
+    } catch (e) {
+      console.error("Revision snapshot failed (saveBusinessCard):", e);
+    }
+
     const setupComplete = hasMeaningfulProfileContent(saved);
 
     return res.json({
       data: saved,
       meta: {
         setup_complete: setupComplete,
+        published_at: saved?.published_at || null,
+        has_unpublished_changes: hasUnpublishedChanges(saved),
       },
       debug: {
         filesReceived: debugFiles,
@@ -657,13 +1053,15 @@ const saveBusinessCard = async (req, res) => {
       },
       normalized: {
         plan,
-        template_id: effectiveTemplate,
+        template_id: update.template_id,
         limitsApplied: true,
         maxWorks: limits.maxWorks,
         maxServices: limits.maxServices,
         maxReviews: limits.maxReviews,
         renamedSingleProfile: !!willRenameSlug,
+        lockedFieldsIgnored,
       },
+      revision: revision ? serializeRevision(revision) : null,
     });
   } catch (err) {
     console.error("saveBusinessCard:", err);
@@ -671,6 +1069,761 @@ const saveBusinessCard = async (req, res) => {
   }
 };
 
+/**
+ * ---------------------------------------------------------
+ * DRAFT / PUBLISH (requireAuth)
+ * ---------------------------------------------------------
+ */
+
+// POST /api/business-card/profiles/:slug/publish
+const publishProfile = async (req, res) => {
+  try {
+    if (!req.user?._id) return res.status(401).json({ error: "Unauthorized" });
+
+    const slug = safeSlug(req.params.slug);
+    if (!slug) return res.status(400).json({ error: "profile_slug required" });
+
+    const access = await findEditableProfile(req.user, slug);
+    if (!access) return res.status(404).json({ error: "Profile not found" });
+    const card = access.card;
+
+    const changes = card.published
+      ? diffProfileContent(card.published, pickProfileContent(card))
+      : [];
+
+    card.published = pickProfileContent(card);
+    card.published_at = new Date();
+    card.markModified("published");
+    await card.save();
+
+    refreshOgImageInBackground(card, "publishProfile");
+
+    // QR codes showing the profile logo follow the published logo
+    const logoChanged = changes.some((c) => c.field === "logo" || c.field === "avatar");
+    if (card.qr_style?.logo_mode === "profile" && logoChanged) {
+      regenerateProfileQr(card)
+        .then(() => refreshCampaignQrs(card))
+        .catch((e) => {
+          console.error("QR regeneration failed (publishProfile):", e?.message || e);
+        });
+    }
+
+    return res.json({
+      data: card,
+      meta: {
+        published_at: card.published_at,
+        has_unpublished_changes: false,
+        changed_fields: changes.map((c) => c.field),
+      },
+    });
+  } catch (err) {
+    console.error("publishProfile:", err);
+    return res.status(500).json({ error: "Failed to publish profile" });
+  }
+};
+
+// GET /api/business-card/profiles/:slug/preview
+// Same shape as the public payload, but with the draft content.
+const previewProfile = async (req, res) => {
+  try {
+    if (!req.user?._id) return res.status(401).json({ error: "Unauthorized" });
+
+    const slug = safeSlug(req.params.slug);
+    if (!slug) return res.status(400).json({ error: "profile_slug required" });
+
+    const access = await findEditableProfile(req.user, slug);
+    if (!access) return res.status(404).json({ error: "Profile not found" });
+    const card = access.card;
+
+    const { published, ...draft } = card.toObject();
+
+    return res.json({
+      ...draft,
+      preview: true,
+      has_unpublished_changes: hasUnpublishedChanges(card),
+    });
+  } catch (err) {
+    console.error("previewProfile:", err);
+    return res.status(500).json({ error: "Failed to fetch preview" });
+  }
+};
+
+/**
+ * ---------------------------------------------------------
+ * REVISIONS (requireAuth)
+ * ---------------------------------------------------------
+ */
+
+const parseRevisionNumber = (v) => {
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : null;
+};
+
+// GET /api/business-card/profiles/:slug/revisions
+const listProfileRevisions = async (req, res) => {
+  try {
+    if (!req.user?._id) return res.status(401).json({ error: "Unauthorized" });
+
+    const slug = safeSlug(req.params.slug);
+    if (!slug) return res.status(400).json({ error: "profile_slug required" });
+
+    const access = await findEditableProfile(req.user, slug);
+    if (!access) return res.status(404).json({ error: "Profile not found" });
+    const card = access.card;
+
+    const revisions = await BusinessCardRevision.find({ business_card: card._id })
+      .sort({ revision: -1 })
+      .select("-snapshot")
+      .lean();
+
+    // Team profiles follow the owner's plan
+    const freshUser = await User.findById(card.user).select("plan");
+    const limits = getContentLimitsForPlan(getPlan(freshUser));
+
+    return res.json({
+      data: revisions.map(serializeRevision),
+      meta: { maxRevisions: limits.maxRevisions },
+    });
+  } catch (err) {
+    console.error("listProfileRevisions:", err);
+    return res.status(500).json({ error: "Failed to fetch revisions" });
+  }
+};
+
+// GET /api/business-card/profiles/:slug/revisions/diff?from=3&to=current
+const diffProfileRevisions = async (req, res) => {
+  try {
+    if (!req.user?._id) return res.status(401).json({ error: "Unauthorized" });
+
+    const slug = safeSlug(req.params.slug);
+    if (!slug) return res.status(400).json({ error: "profile_slug required" });
+
+    const access = await findEditableProfile(req.user, slug);
+    if (!access) return res.status(404).json({ error: "Profile not found" });
+    const card = access.card;
+
+    const resolveSide = async (raw) => {
+      if (String(raw || "").trim().toLowerCase() === "current") {
+        return { label: "current", snapshot: pickProfileContent(card) };
+      }
+
+      const revisionNumber = parseRevisionNumber(raw);
+      if (!revisionNumber) return null;
+
+      const rev = await BusinessCardRevision.findOne({
+        business_card: card._id,
+        revision: revisionNumber,
+      }).lean();
+
+      return rev ? { label: revisionNumber, snapshot: rev.snapshot || {} } : null;
+    };
+
+    const [from, to] = await Promise.all([
+      resolveSide(req.query?.from),
+      resolveSide(req.query?.to || "current"),
+    ]);
+
+    if (!from || !to) {
+      return res.status(404).json({
+        error: "Revision not found. Use a revision number or \"current\".",
+        code: "REVISION_NOT_FOUND",
+      });
+    }
+
+    return res.json({
+      data: {
+        from: from.label,
+        to: to.label,
+        changes: diffProfileContent(from.snapshot, to.snapshot),
+      },
+    });
+  } catch (err) {
+    console.error("diffProfileRevisions:", err);
+    return res.status(500).json({ error: "Failed to diff revisions" });
+  }
+};
+
+// POST /api/business-card/profiles/:slug/revisions/:revision/restore
+// Restores into the draft; publish separately to make it live.
+const restoreProfileRevision = async (req, res) => {
+  try {
+    if (!req.user?._id) return res.status(401).json({ error: "Unauthorized" });
+
+    const slug = safeSlug(req.params.slug);
+    if (!slug) return res.status(400).json({ error: "profile_slug required" });
+
+    const revisionNumber = parseRevisionNumber(req.params.revision);
+    if (!revisionNumber) return res.status(400).json({ error: "Invalid revision number" });
+
+    const access = await findEditableProfile(req.user, slug);
+    if (!access) return res.status(404).json({ error: "Profile not found" });
+    const card = access.card;
+
+    const rev = await BusinessCardRevision.findOne({
+      business_card: card._id,
+      revision: revisionNumber,
+    }).lean();
+    if (!rev) return res.status(404).json({ error: "Revision not found", code: "REVISION_NOT_FOUND" });
+
+    const freshUser = await User.findById(card.user).select("plan");
+    const plan = getPlan(freshUser);
+    const limits = getContentLimitsForPlan(plan);
+
+    const previousContent = pickProfileContent(card);
+    const snapshot = rev.snapshot || {};
+
+    // The plan may have changed since the snapshot was taken
+    const clamped = clampPlanContent({
+      plan,
+      works: snapshot.works,
+      services: snapshot.services,
+      reviews: snapshot.reviews,
+      approvedReviews: await countApprovedReviews(card._id),
+    });
+
+    const restored = {
+      ...snapshot,
+      works: clamped.works,
+      services: clamped.services,
+      reviews: clamped.reviews,
+      template_id: normalizeTemplateForPlan(plan, snapshot.template_id),
+    };
+
+    // Old snapshots may predate the brand kit: locked fields stay on the kit
+    const lockedFieldsIgnored = await enforceBrandKitLocks(restored, card.user, plan);
+
+    card.set(restored);
+    await card.save();
+
+    let revision = null;
+    try {
+      revision = await recordRevision({
+        card,
+        reason: "restore",
+        previousContent,
+        restoredFrom: revisionNumber,
+        limits,
+        editedBy: req.user._id,
+      });
+    } catch (e) {
+      console.error("Revision snapshot failed (restoreProfileRevision):", e);
+    }
+
+    return res.json({
+      data: card,
+      meta: {
+        setup_complete: hasMeaningfulProfileContent(card),
+      },
+      normalized: {
+        plan,
+        template_id: card.template_id,
+        limitsApplied: true,
+        maxWorks: limits.maxWorks,
+        maxServices: limits.maxServices,
+        maxReviews: limits.maxReviews,
+        lockedFieldsIgnored,
+      },
+      restored_from: revisionNumber,
+      revision: revision ? serializeRevision(revision) : null,
+    });
+  } catch (err) {
+    console.error("restoreProfileRevision:", err);
+    return res.status(500).json({ error: "Failed to restore revision" });
+  }
+};
+
+/**
+ * ---------------------------------------------------------
+ * VISITOR REVIEWS
+ * Public submit → pending; owner (or team editor) moderates.
+ * ---------------------------------------------------------
+ */
+
+const REVIEW_STATUSES = ["pending", "approved", "rejected"];
+const HONEYPOT_FIELD = "website";
+
+const reviewLimiter = createRateLimiter({
+  windowMs: 60 * 60 * 1000,
+  max: Number(process.env.REVIEW_RATE_LIMIT_PER_IP) || 5,
+});
+
+const serializeModerationReview = (r) => ({
+  _id: r._id,
+  reviewer_name: r.reviewer_name,
+  reviewer_email: r.reviewer_email || "",
+  rating: r.rating,
+  text: r.text || "",
+  status: r.status,
+  verified: !!r.verified,
+  moderated_at: r.moderated_at,
+  owner_reply: r.owner_reply?.text ? r.owner_reply : null,
+  spam_reasons: r.spam_reasons || [],
+  createdAt: r.createdAt,
+});
+
+// POST /api/business-card/public/:slug/reviews
+// Body: { name, rating (1-5), text, email? }
+const submitPublicReview = async (req, res) => {
+  try {
+    const ipHit = reviewLimiter.hit(`ip:${getClientIp(req) || "unknown"}`);
+    if (!ipHit.allowed) {
+      res.setHeader("Retry-After", String(Math.ceil(ipHit.retryAfterMs / 1000)));
+      return res.status(429).json({
+        error: "Too many reviews submitted. Please try again later.",
+        code: "RATE_LIMITED",
+      });
+    }
+
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+
+    // Bots fill every input: pretend it worked, store nothing
+    if (norm(body[HONEYPOT_FIELD])) return res.status(201).json({ success: true, status: "pending" });
+
+    const slug = safeSlug(req.params.slug);
+    if (!slug) return res.status(400).json({ error: "slug required" });
+
+    const name = norm(body.name).slice(0, 80);
+    const text = norm(body.text).slice(0, 1000);
+    const email = norm(body.email).toLowerCase().slice(0, 254);
+    const rating = Number(body.rating);
+
+    if (!name) return res.status(400).json({ error: "Name is required." });
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({ error: "rating must be a whole number from 1 to 5" });
+    }
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+      return res.status(400).json({ error: "Invalid email address." });
+    }
+
+    const resolved = await resolveProfileSlug(slug, {
+      select: "_id user profile_slug",
+      lean: true,
+    });
+    if (!resolved) return res.status(404).json({ error: "Business card not found" });
+    const card = resolved.card;
+
+    const spam = assessContactSpam({ name, email, message: text });
+
+    const review = await ProfileReview.create({
+      business_card: card._id,
+      owner_user: card.user,
+      profile_slug: card.profile_slug,
+      reviewer_name: name,
+      reviewer_email: email || undefined,
+      rating,
+      text,
+      spam_reasons: spam.reasons,
+      ip: getClientIp(req),
+      user_agent: String(req.headers["user-agent"] || "").slice(0, 300),
+    });
+
+    return res.status(201).json({ success: true, id: review._id, status: review.status });
+  } catch (err) {
+    console.error("submitPublicReview:", err);
+    return res.status(500).json({ error: "Failed to submit review" });
+  }
+};
+
+// GET /api/business-card/profiles/:slug/reviews?status=pending&page=1&limit=25
+const listProfileReviews = async (req, res) => {
+  try {
+    if (!req.user?._id) return res.status(401).json({ error: "Unauthorized" });
+
+    const slug = safeSlug(req.params.slug);
+    if (!slug) return res.status(400).json({ error: "profile_slug required" });
+
+    const access = await findEditableProfile(req.user, slug);
+    if (!access) return res.status(404).json({ error: "Profile not found" });
+    const card = access.card;
+
+    const status = norm(req.query?.status).toLowerCase();
+    if (status && !REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${REVIEW_STATUSES.join(", ")}` });
+    }
+
+    const page = Math.max(1, parseInt(req.query?.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query?.limit, 10) || 25));
+
+    const query = { business_card: card._id };
+    if (status) query.status = status;
+
+    const [items, total, grouped, owner] = await Promise.all([
+      ProfileReview.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ProfileReview.countDocuments(query),
+      ProfileReview.aggregate([
+        { $match: { business_card: card._id } },
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+      ]),
+      User.findById(card.user).select("plan").lean(),
+    ]);
+
+    const counts = Object.fromEntries(REVIEW_STATUSES.map((s) => [s, 0]));
+    for (const row of grouped) if (row._id in counts) counts[row._id] = row.count;
+
+    const limits = getContentLimitsForPlan(getPlan(owner));
+    const ownerReviews = Math.max(
+      Array.isArray(card.reviews) ? card.reviews.length : 0,
+      Array.isArray(card.published?.reviews) ? card.published.reviews.length : 0
+    );
+
+    return res.json({
+      data: items.map(serializeModerationReview),
+      pagination: { page, limit, total, pages: Math.max(1, Math.ceil(total / limit)) },
+      counts,
+      limits: {
+        maxReviews: limits.maxReviews,
+        ownerReviews,
+        approvedReviews: counts.approved,
+        remaining: Math.max(0, limits.maxReviews - ownerReviews - counts.approved),
+      },
+    });
+  } catch (err) {
+    console.error("listProfileReviews:", err);
+    return res.status(500).json({ error: "Failed to fetch reviews" });
+  }
+};
+
+const findModeratableReview = async (req, res) => {
+  if (!req.user?._id) {
+    res.status(401).json({ error: "Unauthorized" });
+    return null;
+  }
+
+  const slug = safeSlug(req.params.slug);
+  if (!slug) {
+    res.status(400).json({ error: "profile_slug required" });
+    return null;
+  }
+
+  const access = await findEditableProfile(req.user, slug);
+  if (!access) {
+    res.status(404).json({ error: "Profile not found" });
+    return null;
+  }
+
+  const reviewId = String(req.params.reviewId || "");
+  const review = /^[a-f0-9]{24}$/i.test(reviewId)
+    ? await ProfileReview.findOne({ _id: reviewId, business_card: access.card._id })
+    : null;
+  if (!review) {
+    res.status(404).json({ error: "Review not found", code: "REVIEW_NOT_FOUND" });
+    return null;
+  }
+
+  return { card: access.card, review };
+};
+
+// PATCH /api/business-card/profiles/:slug/reviews/:reviewId
+// Body: { status: "approved" | "rejected" | "pending" }
+const moderateProfileReview = async (req, res) => {
+  try {
+    const found = await findModeratableReview(req, res);
+    if (!found) return;
+    const { card, review } = found;
+
+    const status = norm(req.body?.status).toLowerCase();
+    if (!REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${REVIEW_STATUSES.join(", ")}` });
+    }
+
+    if (status === "approved" && review.status !== "approved") {
+      const owner = await User.findById(card.user).select("plan").lean();
+      const plan = getPlan(owner);
+      const limits = getContentLimitsForPlan(plan);
+
+      const ownerReviews = Math.max(
+        Array.isArray(card.reviews) ? card.reviews.length : 0,
+        Array.isArray(card.published?.reviews) ? card.published.reviews.length : 0
+      );
+      const approvedReviews = await countApprovedReviews(card._id);
+
+      if (ownerReviews + approvedReviews >= limits.maxReviews) {
+        return upgradeRequired(res, {
+          reason: "REVIEW_LIMIT",
+          plan,
+          maxReviews: limits.maxReviews,
+          ownerReviews,
+          approvedReviews,
+        });
+      }
+    }
+
+    if (status !== review.status) {
+      review.status = status;
+      review.moderated_at = new Date();
+      review.moderated_by = req.user._id;
+      await review.save();
+    }
+
+    return res.json({ data: serializeModerationReview(review) });
+  } catch (err) {
+    console.error("moderateProfileReview:", err);
+    return res.status(500).json({ error: "Failed to update review" });
+  }
+};
+
+// PUT /api/business-card/profiles/:slug/reviews/:reviewId/reply   { text }
+// DELETE same path removes the reply
+const replyToProfileReview = async (req, res) => {
+  try {
+    const found = await findModeratableReview(req, res);
+    if (!found) return;
+    const { review } = found;
+
+    const text = req.method === "DELETE" ? "" : norm(req.body?.text);
+    if (req.method !== "DELETE" && !text) {
+      return res.status(400).json({ error: "Reply text is required." });
+    }
+    if (text.length > 1000) {
+      return res.status(400).json({ error: "Reply must be 1000 characters or fewer" });
+    }
+
+    review.owner_reply = { text, replied_at: text ? new Date() : null };
+    await review.save();
+
+    return res.json({ data: serializeModerationReview(review) });
+  } catch (err) {
+    console.error("replyToProfileReview:", err);
+    return res.status(500).json({ error: "Failed to save reply" });
+  }
+};
+
+/**
+ * ---------------------------------------------------------
+ * AUTO-REPLY SETTINGS (requireAuth)
+ * Applied immediately (not part of draft/publish).
+ * ---------------------------------------------------------
+ */
+
+const serializeAutoReply = (card) => {
+  const ar = card.auto_reply || {};
+  return {
+    enabled: !!ar.enabled,
+    subject: ar.subject || "",
+    message: ar.message || "",
+    attach_vcard: ar.attach_vcard !== false,
+  };
+};
+
+// GET /api/business-card/profiles/:slug/auto-reply
+const getAutoReplySettings = async (req, res) => {
+  try {
+    if (!req.user?._id) return res.status(401).json({ error: "Unauthorized" });
+
+    const slug = safeSlug(req.params.slug);
+    if (!slug) return res.status(400).json({ error: "profile_slug required" });
+
+    const access = await findEditableProfile(req.user, slug);
+    if (!access) return res.status(404).json({ error: "Profile not found" });
+
+    return res.json({ data: serializeAutoReply(access.card) });
+  } catch (err) {
+    console.error("getAutoReplySettings:", err);
+    return res.status(500).json({ error: "Failed to fetch auto-reply settings" });
+  }
+};
+
+// PATCH /api/business-card/profiles/:slug/auto-reply
+// Body (all optional): { enabled, subject, message, attach_vcard }
+// message supports {visitor_name} and {name}; subject supports {name} only
+// (visitor-typed text never goes in the subject line).
+const updateAutoReplySettings = async (req, res) => {
+  try {
+    if (!req.user?._id) return res.status(401).json({ error: "Unauthorized" });
+
+    const slug = safeSlug(req.params.slug);
+    if (!slug) return res.status(400).json({ error: "profile_slug required" });
+
+    const access = await findEditableProfile(req.user, slug);
+    if (!access) return res.status(404).json({ error: "Profile not found" });
+    const card = access.card;
+
+    const body = req.body && typeof req.body === "object" ? req.body : {};
+    const next = serializeAutoReply(card);
+
+    if (body.enabled !== undefined) next.enabled = asBool(body.enabled, next.enabled);
+    if (body.attach_vcard !== undefined) next.attach_vcard = asBool(body.attach_vcard, next.attach_vcard);
+
+    if (body.subject !== undefined) {
+      const subject = norm(body.subject);
+      if (subject.length > 150) {
+        return res.status(400).json({ error: "subject must be 150 characters or fewer" });
+      }
+      next.subject = subject;
+    }
+
+    if (body.message !== undefined) {
+      const message = String(body.message || "").trim();
+      if (message.length > 2000) {
+        return res.status(400).json({ error: "message must be 2000 characters or fewer" });
+      }
+      next.message = message;
+    }
+
+    card.auto_reply = next;
+    await card.save();
+
+    return res.json({ data: serializeAutoReply(card) });
+  } catch (err) {
+    console.error("updateAutoReplySettings:", err);
+    return res.status(500).json({ error: "Failed to update auto-reply settings" });
+  }
+};
+
+// PATCH /api/business-card/profiles/:slug/directory
+// Body: { listed: boolean } — opt in/out of /api/directory and the sitemap
+const updateDirectoryListing = async (req, res) => {
+  try {
+    if (!req.user?._id) return res.status(401).json({ error: "Unauthorized" });
+
+    const slug = safeSlug(req.params.slug);
+    if (!slug) return res.status(400).json({ error: "profile_slug required" });
+
+    const access = await findEditableProfile(req.user, slug);
+    if (!access) return res.status(404).json({ error: "Profile not found" });
+    const card = access.card;
+
+    if (req.body?.listed === undefined) {
+      return res.status(400).json({ error: "listed is required" });
+    }
+
+    card.list_in_directory = asBool(req.body.listed, false);
+    await card.save();
+
+    return res.json({
+      data: {
+        profile_slug: card.profile_slug,
+        list_in_directory: card.list_in_directory,
+        // Drafted profiles only appear once published
+        visible: card.list_in_directory && (!card.published || !!card.published_at),
+      },
+    });
+  } catch (err) {
+    console.error("updateDirectoryListing:", err);
+    return res.status(500).json({ error: "Failed to update directory listing" });
+  }
+};
+
+/**
+ * ---------------------------------------------------------
+ * QR STYLE
+ * Colours, error correction and centre logo of the profile's QR code.
+ * Saved per profile and reused for NFC order artwork.
+ * ---------------------------------------------------------
+ */
+
+const serializeQrStyle = (card) => ({
+  ...toPlainStyle(card.qr_style),
+  qr_code_url: card.qr_code_url || "",
+});
+
+// GET /api/business-card/profiles/:slug/qr-style
+const getQrStyle = async (req, res) => {
+  try {
+    if (!req.user?._id) return res.status(401).json({ error: "Unauthorized" });
+
+    const slug = safeSlug(req.params.slug);
+    if (!slug) return res.status(400).json({ error: "profile_slug required" });
+
+    const access = await findEditableProfile(req.user, slug);
+    if (!access) return res.status(404).json({ error: "Profile not found" });
+
+    return res.json({ data: serializeQrStyle(access.card) });
+  } catch (err) {
+    console.error("getQrStyle:", err);
+    return res.status(500).json({ error: "Failed to fetch QR style" });
+  }
+};
+
+// PUT /api/business-card/profiles/:slug/qr-style
+// Body (multipart or JSON, all optional):
+//   { foreground_color, background_color, error_correction, logo_mode, logo_url }
+// A "logo" file upload sets logo_mode "custom".
+const updateQrStyle = async (req, res) => {
+  try {
+    if (!req.user?._id) return res.status(401).json({ error: "Unauthorized" });
+
+    const slug = safeSlug(req.params.slug);
+    if (!slug) return res.status(400).json({ error: "profile_slug required" });
+
+    const access = await findEditableProfile(req.user, slug);
+    if (!access) return res.status(404).json({ error: "Profile not found" });
+    const card = access.card;
+
+    const body = req.body && typeof req.body === "object" ? { ...req.body } : {};
+
+    const file = req.file || req.files?.logo?.[0];
+    if (file) {
+      const key = `qr_logos/${card.user}/${Date.now()}-${file.originalname}`;
+      body.logo_url = await uploadToS3(file.buffer, key);
+      body.logo_mode = "custom";
+    }
+
+    const { style, error, code } = normalizeQrStyle(body, card.qr_style);
+    if (error) return res.status(400).json({ error, code });
+
+    card.qr_style = style;
+    await card.save();
+
+    try {
+      const qrUrl = await regenerateProfileQr(card);
+      if (qrUrl) card.qr_code_url = qrUrl;
+    } catch (e) {
+      console.error("QR regeneration failed (updateQrStyle):", e);
+      return res.status(502).json({ error: "Style saved but the QR code could not be regenerated" });
+    }
+
+    // Campaign QR codes share the profile's style
+    refreshCampaignQrs(card).catch((e) => {
+      console.error("Campaign QR refresh failed (updateQrStyle):", e?.message || e);
+    });
+
+    return res.json({ data: serializeQrStyle(card) });
+  } catch (err) {
+    console.error("updateQrStyle:", err);
+    return res.status(500).json({ error: "Failed to update QR style" });
+  }
+};
+
+// GET /api/business-card/profiles/:slug/qr?format=png|svg|pdf&size=900&download=1
+// Rendered on demand with the saved style (SVG/PDF for print shops).
+const downloadProfileQr = async (req, res) => {
+  try {
+    if (!req.user?._id) return res.status(401).json({ error: "Unauthorized" });
+
+    const slug = safeSlug(req.params.slug);
+    if (!slug) return res.status(400).json({ error: "profile_slug required" });
+
+    const format = String(req.query?.format || "png").trim().toLowerCase();
+    if (!QR_FORMATS.includes(format)) {
+      return res.status(400).json({ error: "format must be png, svg or pdf", code: "INVALID_FORMAT" });
+    }
+
+    const access = await findEditableProfile(req.user, slug);
+    if (!access) return res.status(404).json({ error: "Profile not found" });
+    const card = access.card;
+
+    const { businessCardId, style, logoUrl } = getProfileQrOptions(card);
+    const url = await buildProfileTargetUrl({ profileSlug: card.profile_slug, businessCardId, via: "qr" });
+
+    const qr = await renderQrCode(url, style, { format, size: req.query?.size, logoUrl });
+
+    res.setHeader("Content-Type", qr.contentType);
+    res.setHeader(
+      "Content-Disposition",
+      `${asBool(req.query?.download, false) ? "attachment" : "inline"}; filename="${card.profile_slug}-qr.${qr.ext}"`
+    );
+    return res.send(qr.buffer);
+  } catch (err) {
+    console.error("downloadProfileQr:", err);
+    return res.status(500).json({ error: "Failed to render QR code" });
+  }
+};
+
 /**
  * ---------------------------------------------------------
  * PUBLIC
@@ -682,16 +1835,79 @@ const getPublicBySlug = async (req, res) => {
     const slug = safeSlug(req.params.slug);
     if (!slug) return res.status(400).json({ error: "slug required" });
 
-    const card = await BusinessCard.findOne({ profile_slug: slug });
-    if (!card) return res.status(404).json({ error: "Business card not found" });
+    // Old slugs (renamed profiles) resolve to the current card
+    const resolved = await resolveProfileSlug(slug);
+    if (!resolved) return res.status(404).json({ error: "Business card not found" });
 
-    return res.json(card);
+    return res.json({
+      ...(await buildPublicProfilePayload(resolved.card)),
+      canonical_slug: resolved.canonicalSlug,
+      redirected_from: resolved.aliased ? slug : null,
+    });
   } catch (err) {
     console.error("getPublicBySlug:", err);
     return res.status(500).json({ error: "Failed to fetch business card" });
   }
 };
 
+const VCARD_SOURCE_TYPES = new Set(["qr", "nfc", "direct", "link", "unknown"]);
+
+// GET /api/business-card/public/:slug/vcard?version=3.0|4.0&source=qr&visitorId=...
+const getPublicVcard = async (req, res) => {
+  try {
+    const slug = safeSlug(req.params.slug);
+    if (!slug) return res.status(400).json({ error: "slug required" });
+
+    const resolved = await resolveProfileSlug(slug);
+    if (!resolved) return res.status(404).json({ error: "Business card not found" });
+
+    const card = resolved.card;
+    const view = buildPublishedView(card);
+    const photoBase64 = await loadVcardPhoto(norm(view.logo) || norm(view.avatar));
+
+    const vcf = buildVcard(
+      businessCardToContact(view, {
+        profileUrl: buildPublicProfileUrl(card.profile_slug),
+        photoBase64,
+      }),
+      { version: req.query?.version }
+    );
+
+    // Record contact_save through the same pipeline as /api/analytics/track.
+    // Never block the download on analytics.
+    try {
+      const source = norm(req.query?.source).toLowerCase();
+
+      await trackProfileEvent({
+        req,
+        businessCard: card,
+        eventType: "contact_save",
+        sourceType: VCARD_SOURCE_TYPES.has(source) ? source : "unknown",
+        payload: {
+          referrer: norm(req.headers.referer || req.headers.referrer).slice(0, 1000),
+          visitor_id: norm(req.query?.visitorId).slice(0, 120),
+          session_id: norm(req.query?.sessionId).slice(0, 120),
+          visit_id: norm(req.query?.visitId).slice(0, 120),
+          action_target: "vcard",
+        },
+      });
+    } catch (e) {
+      console.error("vCard analytics failed (getPublicVcard):", e);
+    }
+
+    const filename = buildVcardFilename(
+      view.full_name || view.business_name || card.profile_slug
+    );
+
+    res.setHeader("Content-Type", "text/vcard; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    return res.send(vcf);
+  } catch (err) {
+    console.error("getPublicVcard:", err);
+    return res.status(500).json({ error: "Failed to build contact card" });
+  }
+};
+
 const getPublicByUsername = async (req, res) => {
   try {
     const username = String(req.params.username || "").trim();
@@ -707,14 +1923,14 @@ const getPublicByUsername = async (req, res) => {
       user: user._id,
       profile_slug: "main",
     });
-    if (main) return res.json(main);
+    if (main) return res.json(await buildPublicProfilePayload(main));
 
     const newest = await BusinessCard.findOne({ user: user._id }).sort({
       updatedAt: -1,
     });
     if (!newest) return res.status(404).json({ error: "Business card not found" });
 
-    return res.json(newest);
+    return res.json(await buildPublicProfilePayload(newest));
   } catch (err) {
     console.error("getPublicByUsername:", err);
     return res.status(500).json({ error: "Failed to fetch business card" });
@@ -741,7 +1957,7 @@ const getPublicByUsernameAndSlug = async (req, res) => {
     });
     if (!card) return res.status(404).json({ error: "Business card not found" });
 
-    return res.json(card);
+    return res.json(await buildPublicProfilePayload(card));
   } catch (err) {
     console.error("getPublicByUsernameAndSlug:", err);
     return res.status(500).json({ error: "Failed to fetch business card" });
@@ -749,6 +1965,9 @@ const getPublicByUsernameAndSlug = async (req, res) => {
 };
 
 module.exports = {
+  propagateBrandKit,
+  regenerateProfileQr,
+  buildPublicProfilePayload,
   getMyBusinessCard,
   saveBusinessCard,
   getMyProfiles,
@@ -756,7 +1975,23 @@ module.exports = {
   createMyProfile,
   setDefaultProfile,
   deleteMyProfile,
+  publishProfile,
+  previewProfile,
+  listProfileRevisions,
+  diffProfileRevisions,
+  restoreProfileRevision,
+  listProfileReviews,
+  moderateProfileReview,
+  replyToProfileReview,
+  getAutoReplySettings,
+  updateAutoReplySettings,
+  updateDirectoryListing,
+  getQrStyle,
+  updateQrStyle,
+  downloadProfileQr,
+  submitPublicReview,
   getPublicBySlug,
+  getPublicVcard,
   getPublicByUsername,
   getPublicByUsernameAndSlug,
 };
\ No newline at end of file
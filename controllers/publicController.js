@@ -3,6 +3,12 @@ const ContactExchange = require("../models/ContactExchange");
 const BusinessCard = require("../models/BusinessCard");
 const sendEmail = require("../utils/SendEmail");
 const { contactExchangeTemplate } = require("../utils/emailTemplates");
+const { csvRow } = require("../utils/csv");
+const { buildVcard } = require("../utils/vcard");
+const { createRateLimiter } = require("../utils/rateLimit");
+const { assessContactSpam } = require("../utils/spamCheck");
+const { sendContactAutoReply } = require("../utils/contactAutoReply");
+const { getClientIp } = require("../utils/trackProfileEvent");
 
 const cleanText = (v, max = 500) => String(v || "").trim().slice(0, max);
 const cleanEmail = (v) => String(v || "").trim().toLowerCase();
@@ -16,10 +22,36 @@ const normalizeSlug = (v) =>
         .replace(/-+/g, "-")
         .replace(/^-|-$/g, "");
 
-const getClientIp = (req) => {
-    const xf = req.headers["x-forwarded-for"];
-    if (xf) return String(xf).split(",")[0].trim();
-    return req.ip;
+/* =========================================================
+   ABUSE PROTECTION for the public form
+   - per-IP rate limit (in-memory, per process; req.ip via trust proxy)
+   - per-profile flood threshold: submissions past it are quarantined,
+     not rejected, so one sender cannot close a profile's form
+   - honeypot: a hidden "website" input real visitors never fill
+========================================================= */
+const envInt = (name, fallback) => {
+    const n = parseInt(process.env[name], 10);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+const ipLimiter = createRateLimiter({
+    windowMs: 10 * 60 * 1000,
+    max: envInt("CONTACT_RATE_LIMIT_PER_IP", 5),
+});
+
+const profileLimiter = createRateLimiter({
+    windowMs: 60 * 60 * 1000,
+    max: envInt("CONTACT_RATE_LIMIT_PER_PROFILE", 30),
+});
+
+const HONEYPOT_FIELD = "website";
+
+const rateLimited = (res, retryAfterMs) => {
+    res.setHeader("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+    return res.status(429).json({
+        error: "Too many submissions. Please try again later.",
+        code: "RATE_LIMITED",
+    });
 };
 
 /* =========================================================
@@ -33,11 +65,22 @@ exports.exchangeContact = async (req, res) => {
         const email = cleanEmail(req.body?.email);
         const phone = cleanPhone(req.body?.phone);
         const message = cleanText(req.body?.message, 500);
+        const ip = getClientIp(req);
+
+        const ipHit = ipLimiter.hit(`ip:${ip || "unknown"}`);
+        if (!ipHit.allowed) return rateLimited(res, ipHit.retryAfterMs);
+
+        // Bots fill every input: pretend it worked, store nothing
+        if (cleanText(req.body?.[HONEYPOT_FIELD], 200)) {
+            return res.json({ success: true });
+        }
 
         if (!profileSlug) return res.status(400).json({ error: "Missing profile slug." });
         if (!name) return res.status(400).json({ error: "Name is required." });
         if (!email && !phone) return res.status(400).json({ error: "Email or phone is required." });
 
+        const profileFlooded = !profileLimiter.hit(`profile:${profileSlug}`).allowed;
+
         // Find business card by profile_slug (preferred) or slug (fallback)
         const businessCard =
             (await BusinessCard.findOne({ profile_slug: profileSlug }).populate("user")) ||
@@ -47,6 +90,12 @@ exports.exchangeContact = async (req, res) => {
 
         const owner = businessCard.user;
 
+        const spam = assessContactSpam({ name, email, message });
+        if (profileFlooded) {
+            spam.quarantined = true;
+            spam.reasons.push("profile_flood");
+        }
+
         const record = await ContactExchange.create({
             profile_slug: profileSlug,
             owner_user: owner._id,
@@ -55,10 +104,17 @@ exports.exchangeContact = async (req, res) => {
             visitor_email: email || undefined,
             visitor_phone: phone || undefined,
             message: message || undefined,
-            ip: getClientIp(req),
+            is_quarantined: spam.quarantined,
+            spam_reasons: spam.reasons,
+            ip,
             user_agent: String(req.headers["user-agent"] || "").slice(0, 300),
         });
 
+        // Quarantined submissions look successful to the sender but never email the owner
+        if (spam.quarantined) {
+            return res.json({ success: true, id: record._id });
+        }
+
         // email owner (don’t fail request if email fails)
         if (owner.email) {
             try {
@@ -76,7 +132,15 @@ exports.exchangeContact = async (req, res) => {
             }
         }
 
-        return res.json({ success: true, id: record._id });
+        res.json({ success: true, id: record._id });
+
+        // optional auto-reply to the visitor (owner setting), sent after responding
+        sendContactAutoReply({
+            businessCard,
+            owner,
+            visitorName: name,
+            visitorEmail: email,
+        }).catch((e) => console.error("[exchangeContact] auto-reply failed:", e?.message || e));
     } catch (err) {
         console.error("exchangeContact error:", err);
         return res.status(500).json({ error: "Something went wrong." });
@@ -86,13 +150,14 @@ exports.exchangeContact = async (req, res) => {
 /* =========================================================
    PROTECTED: owner views their exchanges (Contact Book)
    GET /contact-exchanges
+   Quarantined (suspected spam) contacts are excluded; see ?quarantined=1 on /search
 ========================================================= */
 exports.listMyContactExchanges = async (req, res) => {
     try {
         const userId = req.user?._id;
         if (!userId) return res.status(401).json({ error: "Unauthorized" });
 
-        const items = await ContactExchange.find({ owner_user: userId })
+        const items = await ContactExchange.find({ owner_user: userId, is_quarantined: { $ne: true } })
             .sort({ createdAt: -1 })
             .limit(500)
             .lean();
@@ -126,3 +191,391 @@ exports.deleteMyContactExchange = async (req, res) => {
         return res.status(500).json({ error: "Failed to delete contact" });
     }
 };
+
+/* =========================================================
+   CONTACT BOOK (CRM) helpers
+========================================================= */
+const CONTACT_STATUSES = ["new", "contacted", "quoted", "won", "lost"];
+const MAX_TAGS = 20;
+const MAX_PAGE_SIZE = 100;
+
+const escapeRegex = (v) => String(v || "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const cleanTag = (v) =>
+    String(v || "")
+        .trim()
+        .toLowerCase()
+        .replace(/\s+/g, " ")
+        .slice(0, 40);
+
+const parseList = (v) => {
+    if (Array.isArray(v)) return v;
+    if (v == null || v === "") return [];
+    return String(v).split(",");
+};
+
+const parseDateOrNull = (v) => {
+    if (v == null || v === "") return null;
+    const d = new Date(v);
+    return Number.isNaN(d.getTime()) ? undefined : d;
+};
+
+const isObjectId = (v) => /^[a-f0-9]{24}$/i.test(String(v || ""));
+
+/**
+ * Query-string filters → Mongo query for the owner's contacts.
+ * Returns { query } or { error }.
+ */
+function buildContactSearchQuery(userId, q = {}) {
+    const query = { owner_user: userId };
+
+    // Spam folder is separate: quarantined=1 shows only suspected spam
+    const quarantined = ["1", "true", "yes"].includes(String(q.quarantined || "").toLowerCase());
+    query.is_quarantined = quarantined ? true : { $ne: true };
+
+    const profileSlug = normalizeSlug(q.profile || q.profileSlug);
+    if (profileSlug) query.profile_slug = profileSlug;
+
+    const statuses = parseList(q.status).map((s) => String(s).trim().toLowerCase()).filter(Boolean);
+    if (statuses.some((s) => !CONTACT_STATUSES.includes(s))) {
+        return { error: `status must be one of: ${CONTACT_STATUSES.join(", ")}` };
+    }
+    if (statuses.length) {
+        // Contacts saved before statuses existed have no status: treat as "new"
+        query.status = { $in: statuses.includes("new") ? [...statuses, null] : statuses };
+    }
+
+    const tags = parseList(q.tag || q.tags).map(cleanTag).filter(Boolean);
+    if (tags.length) query.tags = { $all: tags };
+
+    const from = parseDateOrNull(q.from);
+    const to = parseDateOrNull(q.to);
+    if (from === undefined || to === undefined) {
+        return { error: "from/to must be valid dates" };
+    }
+    if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = from;
+        if (to) query.createdAt.$lte = to;
+    }
+
+    // followUp=due → follow-up date reached; followUp=scheduled → any follow-up set
+    const followUp = String(q.followUp || "").trim().toLowerCase();
+    if (followUp === "due") query.follow_up_at = { $ne: null, $lte: new Date() };
+    if (followUp === "scheduled") query.follow_up_at = { $ne: null };
+
+    const text = cleanText(q.q, 100);
+    if (text) {
+        const rx = new RegExp(escapeRegex(text), "i");
+        query.$or = [
+            { visitor_name: rx },
+            { visitor_email: rx },
+            { visitor_phone: rx },
+            { message: rx },
+            { "notes.text": rx },
+            { tags: rx },
+        ];
+    }
+
+    return { query };
+}
+
+const CONTACT_SORTS = {
+    newest: { createdAt: -1 },
+    oldest: { createdAt: 1 },
+    follow_up: { follow_up_at: 1, createdAt: -1 },
+    updated: { updatedAt: -1 },
+};
+
+/* =========================================================
+   PROTECTED: search / filter / paginate the Contact Book
+   GET /contact-exchanges/search
+   ?q=&profile=&status=new,contacted&tag=&from=&to=&followUp=due
+   &quarantined=1&page=1&limit=25&sort=newest|oldest|follow_up|updated
+========================================================= */
+exports.searchMyContactExchanges = async (req, res) => {
+    try {
+        const userId = req.user?._id;
+        if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+        const built = buildContactSearchQuery(userId, req.query || {});
+        if (built.error) return res.status(400).json({ error: built.error });
+
+        const page = Math.max(1, parseInt(req.query?.page, 10) || 1);
+        const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query?.limit, 10) || 25));
+        const sort = CONTACT_SORTS[String(req.query?.sort || "").toLowerCase()] || CONTACT_SORTS.newest;
+
+        const [items, total, statusCounts, quarantinedCount] = await Promise.all([
+            ContactExchange.find(built.query)
+                .sort(sort)
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            ContactExchange.countDocuments(built.query),
+            ContactExchange.aggregate([
+                { $match: { owner_user: userId, is_quarantined: { $ne: true } } },
+                { $group: { _id: "$status", count: { $sum: 1 } } },
+            ]),
+            ContactExchange.countDocuments({ owner_user: userId, is_quarantined: true }),
+        ]);
+
+        const counts = Object.fromEntries(CONTACT_STATUSES.map((s) => [s, 0]));
+        for (const row of statusCounts) {
+            // Contacts created before statuses existed count as "new"
+            const key = row._id || "new";
+            if (key in counts) counts[key] += row.count;
+        }
+
+        return res.json({
+            data: items,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.max(1, Math.ceil(total / limit)),
+            },
+            statusCounts: counts,
+            quarantinedCount,
+        });
+    } catch (err) {
+        console.error("searchMyContactExchanges error:", err);
+        return res.status(500).json({ error: "Failed to search contacts" });
+    }
+};
+
+/* =========================================================
+   PROTECTED: tags in use (for filter dropdowns)
+   GET /contact-exchanges/tags
+========================================================= */
+exports.listMyContactTags = async (req, res) => {
+    try {
+        const userId = req.user?._id;
+        if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+        const tags = await ContactExchange.distinct("tags", { owner_user: userId });
+        return res.json({ data: tags.filter(Boolean).sort() });
+    } catch (err) {
+        console.error("listMyContactTags error:", err);
+        return res.status(500).json({ error: "Failed to load tags" });
+    }
+};
+
+/* =========================================================
+   PROTECTED: update status / tags / follow-up
+   PATCH /contact-exchanges/:id
+   Body (all optional): { status, tags: [], follow_up_at: ISO | null, quarantined: bool }
+========================================================= */
+exports.updateMyContactExchange = async (req, res) => {
+    try {
+        const userId = req.user?._id;
+        const id = req.params.id;
+
+        if (!userId) return res.status(401).json({ error: "Unauthorized" });
+        if (!isObjectId(id)) return res.status(400).json({ error: "Invalid id" });
+
+        const contact = await ContactExchange.findOne({ _id: id, owner_user: userId });
+        if (!contact) return res.status(404).json({ error: "Not found" });
+
+        const body = req.body && typeof req.body === "object" ? req.body : {};
+
+        if (body.status !== undefined) {
+            const status = String(body.status || "").trim().toLowerCase();
+            if (!CONTACT_STATUSES.includes(status)) {
+                return res.status(400).json({ error: `status must be one of: ${CONTACT_STATUSES.join(", ")}` });
+            }
+            if (status !== contact.status) {
+                contact.status = status;
+                contact.status_changed_at = new Date();
+            }
+        }
+
+        if (body.tags !== undefined) {
+            const tags = [...new Set(parseList(body.tags).map(cleanTag).filter(Boolean))];
+            if (tags.length > MAX_TAGS) {
+                return res.status(400).json({ error: `A contact can have at most ${MAX_TAGS} tags` });
+            }
+            contact.tags = tags;
+        }
+
+        if (body.follow_up_at !== undefined) {
+            const followUp = parseDateOrNull(body.follow_up_at);
+            if (followUp === undefined) return res.status(400).json({ error: "follow_up_at must be a valid date" });
+            contact.follow_up_at = followUp;
+        }
+
+        // "Not spam" / "Mark as spam" from the Contact Book
+        if (body.quarantined !== undefined) {
+            contact.is_quarantined = body.quarantined === true || body.quarantined === "true";
+            if (!contact.is_quarantined) contact.spam_reasons = [];
+        }
+
+        await contact.save();
+        return res.json({ data: contact });
+    } catch (err) {
+        console.error("updateMyContactExchange error:", err);
+        return res.status(500).json({ error: "Failed to update contact" });
+    }
+};
+
+/* =========================================================
+   PROTECTED: notes
+   POST   /contact-exchanges/:id/notes          { text }
+   DELETE /contact-exchanges/:id/notes/:noteId
+========================================================= */
+exports.addContactExchangeNote = async (req, res) => {
+    try {
+        const userId = req.user?._id;
+        const id = req.params.id;
+
+        if (!userId) return res.status(401).json({ error: "Unauthorized" });
+        if (!isObjectId(id)) return res.status(400).json({ error: "Invalid id" });
+
+        const text = cleanText(req.body?.text, 2000);
+        if (!text) return res.status(400).json({ error: "Note text is required." });
+
+        const contact = await ContactExchange.findOne({ _id: id, owner_user: userId });
+        if (!contact) return res.status(404).json({ error: "Not found" });
+
+        contact.notes.push({ text, author: userId });
+        await contact.save();
+
+        return res.status(201).json({ data: contact });
+    } catch (err) {
+        console.error("addContactExchangeNote error:", err);
+        return res.status(500).json({ error: "Failed to add note" });
+    }
+};
+
+exports.deleteContactExchangeNote = async (req, res) => {
+    try {
+        const userId = req.user?._id;
+        const { id, noteId } = req.params;
+
+        if (!userId) return res.status(401).json({ error: "Unauthorized" });
+        if (!isObjectId(id) || !isObjectId(noteId)) return res.status(400).json({ error: "Invalid id" });
+
+        const contact = await ContactExchange.findOne({ _id: id, owner_user: userId });
+        if (!contact) return res.status(404).json({ error: "Not found" });
+
+        const note = contact.notes.id(noteId);
+        if (!note) return res.status(404).json({ error: "Note not found" });
+
+        note.deleteOne();
+        await contact.save();
+
+        return res.json({ data: contact });
+    } catch (err) {
+        console.error("deleteContactExchangeNote error:", err);
+        return res.status(500).json({ error: "Failed to delete note" });
+    }
+};
+
+/* =========================================================
+   PROTECTED: exports
+   GET /contact-exchanges/export/csv?columns=name,email&from=&to=&profile=
+   GET /contact-exchanges/export/vcf?from=&to=&profile=
+   Same filters as /contact-exchanges/search (profile omitted = all profiles).
+========================================================= */
+const EXPORT_COLUMNS = {
+    id: { header: "ID", value: (c) => String(c._id) },
+    name: { header: "Name", value: (c) => c.visitor_name },
+    email: { header: "Email", value: (c) => c.visitor_email },
+    phone: { header: "Phone", value: (c) => c.visitor_phone },
+    message: { header: "Message", value: (c) => c.message },
+    profile: { header: "Profile", value: (c) => c.profile_slug },
+    status: { header: "Status", value: (c) => c.status || "new" },
+    tags: { header: "Tags", value: (c) => (c.tags || []).join("; ") },
+    notes: { header: "Notes", value: (c) => (c.notes || []).map((n) => n.text).join("\n") },
+    follow_up: { header: "Follow-up", value: (c) => c.follow_up_at || "" },
+    created_at: { header: "Received", value: (c) => c.createdAt },
+};
+
+const DEFAULT_EXPORT_COLUMNS = ["name", "email", "phone", "message", "profile", "status", "tags", "created_at"];
+
+const exportFilename = (profileSlug, ext) => {
+    const day = new Date().toISOString().slice(0, 10);
+    return `konarcard-contacts-${profileSlug || "all"}-${day}.${ext}`;
+};
+
+exports.exportMyContactExchangesCsv = async (req, res) => {
+    try {
+        const userId = req.user?._id;
+        if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+        const built = buildContactSearchQuery(userId, req.query || {});
+        if (built.error) return res.status(400).json({ error: built.error });
+
+        const columns = parseList(req.query?.columns).map((c) => String(c).trim().toLowerCase()).filter(Boolean);
+        const unknown = columns.filter((c) => !EXPORT_COLUMNS[c]);
+        if (unknown.length) {
+            return res.status(400).json({
+                error: `Unknown columns: ${unknown.join(", ")}. Available: ${Object.keys(EXPORT_COLUMNS).join(", ")}`,
+            });
+        }
+        const selected = columns.length ? columns : DEFAULT_EXPORT_COLUMNS;
+
+        const profileSlug = normalizeSlug(req.query?.profile || req.query?.profileSlug);
+
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader("Content-Disposition", `attachment; filename="${exportFilename(profileSlug, "csv")}"`);
+
+        // BOM so Excel opens UTF-8 correctly
+        res.write("\uFEFF");
+        res.write(csvRow(selected.map((c) => EXPORT_COLUMNS[c].header)));
+
+        const cursor = ContactExchange.find(built.query).sort({ createdAt: -1 }).lean().cursor();
+        for await (const contact of cursor) {
+            res.write(csvRow(selected.map((c) => EXPORT_COLUMNS[c].value(contact))));
+        }
+
+        return res.end();
+    } catch (err) {
+        console.error("exportMyContactExchangesCsv error:", err);
+        if (res.headersSent) return res.end();
+        return res.status(500).json({ error: "Failed to export contacts" });
+    }
+};
+
+exports.exportMyContactExchangesVcf = async (req, res) => {
+    try {
+        const userId = req.user?._id;
+        if (!userId) return res.status(401).json({ error: "Unauthorized" });
+
+        const built = buildContactSearchQuery(userId, req.query || {});
+        if (built.error) return res.status(400).json({ error: built.error });
+
+        const profileSlug = normalizeSlug(req.query?.profile || req.query?.profileSlug);
+
+        res.setHeader("Content-Type", "text/vcard; charset=utf-8");
+        res.setHeader("Content-Disposition", `attachment; filename="${exportFilename(profileSlug, "vcf")}"`);
+
+        const cursor = ContactExchange.find(built.query).sort({ createdAt: -1 }).lean().cursor();
+        for await (const contact of cursor) {
+            const note = [
+                contact.message,
+                `Via KonarCard profile ${contact.profile_slug}`,
+            ]
+                .filter(Boolean)
+                .join("\n");
+
+            res.write(
+                buildVcard(
+                    {
+                        fullName: contact.visitor_name,
+                        email: contact.visitor_email,
+                        phone: contact.visitor_phone,
+                        note,
+                        revision: contact.updatedAt || contact.createdAt,
+                    },
+                    { version: req.query?.version }
+                )
+            );
+        }
+
+        return res.end();
+    } catch (err) {
+        console.error("exportMyContactExchangesVcf error:", err);
+        if (res.headersSent) return res.end();
+        return res.status(500).json({ error: "Failed to export contacts" });
+    }
+};
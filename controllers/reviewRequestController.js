@@ -0,0 +1,375 @@
+// backend/controllers/reviewRequestController.js
+// Review requests: the owner emails a past customer a signed single-use
+// link; the customer's review is stored as a verified, pending ProfileReview
+// and goes through the normal moderation flow.
+const BusinessCard = require("../models/BusinessCard");
+const ContactExchange = require("../models/ContactExchange");
+const ProfileReview = require("../models/ProfileReview");
+const ReviewRequest = require("../models/ReviewRequest");
+const sendEmail = require("../utils/SendEmail");
+const { reviewRequestTemplate } = require("../utils/emailTemplates");
+const { findEditableProfile } = require("../helpers/profileAccess");
+const { buildPublishedView } = require("../utils/profileSnapshot");
+const { getClientIp } = require("../utils/trackProfileEvent");
+const { createRateLimiter } = require("../utils/rateLimit");
+const {
+    REVIEW_REQUEST_TTL_DAYS,
+    buildReviewRequestUrl,
+    getReviewRequestExpiry,
+    isReviewRequestSigningConfigured,
+    signReviewRequestToken,
+    verifyReviewRequestToken,
+} = require("../utils/reviewRequests");
+
+const REQUEST_STATUSES = ["outstanding", "opened", "completed"];
+
+// Emails sent per profile per day (keeps a compromised account from spamming)
+const sendLimiter = createRateLimiter({
+    windowMs: 24 * 60 * 60 * 1000,
+    max: Number(process.env.REVIEW_REQUEST_RATE_LIMIT_PER_PROFILE) || 50,
+});
+
+const norm = (v) => String(v || "").trim();
+
+const safeSlug = (v) =>
+    String(v || "")
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9-]/g, "");
+
+const isObjectId = (v) => /^[a-f0-9]{24}$/i.test(String(v || ""));
+const isEmail = (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(v || ""));
+
+const isExpired = (request) => new Date(request.expires_at).getTime() <= Date.now();
+
+const serializeReviewRequest = (r) => ({
+    _id: r._id,
+    customer_name: r.customer_name || "",
+    customer_email: r.customer_email,
+    contact_exchange: r.contact_exchange || null,
+    status: r.status,
+    expired: r.status !== "completed" && isExpired(r),
+    sent_at: r.sent_at,
+    opened_at: r.opened_at,
+    completed_at: r.completed_at,
+    expires_at: r.expires_at,
+    review: r.review || null,
+    createdAt: r.createdAt,
+});
+
+const profileDisplayName = (view) =>
+    view.business_name || view.full_name || view.business_card_name || view.profile_slug || "";
+
+/**
+ * Resolves a token from the URL to its ReviewRequest.
+ * Sends the error response itself and returns null on failure.
+ */
+const loadRequestFromToken = async (req, res) => {
+    const verified = verifyReviewRequestToken(req.params.token);
+    if (verified.error) {
+        const status = verified.error === "REVIEW_REQUEST_EXPIRED" ? 410 : 400;
+        res.status(status).json({ error: "This review link is invalid or has expired.", code: verified.error });
+        return null;
+    }
+
+    const request = isObjectId(verified.requestId)
+        ? await ReviewRequest.findById(verified.requestId)
+        : null;
+    if (!request) {
+        res.status(404).json({ error: "Review request not found", code: "REVIEW_REQUEST_INVALID" });
+        return null;
+    }
+
+    if (request.status === "completed") {
+        res.status(410).json({ error: "This review link has already been used.", code: "REVIEW_REQUEST_USED" });
+        return null;
+    }
+
+    if (isExpired(request)) {
+        res.status(410).json({ error: "This review link has expired.", code: "REVIEW_REQUEST_EXPIRED" });
+        return null;
+    }
+
+    return request;
+};
+
+/* =========================================================
+   PROTECTED: send a review request
+   POST /api/business-card/profiles/:slug/review-requests
+   Body: { contactExchangeId } or { name, email }, optional { message }
+========================================================= */
+const createReviewRequest = async (req, res) => {
+    try {
+        if (!req.user?._id) return res.status(401).json({ error: "Unauthorized" });
+
+        if (!isReviewRequestSigningConfigured()) {
+            console.error("[createReviewRequest] REVIEW_REQUEST_SECRET is not set");
+            return res.status(503).json({
+                error: "Review requests are not available right now.",
+                code: "REVIEW_REQUESTS_UNAVAILABLE",
+            });
+        }
+
+        const slug = safeSlug(req.params.slug);
+        if (!slug) return res.status(400).json({ error: "profile_slug required" });
+
+        const access = await findEditableProfile(req.user, slug);
+        if (!access) return res.status(404).json({ error: "Profile not found" });
+        const card = access.card;
+
+        const body = req.body && typeof req.body === "object" ? req.body : {};
+
+        let name = norm(body.name).slice(0, 80);
+        let email = norm(body.email).toLowerCase().slice(0, 254);
+        let contactExchangeId = null;
+
+        if (body.contactExchangeId !== undefined && body.contactExchangeId !== null) {
+            if (!isObjectId(body.contactExchangeId)) {
+                return res.status(400).json({ error: "Invalid contactExchangeId" });
+            }
+
+            const contact = await ContactExchange.findOne({
+                _id: body.contactExchangeId,
+                owner_user: card.user,
+            }).lean();
+            if (!contact) return res.status(404).json({ error: "Contact not found" });
+
+            contactExchangeId = contact._id;
+            name = name || contact.visitor_name || "";
+            email = email || contact.visitor_email || "";
+        }
+
+        if (!email) return res.status(400).json({ error: "Customer email is required." });
+        if (!isEmail(email)) return res.status(400).json({ error: "Invalid email address." });
+
+        const message = norm(body.message).slice(0, 1000);
+
+        // One live request per customer per profile
+        const existing = await ReviewRequest.findOne({
+            business_card: card._id,
+            customer_email: email,
+            status: { $in: ["outstanding", "opened"] },
+            expires_at: { $gt: new Date() },
+        }).lean();
+        if (existing) {
+            return res.status(409).json({
+                error: "A review request is already outstanding for this customer.",
+                code: "REVIEW_REQUEST_EXISTS",
+                data: serializeReviewRequest(existing),
+            });
+        }
+
+        const sendHit = sendLimiter.hit(String(card._id));
+        if (!sendHit.allowed) {
+            res.setHeader("Retry-After", String(Math.ceil(sendHit.retryAfterMs / 1000)));
+            return res.status(429).json({
+                error: "Too many review requests sent from this profile today. Please try again later.",
+                code: "RATE_LIMITED",
+            });
+        }
+
+        const request = await ReviewRequest.create({
+            business_card: card._id,
+            owner_user: card.user,
+            profile_slug: card.profile_slug,
+            contact_exchange: contactExchangeId,
+            customer_name: name,
+            customer_email: email,
+            message,
+            sent_by: req.user._id,
+            expires_at: getReviewRequestExpiry(),
+        });
+
+        const view = buildPublishedView(card);
+        const link = buildReviewRequestUrl(signReviewRequestToken(request));
+        const html = reviewRequestTemplate(
+            name,
+            profileDisplayName(view),
+            message,
+            link,
+            REVIEW_REQUEST_TTL_DAYS
+        );
+
+        try {
+            await sendEmail(email, `${profileDisplayName(view) || "KonarCard"} would love your feedback`, html, {
+                replyTo: view.contact_email || undefined,
+            });
+        } catch (e) {
+            // Nothing was delivered: don't leave a request the customer never received
+            await ReviewRequest.deleteOne({ _id: request._id });
+            console.error("[createReviewRequest] email failed:", e?.message || e);
+            return res.status(502).json({ error: "Failed to send review request email", code: "EMAIL_FAILED" });
+        }
+
+        request.sent_at = new Date();
+        await request.save();
+
+        return res.status(201).json({ data: serializeReviewRequest(request) });
+    } catch (err) {
+        console.error("createReviewRequest error:", err);
+        return res.status(500).json({ error: "Failed to create review request" });
+    }
+};
+
+/* =========================================================
+   PROTECTED: list review requests for a profile
+   GET /api/business-card/profiles/:slug/review-requests?status=outstanding|opened|completed
+========================================================= */
+const listReviewRequests = async (req, res) => {
+    try {
+        if (!req.user?._id) return res.status(401).json({ error: "Unauthorized" });
+
+        const slug = safeSlug(req.params.slug);
+        if (!slug) return res.status(400).json({ error: "profile_slug required" });
+
+        const access = await findEditableProfile(req.user, slug);
+        if (!access) return res.status(404).json({ error: "Profile not found" });
+        const card = access.card;
+
+        const status = norm(req.query?.status).toLowerCase();
+        if (status && !REQUEST_STATUSES.includes(status)) {
+            return res.status(400).json({ error: `status must be one of: ${REQUEST_STATUSES.join(", ")}` });
+        }
+
+        const page = Math.max(1, parseInt(req.query?.page, 10) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query?.limit, 10) || 25));
+
+        const query = { business_card: card._id };
+        if (status) query.status = status;
+
+        const [items, total, grouped] = await Promise.all([
+            ReviewRequest.find(query)
+                .sort({ createdAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            ReviewRequest.countDocuments(query),
+            ReviewRequest.aggregate([
+                { $match: { business_card: card._id } },
+                { $group: { _id: "$status", count: { $sum: 1 } } },
+            ]),
+        ]);
+
+        const counts = Object.fromEntries(REQUEST_STATUSES.map((s) => [s, 0]));
+        for (const row of grouped) if (row._id in counts) counts[row._id] = row.count;
+
+        return res.json({
+            data: items.map(serializeReviewRequest),
+            pagination: { page, limit, total, pages: Math.max(1, Math.ceil(total / limit)) },
+            counts,
+        });
+    } catch (err) {
+        console.error("listReviewRequests error:", err);
+        return res.status(500).json({ error: "Failed to load review requests" });
+    }
+};
+
+/* =========================================================
+   PUBLIC: open a review request link
+   GET /api/business-card/review-requests/:token
+   Marks the request as opened and returns what the form needs.
+========================================================= */
+const openReviewRequest = async (req, res) => {
+    try {
+        const request = await loadRequestFromToken(req, res);
+        if (!request) return;
+
+        const card = await BusinessCard.findById(request.business_card);
+        if (!card) return res.status(404).json({ error: "Business card not found" });
+
+        if (request.status === "outstanding") {
+            request.status = "opened";
+            request.opened_at = new Date();
+            await request.save();
+        }
+
+        const view = buildPublishedView(card);
+
+        return res.json({
+            data: {
+                customer_name: request.customer_name || "",
+                expires_at: request.expires_at,
+                profile: {
+                    profile_slug: card.profile_slug,
+                    name: profileDisplayName(view),
+                    trade_title: view.trade_title || "",
+                    logo: view.logo || view.avatar || "",
+                },
+            },
+        });
+    } catch (err) {
+        console.error("openReviewRequest error:", err);
+        return res.status(500).json({ error: "Failed to open review request" });
+    }
+};
+
+/* =========================================================
+   PUBLIC: submit the review for a request (single use)
+   POST /api/business-card/review-requests/:token
+   Body: { rating (1-5), text, name? }
+========================================================= */
+const submitReviewForRequest = async (req, res) => {
+    try {
+        const request = await loadRequestFromToken(req, res);
+        if (!request) return;
+
+        const body = req.body && typeof req.body === "object" ? req.body : {};
+        const name = (norm(body.name) || request.customer_name).slice(0, 80);
+        const text = norm(body.text).slice(0, 1000);
+        const rating = Number(body.rating);
+
+        if (!name) return res.status(400).json({ error: "Name is required." });
+        if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+            return res.status(400).json({ error: "rating must be a whole number from 1 to 5" });
+        }
+
+        // Claim the link atomically so two submits can't both succeed
+        const claimed = await ReviewRequest.findOneAndUpdate(
+            { _id: request._id, status: { $ne: "completed" } },
+            { $set: { status: "completed", completed_at: new Date() } },
+            { new: true }
+        );
+        if (!claimed) {
+            return res.status(410).json({ error: "This review link has already been used.", code: "REVIEW_REQUEST_USED" });
+        }
+
+        let review;
+        try {
+            review = await ProfileReview.create({
+                business_card: claimed.business_card,
+                owner_user: claimed.owner_user,
+                profile_slug: claimed.profile_slug,
+                reviewer_name: name,
+                reviewer_email: claimed.customer_email,
+                rating,
+                text,
+                verified: true,
+                review_request: claimed._id,
+                ip: getClientIp(req),
+                user_agent: String(req.headers["user-agent"] || "").slice(0, 300),
+            });
+        } catch (e) {
+            // Give the link back if the review couldn't be stored
+            await ReviewRequest.updateOne(
+                { _id: claimed._id },
+                { $set: { status: request.status, completed_at: null } }
+            );
+            throw e;
+        }
+
+        claimed.review = review._id;
+        await claimed.save();
+
+        return res.status(201).json({ success: true, id: review._id, status: review.status });
+    } catch (err) {
+        console.error("submitReviewForRequest error:", err);
+        return res.status(500).json({ error: "Failed to submit review" });
+    }
+};
+
+module.exports = {
+    createReviewRequest,
+    listReviewRequests,
+    openReviewRequest,
+    submitReviewForRequest,
+};
@@ -130,7 +130,7 @@ const getProfile = (req, res) => {
   const { token } = req.cookies;
   if (token) {
     jwt.verify(token, process.env.JWT_SECRET, {}, (err, user) => {
-      if (err) return res.status(401).json({ error: 'Token invalid' });
+      if (err || user?.purpose) return res.status(401).json({ error: 'Token invalid' });
       res.json(user);
     });
   } else {
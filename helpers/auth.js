@@ -37,11 +37,29 @@ const getTokenFromReq = (req) => {
     return null;
 };
 
+/**
+ * User id of a valid login token, or null. For public endpoints whose
+ * answer depends on who is asking; does not load the user.
+ */
+const getOptionalUserId = (req) => {
+    const token = getTokenFromReq(req);
+    if (!token) return null;
+
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (decoded?.purpose) return null;
+        return decoded?.id || decoded?._id || decoded?.userId || null;
+    } catch {
+        return null;
+    }
+};
+
 /**
  * ✅ requireAuth:
  * - verifies JWT
  * - checks user still exists
  * - attaches req.auth + req.user
+ * - rejects purpose-bound tokens (unsubscribe / review links etc. are never logins)
  *
  * IMPORTANT:
  * - this middleware must ONLY authenticate (no plan/trial/verification gating here)
@@ -52,6 +70,7 @@ const requireAuth = async (req, res, next) => {
 
     try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (decoded?.purpose) return res.status(401).json({ error: "Invalid token" });
 
         const userId = decoded?.id || decoded?._id || decoded?.userId;
         if (!userId) return res.status(401).json({ error: "Invalid token" });
@@ -79,6 +98,7 @@ const requireAuth = async (req, res, next) => {
 module.exports = {
     hashPassword,
     comparePassword,
+    getOptionalUserId,
     getTokenFromReq,
     requireAuth,
 };
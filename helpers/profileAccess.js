@@ -0,0 +1,89 @@
+// backend/helpers/profileAccess.js
+// Who may edit a BusinessCard: its owner, or a member of the owner's
+// Organisation (admins/managers: every profile, members: assigned ones).
+const BusinessCard = require("../models/BusinessCard");
+const Organisation = require("../models/Organisation");
+const User = require("../models/user");
+
+const EDIT_ALL_ROLES = ["admin", "manager"];
+
+const sameId = (a, b) => !!a && !!b && String(a) === String(b);
+
+/**
+ * Active memberships of `userId` in organisations whose owner is still on Teams.
+ * Returns [{ org, member }].
+ */
+async function getActiveMemberships(userId) {
+    if (!userId) return [];
+
+    const orgs = await Organisation.find({
+        members: { $elemMatch: { user: userId, status: "active" } },
+    });
+    if (!orgs.length) return [];
+
+    const owners = await User.find({ _id: { $in: orgs.map((o) => o.owner) } })
+        .select("_id plan")
+        .lean();
+    const teamsOwners = new Set(
+        owners.filter((u) => String(u.plan || "").toLowerCase() === "teams").map((u) => String(u._id))
+    );
+
+    return orgs
+        .filter((org) => teamsOwners.has(String(org.owner)))
+        .map((org) => ({
+            org,
+            member: org.members.find((m) => sameId(m.user, userId) && m.status === "active"),
+        }));
+}
+
+function memberCanEdit(member, card) {
+    if (!member || !card) return false;
+    if (EDIT_ALL_ROLES.includes(member.role)) return true;
+    return (member.assigned_profiles || []).some((id) => sameId(id, card._id));
+}
+
+/**
+ * Find a profile by slug that `user` may edit.
+ * Returns { card, role } (role = "owner" | "admin" | "manager" | "member") or null.
+ */
+async function findEditableProfile(user, slug) {
+    const userId = user?._id;
+    if (!userId || !slug) return null;
+
+    const card = await BusinessCard.findOne({ profile_slug: slug });
+    if (!card) return null;
+
+    if (sameId(card.user, userId)) return { card, role: "owner" };
+
+    const memberships = await getActiveMemberships(userId);
+    const match = memberships.find(
+        ({ org, member }) => sameId(org.owner, card.user) && memberCanEdit(member, card)
+    );
+
+    return match ? { card, role: match.member.role } : null;
+}
+
+/**
+ * Profiles owned by someone else that `user` may edit through a team.
+ */
+async function listTeamProfiles(user) {
+    const memberships = await getActiveMemberships(user?._id);
+    const out = [];
+
+    for (const { org, member } of memberships) {
+        const query = EDIT_ALL_ROLES.includes(member.role)
+            ? { user: org.owner }
+            : { user: org.owner, _id: { $in: member.assigned_profiles || [] } };
+
+        const cards = await BusinessCard.find(query).sort({ updatedAt: -1 });
+        for (const card of cards) out.push({ card, role: member.role, organisation: org._id });
+    }
+
+    return out;
+}
+
+module.exports = {
+    findEditableProfile,
+    getActiveMemberships,
+    listTeamProfiles,
+};
@@ -16,19 +16,51 @@ const authRoutes = require("./routes/authRoutes");
 const nfcOrdersRoutes = require("./routes/nfcOrders");
 const analyticsRoutes = require("./routes/analytics");
 const adminRoutes = require("./routes/adminRoutes");
+const physicalCardRoutes = require("./routes/physicalCards");
+const redirectRoutes = require("./routes/redirects");
+const organisationRoutes = require("./routes/organisationRoutes");
+const profilePageRoutes = require("./routes/profilePages");
+const directoryRoutes = require("./routes/directory");
+const customDomainRoutes = require("./routes/customDomains");
+const campaignRoutes = require("./routes/campaigns");
+const {
+  customDomainRouting,
+  isCustomDomainOrigin,
+  migrateHostnameIndex,
+  refreshCustomDomainCache,
+} = require("./utils/customDomains");
+const { applyRawEventRetention } = require("./utils/analyticsRollups");
+const backfillAnalyticsDevices = require("./jobs/analyticsDeviceBackfill");
 
 // Stripe webhook handler (exports a FUNCTION, not a router)
 const stripeWebhookHandler = require("./routes/webHook");
 
 const app = express();
 
+// req.ip = the client address as seen by our load balancer. TRUST_PROXY is
+// the number of proxy hops in front of the app (default 1), or an Express
+// trust-proxy value such as "loopback".
+const trustProxy = process.env.TRUST_PROXY || "1";
+app.set("trust proxy", /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+
 /* -------------------- DB -------------------- */
 mongoose
   .connect(process.env.MONGO_URL)
-  .then(() => console.log("✅ Database Connected"))
+  .then(() => {
+    console.log("✅ Database Connected");
+    // Verified custom domains feed CORS + host routing
+    migrateHostnameIndex().then(refreshCustomDomainCache);
+    // TTL on raw analytics events (ANALYTICS_RAW_EVENT_TTL_DAYS)
+    applyRawEventRetention().catch((err) =>
+      console.error("Raw analytics retention error:", err?.message || err)
+    );
+    // One-off: device / OS / browser for events stored before parsing (no-op once done)
+    backfillAnalyticsDevices();
+  })
   .catch((err) => console.log("❌ Database Connection Error:", err));
 
 /* -------------------- CORS -------------------- */
+// Static list + verified custom domains (see utils/customDomains.js)
 const allowedOrigins = [
   "http://localhost:5173",
   "http://127.0.0.1:5173",
@@ -40,6 +72,7 @@ const corsOptions = {
   origin: (origin, callback) => {
     if (!origin) return callback(null, true);
     if (allowedOrigins.includes(origin)) return callback(null, true);
+    if (isCustomDomainOrigin(origin)) return callback(null, true);
     return callback(new Error(`CORS blocked for origin: ${origin}`), false);
   },
   credentials: true,
@@ -90,6 +123,10 @@ app.use(
 configurePassport();
 app.use(passport.initialize());
 
+/* -------------------- Custom domains -------------------- */
+// card.theirbusiness.co.uk/ → /u/:slug (must run before the routers)
+app.use(customDomainRouting);
+
 /* -------------------- Routes -------------------- */
 /**
  * authRoutes contains:
@@ -110,6 +147,18 @@ app.use("/api/business-card", businessCardRoutes);
 app.use("/api/nfc-orders", nfcOrdersRoutes);
 app.use("/api/analytics", analyticsRoutes);
 app.use("/api/admin", adminRoutes);
+app.use("/api/physical-cards", physicalCardRoutes);
+app.use("/api/organisations", organisationRoutes);
+app.use("/api/directory", directoryRoutes);
+app.use("/api/custom-domains", customDomainRoutes);
+app.use("/api/campaigns", campaignRoutes);
+
+// Short links printed on cards (/c/:token) and campaign links (/l/:code)
+app.use("/", redirectRoutes);
+
+// Server-rendered public profiles (meta tags for link previews): /u/:slug
+// plus /sitemap.xml of directory-listed profiles
+app.use("/", profilePageRoutes);
 
 /* -------------------- Health -------------------- */
 app.get("/healthz", (req, res) => res.status(200).send("ok"));
@@ -129,6 +178,9 @@ app.use((err, req, res, next) => {
 try {
   const cron = require("node-cron");
   const sendPaymentReminders = require("./jobs/paymentReminder");
+  const rollupAnalytics = require("./jobs/analyticsRollup");
+  const sendAnalyticsDigests = require("./jobs/analyticsDigest");
+  const recheckCustomDomains = require("./jobs/customDomainRecheck");
 
   // Run daily at 9:00 AM UTC
   cron.schedule("0 9 * * *", () => {
@@ -136,6 +188,25 @@ try {
     sendPaymentReminders();
   });
 
+  // Daily analytics rollups at 00:15 UTC (yesterday is complete by then)
+  cron.schedule("15 0 * * *", () => {
+    console.log("[cron] Running analytics rollup job...");
+    rollupAnalytics();
+  });
+
+  // Weekly analytics digest, Mondays 08:00 UTC. The later runs only pick up
+  // what an interrupted run missed (sends are tracked per user + week).
+  cron.schedule("0 8,14,20 * * 1", () => {
+    console.log("[cron] Running analytics digest job...");
+    sendAnalyticsDigests();
+  });
+
+  // Verified custom domains are re-checked daily (03:30 UTC)
+  cron.schedule("30 3 * * *", () => {
+    console.log("[cron] Running custom domain recheck job...");
+    recheckCustomDomains();
+  });
+
   console.log("✅ Cron jobs scheduled");
 } catch (err) {
   console.warn("⚠️  node-cron not installed — payment reminders disabled. Run: npm install node-cron");
@@ -0,0 +1,133 @@
+// backend/jobs/analyticsDeviceBackfill.js
+// One-off migration: parses user_agent into device_type / os / browser on
+// analytics events stored before that happened at ingest, then re-rolls the
+// daily rollups so older days get device breakdowns too (only days whose raw
+// events are complete; see rerollDays).
+// Started by server.js after the DB connects; a no-op once completed.
+//
+// Resumable: only events without device_type (or stored as "unknown" with a
+// User-Agent, by the old /public/:slug/track route) are touched, in _id
+// order, so an interrupted run picks up where it stopped. Events from before
+// bot classification also get is_bot from their User-Agent.
+
+const ProfileAnalyticsEvent = require("../models/ProfileAnalyticsEvent");
+const ProfileAnalyticsDaily = require("../models/ProfileAnalyticsDaily");
+const AnalyticsRollupState = require("../models/AnalyticsRollupState");
+const { isBotUserAgent } = require("../utils/botDetection");
+const { parseUserAgent } = require("../utils/userAgent");
+const {
+    addDaysToKey,
+    getRawEventTtlDays,
+    getRolledThrough,
+    rollupDay,
+    toDayKey,
+} = require("../utils/analyticsRollups");
+
+// v2: also re-parses "unknown" events (v1 only handled missing device_type)
+const STATE_KEY = "device_backfill_v2";
+const BATCH_SIZE = 1000;
+
+function buildEventUpdate(event) {
+    const $set = parseUserAgent(event.user_agent);
+
+    if (!event.is_bot && isBotUserAgent(event.user_agent)) {
+        $set.is_bot = true;
+        $set.bot_reason = event.user_agent ? "user_agent" : "no_user_agent";
+    }
+
+    return { updateOne: { filter: { _id: event._id }, update: { $set } } };
+}
+
+async function backfillEvents() {
+    let updated = 0;
+    let lastId = null;
+
+    for (;;) {
+        const query = {
+            $or: [
+                { device_type: { $exists: false } },
+                { device_type: "unknown", user_agent: { $nin: ["", null] } },
+            ],
+        };
+        if (lastId) query._id = { $gt: lastId };
+
+        const batch = await ProfileAnalyticsEvent.find(query)
+            .select("_id user_agent is_bot")
+            .sort({ _id: 1 })
+            .limit(BATCH_SIZE)
+            .lean();
+        if (!batch.length) break;
+
+        await ProfileAnalyticsEvent.bulkWrite(batch.map(buildEventUpdate), { ordered: false });
+        updated += batch.length;
+        lastId = batch[batch.length - 1]._id;
+    }
+
+    return updated;
+}
+
+/**
+ * Re-rolls every rolled-up day whose raw events are all still there
+ * (older days keep their rollup, without device breakdowns).
+ *
+ * rollupDay replaces a day's rollup with what the raw events say, so a day
+ * that lost events to a TTL (even one no longer configured) must be left
+ * alone. Rollups older than the oldest raw event mean events have expired:
+ * that event's day may be partial too, so re-rolling starts the day after.
+ */
+async function rerollDays() {
+    const rolledThrough = await getRolledThrough();
+    if (!rolledThrough) return 0;
+
+    // _id order ~ insertion order, and always indexed
+    const oldestEvent = await ProfileAnalyticsEvent.findOne({}).sort({ _id: 1 }).select("createdAt").lean();
+    if (!oldestEvent) return 0;
+    const oldestEventDay = toDayKey(oldestEvent.createdAt);
+
+    const oldest = await ProfileAnalyticsDaily.findOne({}).sort({ day: 1 }).select("day").lean();
+    let day = oldest?.day || "";
+    if (day && day < oldestEventDay) day = addDaysToKey(oldestEventDay, 1);
+
+    const ttlDays = getRawEventTtlDays();
+    if (ttlDays) {
+        const firstCompleteDay = addDaysToKey(toDayKey(new Date()), -(ttlDays - 1));
+        if (day < firstCompleteDay) day = firstCompleteDay;
+    }
+
+    let days = 0;
+    while (day && day <= rolledThrough) {
+        await rollupDay(day);
+        days += 1;
+        day = addDaysToKey(day, 1);
+    }
+
+    return days;
+}
+
+async function backfillAnalyticsDevices() {
+    try {
+        const state = await AnalyticsRollupState.findOne({ key: STATE_KEY }).select("completed_at").lean();
+        if (state?.completed_at) return;
+
+        console.log("[analyticsDeviceBackfill] Parsing user agents of older events...");
+        const events = await backfillEvents();
+        const days = await rerollDays();
+
+        await AnalyticsRollupState.updateOne(
+            { key: STATE_KEY },
+            { $set: { completed_at: new Date(), last_run_at: new Date(), last_error: "" } },
+            { upsert: true }
+        );
+
+        console.log(`[analyticsDeviceBackfill] Done. Updated ${events} event(s), re-rolled ${days} day(s).`);
+    } catch (err) {
+        console.error("[analyticsDeviceBackfill] Job error:", err);
+        await AnalyticsRollupState.updateOne(
+            { key: STATE_KEY },
+            { $set: { last_run_at: new Date(), last_error: String(err?.message || err).slice(0, 500) } },
+            { upsert: true }
+        ).catch(() => { });
+    }
+}
+
+module.exports = backfillAnalyticsDevices;
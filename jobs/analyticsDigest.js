@@ -0,0 +1,140 @@
+// backend/jobs/analyticsDigest.js
+// Emails each profile owner a summary of last week (Mon–Sun, UTC) per
+// profile, with the change from the week before.
+// Called on Mondays by node-cron in server.js; safe to run again.
+//
+// Every send is claimed in AnalyticsDigestSend first (unique per user +
+// week), so a re-run after a crash skips users already done. A claim left in
+// "sending" (crash during sendEmail) is never retried: a missed digest is
+// better than a duplicate. Failures before or inside sendEmail are retried
+// by later runs up to MAX_ATTEMPTS.
+
+const User = require("../models/user");
+const BusinessCard = require("../models/BusinessCard");
+const AnalyticsDigestSend = require("../models/AnalyticsDigestSend");
+const sendEmail = require("../utils/SendEmail");
+const { analyticsDigestTemplate } = require("../utils/emailTemplates");
+const {
+    buildDigestUnsubscribeUrl,
+    buildEmailSettingsUrl,
+    buildOwnerDigest,
+    getDigestWeek,
+} = require("../utils/analyticsDigest");
+
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Returns true when this run owns the send for (user, week).
+ */
+async function claimDigest(user, weekKey) {
+    try {
+        await AnalyticsDigestSend.create({
+            user: user._id,
+            week: weekKey,
+            status: "sending",
+            attempts: 1,
+            email: user.email,
+        });
+        return true;
+    } catch (err) {
+        if (err?.code !== 11000) throw err;
+    }
+
+    const retried = await AnalyticsDigestSend.findOneAndUpdate(
+        { user: user._id, week: weekKey, status: "failed", attempts: { $lt: MAX_ATTEMPTS } },
+        { $set: { status: "sending", email: user.email }, $inc: { attempts: 1 } },
+        { new: true }
+    );
+    return !!retried;
+}
+
+const markDigest = (userId, weekKey, fields) =>
+    AnalyticsDigestSend.updateOne({ user: userId, week: weekKey }, { $set: fields });
+
+async function sendAnalyticsDigests({ now = new Date() } = {}) {
+    const week = getDigestWeek(now);
+    const counts = { sent: 0, skipped: 0, failed: 0 };
+
+    try {
+        const ownerIds = await BusinessCard.distinct("user", { profile_slug: { $nin: [null, ""] } });
+
+        const users = User.find({
+            _id: { $in: ownerIds },
+            email: { $nin: [null, ""] },
+            "emailPreferences.weeklyAnalyticsDigest": { $ne: false },
+        })
+            .select("_id name email")
+            .lean()
+            .cursor();
+
+        console.log(`[analyticsDigest] Week of ${week.weekKey}: checking ${ownerIds.length} owner(s)...`);
+
+        for await (const user of users) {
+            let claimed = false;
+            try {
+                claimed = await claimDigest(user, week.weekKey);
+                if (!claimed) continue;
+
+                const profiles = await buildOwnerDigest(user._id, week);
+                if (!profiles.length) {
+                    await markDigest(user._id, week.weekKey, { status: "skipped", last_error: "" });
+                    counts.skipped += 1;
+                    continue;
+                }
+
+                const unsubscribeUrl = buildDigestUnsubscribeUrl(user._id);
+
+                await sendEmail(
+                    user.email,
+                    `Your KonarCard week: ${week.label}`,
+                    analyticsDigestTemplate(user.name, {
+                        weekLabel: week.label,
+                        profiles,
+                        settingsUrl: buildEmailSettingsUrl(),
+                        unsubscribeUrl,
+                    }),
+                    unsubscribeUrl
+                        ? {
+                            headers: {
+                                "List-Unsubscribe": `<${unsubscribeUrl}>`,
+                                "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+                            },
+                        }
+                        : {}
+                );
+
+                await markDigest(user._id, week.weekKey, {
+                    status: "sent",
+                    sent_at: new Date(),
+                    profile_count: profiles.length,
+                    last_error: "",
+                });
+                counts.sent += 1;
+            } catch (err) {
+                console.error(`[analyticsDigest] Failed for ${user.email}:`, err?.message);
+                counts.failed += 1;
+                if (claimed) {
+                    await markDigest(user._id, week.weekKey, {
+                        status: "failed",
+                        last_error: String(err?.message || err).slice(0, 500),
+                    }).catch(() => { });
+                }
+            }
+        }
+
+        const stuck = await AnalyticsDigestSend.countDocuments({ week: week.weekKey, status: "sending" });
+        if (stuck) {
+            console.warn(`[analyticsDigest] ${stuck} digest(s) left in "sending" by an interrupted run; not resent.`);
+        }
+
+        console.log(
+            `[analyticsDigest] Done. Sent ${counts.sent}, skipped ${counts.skipped}, failed ${counts.failed}.`
+        );
+    } catch (err) {
+        console.error("[analyticsDigest] Job error:", err);
+    }
+
+    return counts;
+}
+
+module.exports = sendAnalyticsDigests;
@@ -0,0 +1,32 @@
+// backend/jobs/analyticsRollup.js
+// Rolls yesterday's (and any missed days') raw analytics events into
+// ProfileAnalyticsDaily, then re-applies the raw event TTL.
+// Called daily by node-cron in server.js.
+
+const { applyRawEventRetention, runDailyRollup } = require("../utils/analyticsRollups");
+
+async function rollupAnalytics() {
+    try {
+        const { days, rollups, rolledThrough } = await runDailyRollup();
+
+        if (!days) {
+            console.log("[analyticsRollup] Nothing to roll up.");
+        } else {
+            console.log(
+                `[analyticsRollup] Rolled up ${days} day(s), ${rollups} profile-day(s), through ${rolledThrough}.`
+            );
+        }
+    } catch (err) {
+        console.error("[analyticsRollup] Job error:", err);
+        return;
+    }
+
+    try {
+        const { ttlDays } = await applyRawEventRetention();
+        console.log(`[analyticsRollup] Raw event TTL: ${ttlDays ? `${ttlDays} day(s)` : "off"}.`);
+    } catch (err) {
+        console.error("[analyticsRollup] Retention error:", err);
+    }
+}
+
+module.exports = rollupAnalytics;
@@ -0,0 +1,31 @@
+// backend/jobs/customDomainRecheck.js
+// Re-checks the TXT record of every verified custom domain. Domains that no
+// longer verify (record removed, domain lapsed or sold) stop routing and
+// lose their CORS allowance; their QR codes go back to /u/:slug.
+// Called daily by node-cron in server.js.
+
+const BusinessCard = require("../models/BusinessCard");
+const { regenerateProfileQr } = require("../controllers/businessCardController");
+const { recheckVerifiedDomains } = require("../utils/customDomains");
+
+async function recheckCustomDomains() {
+    try {
+        const lapsed = await recheckVerifiedDomains();
+
+        for (const domain of lapsed) {
+            console.warn(`[customDomainRecheck] ${domain.hostname} no longer verifies: ${domain.last_error}`);
+            try {
+                const card = await BusinessCard.findById(domain.business_card);
+                if (card) await regenerateProfileQr(card);
+            } catch (e) {
+                console.error("[customDomainRecheck] QR regeneration failed:", e?.message || e);
+            }
+        }
+
+        console.log(`[customDomainRecheck] Done. ${lapsed.length} domain(s) lapsed.`);
+    } catch (err) {
+        console.error("[customDomainRecheck] Job error:", err);
+    }
+}
+
+module.exports = recheckCustomDomains;
@@ -0,0 +1,42 @@
+// backend/models/AnalyticsDigestSend.js
+const mongoose = require("mongoose");
+
+// One weekly analytics digest for one user, written by
+// jobs/analyticsDigest.js. The unique { user, week } index is what stops a
+// re-run (or a second instance) from sending the same week twice.
+//
+// status:
+//   sending → claimed; the email may or may not have gone out
+//   sent    → delivered to the SMTP server
+//   failed  → sendEmail threw; retried by later runs up to the attempt limit
+//   skipped → no activity on any profile in either week
+const analyticsDigestSendSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+
+        // Monday of the reported week, "YYYY-MM-DD" (UTC)
+        week: { type: String, required: true },
+
+        status: {
+            type: String,
+            enum: ["sending", "sent", "failed", "skipped"],
+            default: "sending",
+        },
+
+        attempts: { type: Number, default: 0 },
+        email: { type: String, default: "", trim: true, lowercase: true },
+        profile_count: { type: Number, default: 0 },
+        sent_at: { type: Date, default: null },
+        last_error: { type: String, default: "" },
+    },
+    { timestamps: true }
+);
+
+analyticsDigestSendSchema.index({ user: 1, week: 1 }, { unique: true });
+analyticsDigestSendSchema.index({ week: 1, status: 1 });
+
+module.exports = mongoose.model("AnalyticsDigestSend", analyticsDigestSendSchema);
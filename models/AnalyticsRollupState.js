@@ -0,0 +1,25 @@
+// backend/models/AnalyticsRollupState.js
+const mongoose = require("mongoose");
+
+// Progress of jobs/analyticsRollup.js (key "daily"). Days up to and
+// including rolled_through are served from ProfileAnalyticsDaily; later days
+// are read from raw events. Also tracks jobs/analyticsDeviceBackfill.js.
+const analyticsRollupStateSchema = new mongoose.Schema(
+    {
+        key: { type: String, required: true, trim: true },
+
+        // "YYYY-MM-DD" (UTC), "" = nothing rolled up yet
+        rolled_through: { type: String, default: "" },
+
+        last_run_at: { type: Date, default: null },
+
+        // One-off jobs (key "device_backfill_v2"): set once finished
+        completed_at: { type: Date, default: null },
+        last_error: { type: String, default: "" },
+    },
+    { timestamps: true }
+);
+
+analyticsRollupStateSchema.index({ key: 1 }, { unique: true });
+
+module.exports = mongoose.model("AnalyticsRollupState", analyticsRollupStateSchema);
@@ -208,6 +208,43 @@ const businessCardSchema = new mongoose.Schema(
     linkedin_url: { type: String, default: "" },
     x_url: { type: String, default: "" },
     tiktok_url: { type: String, default: "" },
+
+    /* -------------------------------------------------
+       Draft / published
+       Top-level content fields are the working draft.
+       `published` is the content snapshot served publicly
+       (see utils/profileSnapshot.js). null = legacy profile
+       that predates drafts: top-level fields are served.
+    ------------------------------------------------- */
+    published: { type: mongoose.Schema.Types.Mixed, default: null },
+    published_at: { type: Date, default: null },
+
+    // Owner opted in to the public directory + sitemap ("list me")
+    list_in_directory: { type: Boolean, default: false, index: true },
+
+    // Generated 1200x630 share image (utils/ogImage.js); hash of its inputs
+    og_image_url: { type: String, default: "" },
+    og_image_hash: { type: String, default: "" },
+
+    // Style of qr_code_url and of NFC order QR artwork (utils/qrCode.js).
+    // A setting: changes re-render the QR without publishing.
+    qr_style: {
+      foreground_color: { type: String, trim: true, default: "#000000" },
+      background_color: { type: String, trim: true, default: "#ffffff" },
+      error_correction: { type: String, enum: ["L", "M", "Q", "H"], default: "M" },
+      // "profile" = the published logo (or avatar); "custom" = logo_url
+      logo_mode: { type: String, enum: ["none", "profile", "custom"], default: "none" },
+      logo_url: { type: String, trim: true, default: "" },
+    },
+
+    // Auto-reply sent to visitors who exchange contact details.
+    // A setting, not profile content: changes apply without publishing.
+    auto_reply: {
+      enabled: { type: Boolean, default: false },
+      subject: { type: String, trim: true, maxlength: 150, default: "" },
+      message: { type: String, trim: true, maxlength: 2000, default: "" },
+      attach_vcard: { type: Boolean, default: true },
+    },
   },
   {
     timestamps: true,
@@ -0,0 +1,59 @@
+// backend/models/BusinessCardRevision.js
+const mongoose = require("mongoose");
+
+const businessCardRevisionSchema = new mongoose.Schema(
+    {
+        // Which BusinessCard profile this snapshot belongs to
+        business_card: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "BusinessCard",
+            required: true,
+            index: true,
+        },
+
+        // Owner of the profile at the time of the snapshot
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true,
+        },
+
+        // Slug at the time of the snapshot (informational only)
+        profile_slug: { type: String, trim: true, lowercase: true, default: "" },
+
+        // Per-profile sequence number: 1, 2, 3...
+        revision: { type: Number, required: true, min: 1 },
+
+        // baseline = state captured before the first tracked save
+        // save     = result of saveBusinessCard
+        // restore  = result of restoring an older revision
+        // brand_kit = team brand kit applied to the profile
+        reason: {
+            type: String,
+            enum: ["baseline", "save", "restore", "brand_kit"],
+            default: "save",
+        },
+
+        // For reason=restore: which revision was restored
+        restored_from: { type: Number, default: undefined },
+
+        // Who made the change (owner or a team member)
+        edited_by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+
+        // Field names that differ from the previous revision
+        changed_fields: { type: [String], default: [] },
+
+        // Content fields only (see utils/profileSnapshot.js)
+        snapshot: { type: mongoose.Schema.Types.Mixed, default: {} },
+    },
+    { timestamps: true, minimize: false }
+);
+
+businessCardRevisionSchema.index({ business_card: 1, revision: -1 }, { unique: true });
+
+module.exports = mongoose.model("BusinessCardRevision", businessCardRevisionSchema);
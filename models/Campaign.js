@@ -0,0 +1,54 @@
+// backend/models/Campaign.js
+const mongoose = require("mongoose");
+
+// A named marketing campaign for one profile ("van livery", "flyer March").
+// Its short link /l/:code redirects to the profile with the campaign's UTM
+// parameters; the QR code encodes the same link with ?via=qr.
+const campaignSchema = new mongoose.Schema(
+    {
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true,
+        },
+
+        business_card: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "BusinessCard",
+            required: true,
+            index: true,
+        },
+
+        name: { type: String, required: true, trim: true, maxlength: 80 },
+
+        // Short link token (/l/:code)
+        code: { type: String, required: true, trim: true },
+
+        // UTM preset appended on redirect
+        utm_source: { type: String, trim: true, lowercase: true, maxlength: 120, default: "" },
+        utm_medium: { type: String, trim: true, lowercase: true, maxlength: 120, default: "" },
+        utm_campaign: { type: String, trim: true, lowercase: true, maxlength: 160, default: "" },
+        utm_term: { type: String, trim: true, maxlength: 160, default: "" },
+        utm_content: { type: String, trim: true, maxlength: 160, default: "" },
+
+        qr_code_url: { type: String, default: "" },
+
+        // Archived campaigns still redirect (printed material lives on)
+        // but are hidden from the default list
+        status: {
+            type: String,
+            enum: ["active", "archived"],
+            default: "active",
+        },
+
+        click_count: { type: Number, default: 0 },
+        last_clicked_at: { type: Date, default: null },
+    },
+    { timestamps: true }
+);
+
+campaignSchema.index({ code: 1 }, { unique: true });
+campaignSchema.index({ user: 1, business_card: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Campaign", campaignSchema);
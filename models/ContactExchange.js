@@ -18,6 +18,37 @@ const contactExchangeSchema = new mongoose.Schema(
         visitor_phone: { type: String, trim: true, maxlength: 20 },
         message: { type: String, trim: true, maxlength: 500 },
 
+        // Contact book (CRM) fields — managed by the owner
+        status: {
+            type: String,
+            enum: ["new", "contacted", "quoted", "won", "lost"],
+            default: "new",
+            index: true,
+        },
+        status_changed_at: { type: Date, default: null },
+
+        tags: { type: [String], default: [] },
+
+        notes: {
+            type: [
+                new mongoose.Schema(
+                    {
+                        text: { type: String, required: true, trim: true, maxlength: 2000 },
+                        author: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+                    },
+                    { timestamps: true }
+                ),
+            ],
+            default: [],
+        },
+
+        follow_up_at: { type: Date, default: null },
+
+        // Suspected spam: stored but the owner is not emailed and it is
+        // hidden from the main Contact Book list (see utils/spamCheck.js)
+        is_quarantined: { type: Boolean, default: false },
+        spam_reasons: { type: [String], default: [] },
+
         // Basic metadata for abuse/debug
         ip: { type: String, maxlength: 64 },
         user_agent: { type: String, maxlength: 300 },
@@ -28,5 +59,9 @@ const contactExchangeSchema = new mongoose.Schema(
 // Helpful compound indexes for “my incoming contacts” queries
 contactExchangeSchema.index({ owner_user: 1, createdAt: -1 });
 contactExchangeSchema.index({ profile_slug: 1, createdAt: -1 });
+contactExchangeSchema.index({ owner_user: 1, status: 1, createdAt: -1 });
+contactExchangeSchema.index({ owner_user: 1, tags: 1 });
+contactExchangeSchema.index({ owner_user: 1, follow_up_at: 1 });
+contactExchangeSchema.index({ owner_user: 1, is_quarantined: 1, createdAt: -1 });
 
 module.exports = mongoose.model("ContactExchange", contactExchangeSchema);
@@ -0,0 +1,54 @@
+// backend/models/CustomDomain.js
+const mongoose = require("mongoose");
+
+// A customer-owned hostname (e.g. card.theirbusiness.co.uk) that serves one
+// BusinessCard profile. Only "verified" domains are routed / allowed by CORS.
+const customDomainSchema = new mongoose.Schema(
+    {
+        hostname: {
+            type: String,
+            required: true,
+            trim: true,
+            lowercase: true,
+            maxlength: 253,
+        },
+
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true,
+        },
+
+        business_card: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "BusinessCard",
+            required: true,
+        },
+
+        // Value expected in the TXT record at _konarcard.<hostname>
+        verification_token: { type: String, required: true },
+
+        status: {
+            type: String,
+            enum: ["pending", "verified", "failed"],
+            default: "pending",
+            index: true,
+        },
+        verified_at: { type: Date, default: null },
+        last_checked_at: { type: Date, default: null },
+        last_error: { type: String, default: "" },
+    },
+    { timestamps: true }
+);
+
+// Anyone may claim a hostname; only one claim can be verified. Verifying
+// removes the other (pending / failed) claims, so a squatter's unverified
+// claim never blocks the real owner. See migrateHostnameIndex.
+customDomainSchema.index(
+    { hostname: 1 },
+    { unique: true, name: "hostname_verified_unique", partialFilterExpression: { status: "verified" } }
+);
+customDomainSchema.index({ business_card: 1 }, { unique: true });
+
+module.exports = mongoose.model("CustomDomain", customDomainSchema);
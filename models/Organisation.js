@@ -0,0 +1,127 @@
+// backend/models/Organisation.js
+const mongoose = require("mongoose");
+
+const { Schema } = mongoose;
+
+/**
+ * Team member (or pending invite).
+ * - admin:   manage members + edit every profile
+ * - manager: edit every profile
+ * - member:  edit only assigned_profiles
+ */
+const memberSchema = new Schema(
+    {
+        // Null until the invite is accepted
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+
+        email: {
+            type: String,
+            required: true,
+            trim: true,
+            lowercase: true,
+        },
+
+        role: {
+            type: String,
+            enum: ["admin", "manager", "member"],
+            default: "member",
+        },
+
+        status: {
+            type: String,
+            enum: ["invited", "active"],
+            default: "invited",
+        },
+
+        // sha256 of the emailed invite token (the raw token is never stored)
+        invite_token_hash: { type: String, default: "" },
+        invite_expires: { type: Date, default: null },
+        invited_by: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            default: null,
+        },
+        joined_at: { type: Date, default: null },
+
+        // BusinessCard docs (owned by the organisation owner) this member may edit
+        assigned_profiles: {
+            type: [{ type: Schema.Types.ObjectId, ref: "BusinessCard" }],
+            default: [],
+        },
+    },
+    { timestamps: true }
+);
+
+/**
+ * Shared look for every team profile (see utils/brandKit.js).
+ * Empty values are not part of the kit.
+ */
+const brandKitSchema = new Schema(
+    {
+        logo: { type: String, default: "" },
+        cover_photo: { type: String, default: "" },
+        button_bg_color: { type: String, default: "" },
+        button_text_color: { type: String, default: "" },
+        template_id: { type: String, default: "" },
+        theme_mode: { type: String, default: "" },
+        style: { type: String, default: "" },
+        section_order: { type: [String], default: [] },
+
+        // Fields profiles cannot override
+        locked_fields: { type: [String], default: [] },
+
+        updated_at: { type: Date, default: null },
+    },
+    { _id: false }
+);
+
+const organisationSchema = new Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 120,
+        },
+
+        // Teams subscriber. All team BusinessCards stay owned by this user.
+        owner: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+
+        /**
+         * Seats = owner's Teams quantity (User.teamsProfilesQty, i.e. the
+         * Stripe teamsStripeItemId quantity). The owner uses one seat.
+         * Synced by the Stripe webhook, see utils/organisations.js.
+         */
+        seats: {
+            type: Number,
+            default: 1,
+            min: 1,
+        },
+
+        members: {
+            type: [memberSchema],
+            default: [],
+        },
+
+        brand_kit: {
+            type: brandKitSchema,
+            default: () => ({}),
+        },
+    },
+    { timestamps: true }
+);
+
+organisationSchema.index({ owner: 1 }, { unique: true });
+organisationSchema.index({ "members.user": 1 });
+organisationSchema.index({ "members.invite_token_hash": 1 });
+
+module.exports =
+    mongoose.models.Organisation || mongoose.model("Organisation", organisationSchema);
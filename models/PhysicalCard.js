@@ -0,0 +1,85 @@
+// backend/models/PhysicalCard.js
+const mongoose = require("mongoose");
+
+const { Schema } = mongoose;
+
+// One printed NFC/QR card. The chip and QR encode /c/:token, never a
+// profile URL, so the owner can point the card at another profile or
+// switch it off if it is lost.
+const physicalCardSchema = new Schema(
+    {
+        // Short public id encoded on the card (see utils/physicalCards.js)
+        token: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true,
+        },
+
+        order: {
+            type: Schema.Types.ObjectId,
+            ref: "NfcOrder",
+            default: null,
+            index: true,
+        },
+
+        // 1..quantity within the order
+        order_index: {
+            type: Number,
+            default: 1,
+            min: 1,
+        },
+
+        // Profile the card currently resolves to (null = unassigned)
+        business_card: {
+            type: Schema.Types.ObjectId,
+            ref: "BusinessCard",
+            default: null,
+            index: true,
+        },
+
+        // Owner-facing name, e.g. "Van card" or "Sam's card"
+        label: {
+            type: String,
+            default: "",
+            trim: true,
+            maxlength: 80,
+        },
+
+        status: {
+            type: String,
+            enum: ["active", "deactivated"],
+            default: "active",
+            index: true,
+        },
+
+        deactivated_at: { type: Date, default: null },
+
+        // Lightweight counters; full analytics live in ProfileAnalyticsEvent
+        tap_count: { type: Number, default: 0 },
+        last_tapped_at: { type: Date, default: null },
+    },
+    { timestamps: true }
+);
+
+physicalCardSchema.index({ token: 1 }, { unique: true });
+// One card per order position: concurrent provisioning (webhook retries,
+// admin re-run) cannot create duplicates
+physicalCardSchema.index(
+    { order: 1, order_index: 1 },
+    {
+        unique: true,
+        name: "order_index_unique",
+        partialFilterExpression: { order: { $type: "objectId" } },
+    }
+);
+physicalCardSchema.index({ user: 1, createdAt: -1 });
+
+module.exports =
+    mongoose.models.PhysicalCard || mongoose.model("PhysicalCard", physicalCardSchema);
@@ -0,0 +1,92 @@
+// backend/models/ProfileAnalyticsDaily.js
+const mongoose = require("mongoose");
+
+const { Schema } = mongoose;
+
+// Count per ProfileAnalyticsEvent.event_type
+const eventCountsSchema = new Schema(
+    {
+        profile_view: { type: Number, default: 0 },
+        qr_scan: { type: Number, default: 0 },
+        nfc_tap: { type: Number, default: 0 },
+        link_open: { type: Number, default: 0 },
+        contact_save: { type: Number, default: 0 },
+        contact_exchange: { type: Number, default: 0 },
+        contact_exchange_opened: { type: Number, default: 0 },
+        email_clicked: { type: Number, default: 0 },
+        phone_clicked: { type: Number, default: 0 },
+        social_clicked: { type: Number, default: 0 },
+    },
+    { _id: false }
+);
+
+const campaignDaySchema = new Schema(
+    {
+        campaign: { type: Schema.Types.ObjectId, ref: "Campaign", required: true },
+        profile_views: { type: Number, default: 0 },
+        qr_scans: { type: Number, default: 0 },
+        link_opens: { type: Number, default: 0 },
+        visitor_keys: { type: [String], default: [] },
+        converter_keys: { type: [String], default: [] },
+    },
+    { _id: false }
+);
+
+// One UTC day of ProfileAnalyticsEvent for one profile, written by
+// jobs/analyticsRollup.js. Raw events can expire (TTL); these are kept.
+//
+// visitor_keys / converter_keys are hashed visitor identities (see
+// utils/analyticsRollups.js) so unique counts over a date range stay exact.
+const profileAnalyticsDailySchema = new Schema(
+    {
+        owner_user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+        },
+
+        business_card: {
+            type: Schema.Types.ObjectId,
+            ref: "BusinessCard",
+            required: true,
+        },
+
+        // Slug at roll-up time (informational; query by business_card)
+        profile_slug: { type: String, default: "", trim: true, lowercase: true },
+
+        // "YYYY-MM-DD" (UTC)
+        day: { type: String, required: true },
+
+        // Human traffic only; everything below excludes bots too
+        events: { type: eventCountsSchema, default: () => ({}) },
+
+        // Events classified as bots (is_bot), kept apart
+        bot_events: { type: eventCountsSchema, default: () => ({}) },
+
+        // social_clicked by canonical platform (facebook, instagram, ... other)
+        social: { type: Map, of: Number, default: {} },
+
+        // email/phone/social clicks by action_target
+        click_targets: { type: Map, of: Number, default: {} },
+
+        // Profile views by parsed user agent (utils/userAgent.js keys)
+        devices: { type: Map, of: Number, default: {} },
+        operating_systems: { type: Map, of: Number, default: {} },
+        browsers: { type: Map, of: Number, default: {} },
+
+        unique_visitors: { type: Number, default: 0 },
+        contact_conversions: { type: Number, default: 0 },
+        visitor_keys: { type: [String], default: [] },
+        converter_keys: { type: [String], default: [] },
+
+        campaigns: { type: [campaignDaySchema], default: [] },
+
+        rolled_at: { type: Date, default: null },
+    },
+    { timestamps: true, minimize: false }
+);
+
+profileAnalyticsDailySchema.index({ business_card: 1, day: 1 }, { unique: true });
+profileAnalyticsDailySchema.index({ owner_user: 1, day: 1 });
+
+module.exports = mongoose.model("ProfileAnalyticsDaily", profileAnalyticsDailySchema);
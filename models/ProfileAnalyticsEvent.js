@@ -158,6 +158,20 @@ const profileAnalyticsEventSchema = new mongoose.Schema(
             maxlength: 1200,
         },
 
+        // Printed card that was tapped/scanned (via /c/:token), if any
+        physical_card: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "PhysicalCard",
+            default: null,
+        },
+
+        // Campaign short link / QR (via /l/:code), if any
+        campaign: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Campaign",
+            default: null,
+        },
+
         // Device / browser metadata
         user_agent: {
             type: String,
@@ -170,6 +184,42 @@ const profileAnalyticsEventSchema = new mongoose.Schema(
             default: "",
             maxlength: 64,
         },
+
+        // Parsed from user_agent at ingest (utils/userAgent.js)
+        // mobile | tablet | desktop | bot | unknown
+        device_type: {
+            type: String,
+            default: "unknown",
+            maxlength: 20,
+        },
+
+        // ios | android | windows | macos | chromeos | linux | other | unknown
+        os: {
+            type: String,
+            default: "unknown",
+            maxlength: 20,
+        },
+
+        // chrome | safari | firefox | edge | samsung | opera | <in-app> | other | unknown
+        browser: {
+            type: String,
+            default: "unknown",
+            maxlength: 20,
+        },
+
+        // Link-preview bot / crawler / automation (utils/botDetection.js).
+        // Excluded from dashboard metrics unless asked for.
+        is_bot: {
+            type: Boolean,
+            default: false,
+        },
+
+        // user_agent | no_user_agent | automation | no_browser_headers | high_rate
+        bot_reason: {
+            type: String,
+            default: "",
+            maxlength: 40,
+        },
     },
     { timestamps: true }
 );
@@ -227,4 +277,14 @@ profileAnalyticsEventSchema.index({
     createdAt: -1,
 });
 
+profileAnalyticsEventSchema.index(
+    { physical_card: 1, createdAt: -1 },
+    { partialFilterExpression: { physical_card: { $type: "objectId" } } }
+);
+
+profileAnalyticsEventSchema.index(
+    { owner_user: 1, campaign: 1, createdAt: -1 },
+    { partialFilterExpression: { campaign: { $type: "objectId" } } }
+);
+
 module.exports = mongoose.model("ProfileAnalyticsEvent", profileAnalyticsEventSchema);
\ No newline at end of file
@@ -0,0 +1,63 @@
+// backend/models/ProfileReview.js
+const mongoose = require("mongoose");
+
+// Reviews submitted by visitors on a public profile. Unlike
+// BusinessCard.reviews (typed in by the owner), these go through
+// moderation and only "approved" ones are shown publicly.
+const profileReviewSchema = new mongoose.Schema(
+    {
+        business_card: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "BusinessCard",
+            required: true,
+            index: true,
+        },
+
+        // Owner of the profile at submission time
+        owner_user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true,
+        },
+
+        profile_slug: { type: String, trim: true, lowercase: true, default: "" },
+
+        // Visitor-submitted fields
+        reviewer_name: { type: String, required: true, trim: true, maxlength: 80 },
+        reviewer_email: { type: String, trim: true, lowercase: true, maxlength: 254 },
+        rating: { type: Number, required: true, min: 1, max: 5 },
+        text: { type: String, trim: true, maxlength: 1000, default: "" },
+
+        // Submitted through a signed review request link (models/ReviewRequest.js)
+        verified: { type: Boolean, default: false },
+        review_request: { type: mongoose.Schema.Types.ObjectId, ref: "ReviewRequest", default: null },
+
+        status: {
+            type: String,
+            enum: ["pending", "approved", "rejected"],
+            default: "pending",
+            index: true,
+        },
+        moderated_at: { type: Date, default: null },
+        moderated_by: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+
+        // Public reply from the owner (shown under the review)
+        owner_reply: {
+            text: { type: String, trim: true, maxlength: 1000, default: "" },
+            replied_at: { type: Date, default: null },
+        },
+
+        // Heuristic flags from utils/spamCheck.js (informational for moderation)
+        spam_reasons: { type: [String], default: [] },
+
+        // Basic metadata for abuse/debug
+        ip: { type: String, maxlength: 64 },
+        user_agent: { type: String, maxlength: 300 },
+    },
+    { timestamps: true }
+);
+
+profileReviewSchema.index({ business_card: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model("ProfileReview", profileReviewSchema);
@@ -0,0 +1,47 @@
+// backend/models/ProfileSlugAlias.js
+const mongoose = require("mongoose");
+
+// Old profile slugs that must keep resolving after a rename.
+// Printed QR codes / NFC cards encode /u/:slug forever, so an alias
+// stays reserved for its owner and is never handed to another user.
+const profileSlugAliasSchema = new mongoose.Schema(
+    {
+        // The retired slug
+        slug: {
+            type: String,
+            trim: true,
+            lowercase: true,
+            required: true,
+            match: [/^[a-z0-9-]+$/, "slug can only contain a-z, 0-9 and hyphens"],
+        },
+
+        // Card the alias points to (its current profile_slug is canonical)
+        business_card: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "BusinessCard",
+            required: true,
+            index: true,
+        },
+
+        // Owner of the card when the alias was created
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true,
+        },
+
+        // Slug the card was renamed to at the time (informational only)
+        renamed_to: { type: String, trim: true, lowercase: true, default: "" },
+
+        // Set when the profile is deleted: the slug stays reserved for its
+        // owner until then (printed cards may still be in circulation)
+        expires_at: { type: Date, default: null },
+    },
+    { timestamps: true }
+);
+
+profileSlugAliasSchema.index({ slug: 1 }, { unique: true });
+profileSlugAliasSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("ProfileSlugAlias", profileSlugAliasSchema);
@@ -0,0 +1,61 @@
+// backend/models/ReviewRequest.js
+const mongoose = require("mongoose");
+
+// A review request emailed by a profile owner to a past customer.
+// The email carries a signed single-use link (utils/reviewRequests.js);
+// a review submitted through it is stored as a verified ProfileReview.
+const reviewRequestSchema = new mongoose.Schema(
+    {
+        business_card: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "BusinessCard",
+            required: true,
+            index: true,
+        },
+
+        owner_user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true,
+        },
+
+        profile_slug: { type: String, trim: true, lowercase: true, default: "" },
+
+        // Optional: the Contact Book record this request was sent from
+        contact_exchange: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "ContactExchange",
+            default: null,
+            index: true,
+        },
+
+        customer_name: { type: String, trim: true, maxlength: 80, default: "" },
+        customer_email: { type: String, required: true, trim: true, lowercase: true, maxlength: 254 },
+        message: { type: String, trim: true, maxlength: 1000, default: "" },
+
+        // outstanding = sent, link not opened yet
+        // opened      = link opened, no review yet
+        // completed   = review submitted (link can't be used again)
+        status: {
+            type: String,
+            enum: ["outstanding", "opened", "completed"],
+            default: "outstanding",
+            index: true,
+        },
+
+        sent_by: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+        sent_at: { type: Date, default: null },
+        opened_at: { type: Date, default: null },
+        completed_at: { type: Date, default: null },
+        expires_at: { type: Date, required: true },
+
+        review: { type: mongoose.Schema.Types.ObjectId, ref: "ProfileReview", default: null },
+    },
+    { timestamps: true }
+);
+
+reviewRequestSchema.index({ business_card: 1, status: 1, createdAt: -1 });
+reviewRequestSchema.index({ business_card: 1, customer_email: 1 });
+
+module.exports = mongoose.model("ReviewRequest", reviewRequestSchema);
@@ -129,6 +129,14 @@ const userSchema = new Schema(
             trim: true,
         },
 
+        /**
+         * Opt-outs for non-transactional email.
+         * weeklyAnalyticsDigest: jobs/analyticsDigest.js (Monday summary)
+         */
+        emailPreferences: {
+            weeklyAnalyticsDigest: { type: Boolean, default: true },
+        },
+
         isVerified: { type: Boolean, default: false },
 
         verificationCode: String,
@@ -7,12 +7,18 @@ const requireAdmin = require("../helpers/requireAdmin");
 const User = require("../models/user");
 const BusinessCard = require("../models/BusinessCard");
 const NfcOrder = require("../models/NfcOrder");
+const PhysicalCard = require("../models/PhysicalCard");
 
 const sendEmail = require("../utils/SendEmail");
 const {
     orderShippedTemplate,
     orderStatusUpdateTemplate,
 } = require("../utils/emailTemplates");
+const {
+    ensurePhysicalCardsForOrder,
+    serializePhysicalCard,
+} = require("../utils/physicalCards");
+const { QR_FORMATS, getProfileQrOptions, renderQrCode } = require("../utils/qrCode");
 
 const ADMIN_ORDER_STATUS_OPTIONS = [
     "order_placed",
@@ -811,4 +817,91 @@ router.patch("/orders/:id/status", async (req, res) => {
     }
 });
 
+/**
+ * GET /api/admin/orders/:id/physical-cards
+ * The /c/:token URLs to encode on each card of a paid order.
+ */
+router.get("/orders/:id/physical-cards", async (req, res) => {
+    try {
+        const orderId = toObjectIdString(req.params.id);
+        if (!orderId) {
+            return res.status(400).json({ error: "Order id is required" });
+        }
+
+        const order = await NfcOrder.findById(orderId).lean();
+        if (!order) {
+            return res.status(404).json({ error: "Order not found" });
+        }
+
+        // Orders paid before the card registry existed get their cards here
+        if (PAID_ORDER_STATUSES.includes(order.status)) {
+            await ensurePhysicalCardsForOrder(order);
+        }
+
+        const cards = await PhysicalCard.find({ order: order._id })
+            .populate("business_card", "profile_slug")
+            .sort({ order_index: 1 })
+            .lean();
+
+        return res.json({
+            ok: true,
+            data: cards.map(serializePhysicalCard),
+        });
+    } catch (err) {
+        console.error("GET /api/admin/orders/:id/physical-cards error:", err);
+        return res.status(500).json({ error: "Failed to load physical cards" });
+    }
+});
+
+/**
+ * GET /api/admin/orders/:id/qr?format=svg|pdf|png&size=2000
+ * Print-ready QR artwork for an order, in the style saved at checkout
+ * (orders from before QR styles use the profile's current style).
+ */
+router.get("/orders/:id/qr", async (req, res) => {
+    try {
+        const orderId = toObjectIdString(req.params.id);
+        if (!orderId) {
+            return res.status(400).json({ error: "Order id is required" });
+        }
+
+        const format = cleanLower(req.query?.format || "svg", 10);
+        if (!QR_FORMATS.includes(format)) {
+            return res.status(400).json({ error: "format must be png, svg or pdf", code: "INVALID_FORMAT" });
+        }
+
+        const order = await NfcOrder.findById(orderId)
+            .populate("profile", "profile_slug qr_style logo avatar published")
+            .lean();
+        if (!order) {
+            return res.status(404).json({ error: "Order not found" });
+        }
+
+        const targetUrl = getQrTargetUrlFromOrder(order);
+        if (!targetUrl) {
+            return res.status(409).json({ error: "Order has no QR target URL", code: "NO_QR_TARGET" });
+        }
+
+        const saved = getOrderPreview(order).qrStyle;
+        let style = null;
+        let logoUrl = "";
+
+        if (saved && typeof saved === "object") {
+            style = saved;
+            logoUrl = cleanString(saved.logo_url, 1200);
+        } else if (order.profile) {
+            ({ style, logoUrl } = getProfileQrOptions(order.profile));
+        }
+
+        const qr = await renderQrCode(targetUrl, style || {}, { format, size: req.query?.size, logoUrl });
+
+        res.setHeader("Content-Type", qr.contentType);
+        res.setHeader("Content-Disposition", `attachment; filename="order-${order._id}-qr.${qr.ext}"`);
+        return res.send(qr.buffer);
+    } catch (err) {
+        console.error("GET /api/admin/orders/:id/qr error:", err);
+        return res.status(500).json({ error: "Failed to render QR code" });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
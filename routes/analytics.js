@@ -1,58 +1,31 @@
 const express = require("express");
 const router = express.Router();
+const { pipeline } = require("stream/promises");
 
 const BusinessCard = require("../models/BusinessCard");
-const ProfileAnalyticsEvent = require("../models/ProfileAnalyticsEvent");
 const { requireAuth } = require("../helpers/auth");
-
-const ALLOWED_EVENT_TYPES = new Set([
-    "profile_view",
-    "qr_scan",
-    "nfc_tap",
-    "link_open",
-    "contact_save",
-    "contact_exchange",
-    "contact_exchange_opened",
-    "email_clicked",
-    "phone_clicked",
-    "social_clicked",
-]);
-
-const ALLOWED_SOURCE_TYPES = new Set([
-    "qr",
-    "nfc",
-    "direct",
-    "link",
-    "unknown",
-]);
-
-const ALLOWED_PLATFORMS = new Set([
-    "facebook",
-    "instagram",
-    "linkedin",
-    "x",
-    "tiktok",
-    "google",
-    "other",
-    "unknown",
-    "",
-]);
-
-const VIEW_EVENT_TYPES = ["qr_scan", "nfc_tap", "link_open"];
-const CONVERSION_EVENT_TYPES = ["contact_save", "contact_exchange"];
-const RECENT_ACTIVITY_EVENT_TYPES = [
-    "qr_scan",
-    "nfc_tap",
-    "link_open",
-    "contact_save",
-    "contact_exchange",
-    "contact_exchange_opened",
-    "email_clicked",
-    "phone_clicked",
-    "social_clicked",
-];
-
-const DEDUPE_WINDOW_MS = 5 * 60 * 1000;
+const {
+    cleanEventType,
+    cleanPlatform,
+    cleanSourceType,
+    trackProfileEvent,
+} = require("../utils/trackProfileEvent");
+const { buildAnalyticsSummary, resolveSocialPlatformFromValues } = require("../utils/analyticsSummary");
+const {
+    EXPORT_FORMATS,
+    EXPORT_TYPES,
+    exportHeaders,
+    exportRecord,
+    exportValues,
+    openExportCursor,
+    parseExportRange,
+} = require("../utils/analyticsExport");
+const { csvRow } = require("../utils/csv");
+const { resolveProfileSlug } = require("../utils/profileSlugs");
+const PhysicalCard = require("../models/PhysicalCard");
+const Campaign = require("../models/Campaign");
+const { cleanCardToken } = require("../utils/physicalCards");
+const { cleanCampaignCode } = require("../utils/campaigns");
 
 function cleanString(v) {
     return String(v || "").trim();
@@ -71,37 +44,6 @@ function cleanSlug(v) {
         .replace(/^-|-$/g, "");
 }
 
-function cleanEventType(v) {
-    const value = cleanLowerString(v);
-    return ALLOWED_EVENT_TYPES.has(value) ? value : "";
-}
-
-function cleanSourceType(v) {
-    const value = cleanLowerString(v);
-    return ALLOWED_SOURCE_TYPES.has(value) ? value : "unknown";
-}
-
-function cleanPlatform(v) {
-    const value = cleanLowerString(v);
-    return ALLOWED_PLATFORMS.has(value) ? value : "unknown";
-}
-
-function getClientIp(req) {
-    const xff = req.headers["x-forwarded-for"];
-    if (typeof xff === "string" && xff.trim()) {
-        return xff.split(",")[0].trim().slice(0, 64);
-    }
-
-    return (
-        req.ip ||
-        req.connection?.remoteAddress ||
-        req.socket?.remoteAddress ||
-        ""
-    )
-        .toString()
-        .slice(0, 64);
-}
-
 function parseUrlSafe(urlValue) {
     try {
         if (!urlValue || typeof urlValue !== "string") return null;
@@ -128,81 +70,6 @@ function detectPlatformFromReferrer(referrer = "", fallback = "") {
     return "other";
 }
 
-function resolveSocialPlatformFromValues(sourcePlatform = "", actionTarget = "") {
-    const source = cleanLowerString(sourcePlatform);
-    const target = cleanLowerString(actionTarget);
-    const combined = `${source} ${target}`.trim();
-
-    if (
-        source === "facebook" ||
-        target === "facebook" ||
-        target === "facebook_url" ||
-        combined.includes("facebook")
-    ) {
-        return "facebook";
-    }
-
-    if (
-        source === "instagram" ||
-        target === "instagram" ||
-        target === "instagram_url" ||
-        combined.includes("instagram")
-    ) {
-        return "instagram";
-    }
-
-    if (
-        source === "linkedin" ||
-        target === "linkedin" ||
-        target === "linkedin_url" ||
-        combined.includes("linkedin")
-    ) {
-        return "linkedin";
-    }
-
-    if (
-        source === "x" ||
-        target === "x" ||
-        target === "x_url" ||
-        target === "twitter" ||
-        target === "twitter_url" ||
-        combined.includes("twitter") ||
-        combined.includes("x")
-    ) {
-        return "x";
-    }
-
-    if (
-        source === "tiktok" ||
-        target === "tiktok" ||
-        target === "tiktok_url" ||
-        combined.includes("tiktok")
-    ) {
-        return "tiktok";
-    }
-
-    if (
-        source === "google" ||
-        target === "google" ||
-        combined.includes("google")
-    ) {
-        return "google";
-    }
-
-    if (source === "other" || target === "other") {
-        return "other";
-    }
-
-    return "unknown";
-}
-
-function resolveSocialPlatform(event = {}) {
-    return resolveSocialPlatformFromValues(
-        event?.source_platform,
-        event?.action_target
-    );
-}
-
 function pickTrackPayload(req) {
     const rawMeta =
         req.body?.meta &&
@@ -229,6 +96,19 @@ function pickTrackPayload(req) {
     const visitId = cleanString(rawMeta.visitId || rawMeta.visit_id).slice(0, 120);
 
     const parsedPageUrl = parseUrlSafe(pageUrl);
+    const physicalCardToken = cleanCardToken(
+        rawMeta.card ||
+        rawMeta.physicalCard ||
+        req.body?.physicalCard ||
+        parsedPageUrl?.searchParams?.get("card") ||
+        ""
+    );
+    const campaignCode = cleanCampaignCode(
+        rawMeta.campaign ||
+        req.body?.campaign ||
+        parsedPageUrl?.searchParams?.get("campaign") ||
+        ""
+    );
     const utm_source = cleanLowerString(
         rawMeta.utm_source || parsedPageUrl?.searchParams?.get("utm_source") || ""
     ).slice(0, 120);
@@ -258,29 +138,13 @@ function pickTrackPayload(req) {
         utm_campaign,
         utm_term,
         utm_content,
+        physical_card_token: physicalCardToken,
+        campaign_code: campaignCode,
+        // navigator.webdriver, reported by the profile page
+        client_automation: rawMeta.webdriver === true,
     };
 }
 
-function startOfDay(date) {
-    const d = new Date(date);
-    d.setHours(0, 0, 0, 0);
-    return d;
-}
-
-function addDays(date, amount) {
-    const d = new Date(date);
-    d.setDate(d.getDate() + amount);
-    return d;
-}
-
-function formatDayKey(date) {
-    const d = new Date(date);
-    const y = d.getFullYear();
-    const m = `${d.getMonth() + 1}`.padStart(2, "0");
-    const day = `${d.getDate()}`.padStart(2, "0");
-    return `${y}-${m}-${day}`;
-}
-
 function getValidRangeDays(raw) {
     const value = Number(raw);
 
@@ -299,346 +163,20 @@ function getValidRangeDays(raw) {
     return 7;
 }
 
-function isViewEventType(eventType) {
-    return VIEW_EVENT_TYPES.includes(eventType);
-}
-
-function buildRecentDuplicateQuery({
-    businessCard,
-    eventType,
-    sourceType,
-    payload,
-    ip,
-    userAgent,
-    since,
-}) {
-    const base = {
-        owner_user: businessCard.user,
-        business_card: businessCard._id,
-        profile_slug: businessCard.profile_slug,
-        event_type: eventType,
-        source_type: sourceType,
-        createdAt: { $gte: since },
-    };
-
-    if (payload.visit_id) {
-        return {
-            ...base,
-            visit_id: payload.visit_id,
-        };
-    }
-
-    if (payload.session_id) {
-        return {
-            ...base,
-            session_id: payload.session_id,
-        };
-    }
-
-    if (payload.visitor_id) {
-        return {
-            ...base,
-            visitor_id: payload.visitor_id,
-        };
-    }
-
-    return {
-        ...base,
-        ip,
-        user_agent: userAgent,
-    };
-}
-
-function buildTrafficSourcePipeline(match) {
-    return [
-        {
-            $match: {
-                ...match,
-                event_type: { $in: VIEW_EVENT_TYPES },
-            },
-        },
-        {
-            $project: {
-                canonical_source: {
-                    $switch: {
-                        branches: [
-                            {
-                                case: { $eq: ["$event_type", "link_open"] },
-                                then: "link",
-                            },
-                            {
-                                case: { $eq: ["$event_type", "qr_scan"] },
-                                then: "qr",
-                            },
-                            {
-                                case: { $eq: ["$event_type", "nfc_tap"] },
-                                then: "nfc",
-                            },
-                        ],
-                        default: "unknown",
-                    },
-                },
-            },
-        },
-        {
-            $group: {
-                _id: "$canonical_source",
-                count: { $sum: 1 },
-            },
-        },
-        { $sort: { count: -1 } },
-    ];
-}
-
-function buildIdentityExpr() {
-    return {
-        $switch: {
-            branches: [
-                {
-                    case: {
-                        $gt: [{ $strLenCP: { $ifNull: ["$visit_id", ""] } }, 0],
-                    },
-                    then: { $concat: ["visit:", "$visit_id"] },
-                },
-                {
-                    case: {
-                        $gt: [{ $strLenCP: { $ifNull: ["$session_id", ""] } }, 0],
-                    },
-                    then: { $concat: ["session:", "$session_id"] },
-                },
-                {
-                    case: {
-                        $gt: [{ $strLenCP: { $ifNull: ["$visitor_id", ""] } }, 0],
-                    },
-                    then: { $concat: ["visitor:", "$visitor_id"] },
-                },
-                {
-                    case: {
-                        $or: [
-                            { $gt: [{ $strLenCP: { $ifNull: ["$ip", ""] } }, 0] },
-                            { $gt: [{ $strLenCP: { $ifNull: ["$user_agent", ""] } }, 0] },
-                        ],
-                    },
-                    then: {
-                        $concat: [
-                            "anon:",
-                            { $ifNull: ["$ip", ""] },
-                            "|",
-                            { $ifNull: ["$user_agent", ""] },
-                        ],
-                    },
-                },
-            ],
-            default: "unknown-visitor",
-        },
-    };
-}
-
-function buildUniqueCountPipeline(match, eventTypes) {
-    return [
-        {
-            $match: {
-                ...match,
-                event_type: { $in: eventTypes },
-            },
-        },
-        {
-            $project: {
-                identity_key: buildIdentityExpr(),
-            },
-        },
-        {
-            $group: {
-                _id: "$identity_key",
-            },
-        },
-        {
-            $count: "count",
-        },
-    ];
-}
+// null = all of the owner's profiles, false = not one of theirs
+async function findOwnedProfileId(ownerUserId, profileSlug) {
+    if (!profileSlug) return null;
 
-function buildDailyUniqueConversionPipeline(match) {
-    return [
-        {
-            $match: {
-                ...match,
-                event_type: { $in: CONVERSION_EVENT_TYPES },
-            },
-        },
-        {
-            $project: {
-                day: {
-                    $dateToString: {
-                        format: "%Y-%m-%d",
-                        date: "$createdAt",
-                    },
-                },
-                identity_key: buildIdentityExpr(),
-            },
-        },
-        {
-            $group: {
-                _id: {
-                    day: "$day",
-                    identity_key: "$identity_key",
-                },
-            },
-        },
-        {
-            $group: {
-                _id: "$_id.day",
-                contactConversions: { $sum: 1 },
-            },
-        },
-        { $sort: { _id: 1 } },
-    ];
-}
+    const ownedProfile = await BusinessCard.findOne({
+        user: ownerUserId,
+        profile_slug: profileSlug,
+    })
+        .select("_id")
+        .lean();
 
-function buildTimelinePipeline(match) {
-    return [
-        { $match: match },
-        {
-            $group: {
-                _id: {
-                    day: {
-                        $dateToString: {
-                            format: "%Y-%m-%d",
-                            date: "$createdAt",
-                        },
-                    },
-                },
-                profileViews: {
-                    $sum: {
-                        $cond: [{ $in: ["$event_type", VIEW_EVENT_TYPES] }, 1, 0],
-                    },
-                },
-                linkOpens: {
-                    $sum: {
-                        $cond: [{ $eq: ["$event_type", "link_open"] }, 1, 0],
-                    },
-                },
-                qrScans: {
-                    $sum: {
-                        $cond: [{ $eq: ["$event_type", "qr_scan"] }, 1, 0],
-                    },
-                },
-                cardTaps: {
-                    $sum: {
-                        $cond: [{ $eq: ["$event_type", "nfc_tap"] }, 1, 0],
-                    },
-                },
-                contactsSaved: {
-                    $sum: {
-                        $cond: [{ $eq: ["$event_type", "contact_save"] }, 1, 0],
-                    },
-                },
-                contactExchangeSubmits: {
-                    $sum: {
-                        $cond: [{ $eq: ["$event_type", "contact_exchange"] }, 1, 0],
-                    },
-                },
-                emailClicks: {
-                    $sum: {
-                        $cond: [{ $eq: ["$event_type", "email_clicked"] }, 1, 0],
-                    },
-                },
-                phoneClicks: {
-                    $sum: {
-                        $cond: [{ $eq: ["$event_type", "phone_clicked"] }, 1, 0],
-                    },
-                },
-                socialClicks: {
-                    $sum: {
-                        $cond: [{ $eq: ["$event_type", "social_clicked"] }, 1, 0],
-                    },
-                },
-            },
-        },
-        { $sort: { "_id.day": 1 } },
-    ];
+    return ownedProfile?._id || false;
 }
 
-function buildRecentActivityPipeline(match, limit = 10) {
-    return [
-        {
-            $match: {
-                ...match,
-                event_type: { $in: RECENT_ACTIVITY_EVENT_TYPES },
-            },
-        },
-        { $sort: { createdAt: -1, _id: -1 } },
-        { $limit: limit },
-        {
-            $project: {
-                _id: 1,
-                event_type: 1,
-                source_type: 1,
-                source_platform: 1,
-                profile_slug: 1,
-                action_target: 1,
-                target_url: 1,
-                createdAt: 1,
-            },
-        },
-    ];
-}
-
-function getRecentActivityMessage(event) {
-    const eventType = cleanLowerString(event?.event_type);
-
-    switch (eventType) {
-        case "qr_scan":
-            return "Someone scanned your QR code";
-        case "nfc_tap":
-            return "Someone tapped your NFC card";
-        case "link_open":
-            return "Someone clicked your link";
-        case "contact_save":
-            return "Someone saved your number";
-        case "contact_exchange":
-            return "Someone exchanged contacts with you";
-        case "contact_exchange_opened":
-            return "Someone opened your contact exchange form";
-        case "email_clicked":
-            return "Someone clicked your email";
-        case "phone_clicked":
-            return "Someone clicked your phone number";
-        case "social_clicked": {
-            const socialPlatform = resolveSocialPlatform(event);
-
-            if (socialPlatform === "facebook") return "Someone clicked your Facebook profile";
-            if (socialPlatform === "instagram") return "Someone clicked your Instagram profile";
-            if (socialPlatform === "linkedin") return "Someone clicked your LinkedIn profile";
-            if (socialPlatform === "x") return "Someone clicked your X profile";
-            if (socialPlatform === "tiktok") return "Someone clicked your TikTok profile";
-            if (socialPlatform === "google") return "Someone clicked your Google profile";
-
-            return "Someone clicked one of your social links";
-        }
-        default:
-            return "New activity on your profile";
-    }
-}
-
-function normalizeRecentActivity(rows) {
-    return rows.map((row) => ({
-        id: row?._id?.toString?.() || String(row?._id || ""),
-        event_type: row?.event_type || "",
-        source_type: row?.source_type || "unknown",
-        source_platform: row?.source_platform || "unknown",
-        profile_slug: row?.profile_slug || "",
-        action_target: row?.action_target || "",
-        target_url: row?.target_url || "",
-        createdAt: row?.createdAt || null,
-        message: getRecentActivityMessage(row),
-    }));
-}
-
-/**
- * POST /api/analytics/track
- * Public endpoint
- */
 router.post("/track", async (req, res) => {
     try {
         const profileSlug = cleanSlug(req.body?.profileSlug);
@@ -660,11 +198,12 @@ router.post("/track", async (req, res) => {
             });
         }
 
-        const businessCard = await BusinessCard.findOne({
-            profile_slug: profileSlug,
-        })
-            .select("_id user profile_slug")
-            .lean();
+        // Renamed profiles: old slugs still count towards the current card
+        const resolved = await resolveProfileSlug(profileSlug, {
+            select: "_id user profile_slug",
+            lean: true,
+        });
+        const businessCard = resolved?.card;
 
         if (!businessCard?._id || !businessCard?.user) {
             return res.status(404).json({
@@ -673,32 +212,28 @@ router.post("/track", async (req, res) => {
             });
         }
 
-        const userAgent = cleanString(req.headers["user-agent"]).slice(0, 500);
-        const ip = getClientIp(req);
-
-        if (isViewEventType(eventType)) {
-            const since = new Date(Date.now() - DEDUPE_WINDOW_MS);
+        // ?card=<token> from /c/:token: only counts for the card's current profile
+        if (payload.physical_card_token) {
+            const physicalCard = await PhysicalCard.findOne({
+                token: payload.physical_card_token,
+                business_card: businessCard._id,
+            })
+                .select("_id")
+                .lean();
 
-            const duplicateQuery = buildRecentDuplicateQuery({
-                businessCard,
-                eventType,
-                sourceType,
-                payload,
-                ip,
-                userAgent,
-                since,
-            });
+            payload.physical_card = physicalCard?._id || null;
+        }
 
-            const existingRecentEvent = await ProfileAnalyticsEvent.findOne(duplicateQuery)
-                .select("_id createdAt")
+        // ?campaign=<code> from /l/:code: same rule, the campaign's own profile only
+        if (payload.campaign_code) {
+            const campaign = await Campaign.findOne({
+                code: payload.campaign_code,
+                business_card: businessCard._id,
+            })
+                .select("_id")
                 .lean();
 
-            if (existingRecentEvent?._id) {
-                return res.json({
-                    ok: true,
-                    deduped: true,
-                });
-            }
+            payload.campaign = campaign?._id || null;
         }
 
         const canonicalSocialPlatform =
@@ -706,29 +241,24 @@ router.post("/track", async (req, res) => {
                 ? resolveSocialPlatformFromValues(req.body?.platform, payload.action_target)
                 : detectPlatformFromReferrer(payload.referrer, req.body?.platform);
 
-        await ProfileAnalyticsEvent.create({
-            owner_user: businessCard.user,
-            business_card: businessCard._id,
-            profile_slug: businessCard.profile_slug,
-            event_type: eventType,
-            source_type: sourceType,
-            source_platform: canonicalSocialPlatform,
-            referrer: payload.referrer,
-            utm_source: payload.utm_source,
-            utm_medium: payload.utm_medium,
-            utm_campaign: payload.utm_campaign,
-            utm_term: payload.utm_term,
-            utm_content: payload.utm_content,
-            visitor_id: payload.visitor_id,
-            session_id: payload.session_id,
-            visit_id: payload.visit_id,
-            action_target: payload.action_target,
-            target_url: payload.target_url,
-            ip,
-            user_agent: userAgent,
+        const tracked = await trackProfileEvent({
+            req,
+            businessCard,
+            eventType,
+            sourceType,
+            sourcePlatform: canonicalSocialPlatform,
+            payload,
         });
 
-        return res.json({ ok: true });
+        if (tracked.deduped) {
+            return res.json({
+                ok: true,
+                deduped: true,
+                canonical_slug: businessCard.profile_slug,
+            });
+        }
+
+        return res.json({ ok: true, canonical_slug: businessCard.profile_slug });
     } catch (err) {
         console.error("POST /api/analytics/track error:", err);
         return res.status(500).json({
@@ -738,8 +268,10 @@ router.post("/track", async (req, res) => {
 });
 
 /**
- * GET /api/analytics/summary?days=7&profileSlug=slug
+ * GET /api/analytics/summary?days=7&profileSlug=slug&includeBots=1
  * Protected endpoint for dashboard analytics
+ * Reads daily rollups for complete days and raw events for the rest
+ * Bot traffic is excluded unless includeBots=1 and counted in botTraffic
  */
 router.get("/summary", requireAuth, async (req, res) => {
     try {
@@ -751,354 +283,114 @@ router.get("/summary", requireAuth, async (req, res) => {
         const days = getValidRangeDays(req.query?.days);
         const profileSlug = cleanSlug(req.query?.profileSlug);
 
-        const endDate = new Date();
-        const startDate = startOfDay(addDays(endDate, -(days - 1)));
-
-        const match = {
-            owner_user: ownerUserId,
-            createdAt: { $gte: startDate, $lte: endDate },
-        };
-
-        if (profileSlug) {
-            const ownedProfile = await BusinessCard.findOne({
-                user: ownerUserId,
-                profile_slug: profileSlug,
-            })
-                .select("_id profile_slug")
-                .lean();
-
-            if (!ownedProfile?._id) {
-                return res.status(404).json({
-                    error: "Profile not found",
-                    code: "PROFILE_NOT_FOUND",
-                });
-            }
-
-            match.profile_slug = ownedProfile.profile_slug;
+        const ownedProfileId = await findOwnedProfileId(ownerUserId, profileSlug);
+        if (ownedProfileId === false) {
+            return res.status(404).json({
+                error: "Profile not found",
+                code: "PROFILE_NOT_FOUND",
+            });
         }
 
-        const [
-            metricsRows,
-            sourceRows,
-            platformRows,
-            timelineRows,
-            dailyUniqueConversionRows,
-            uniqueVisitorRows,
-            uniqueConverterRows,
-            recentActivityRows,
-        ] = await Promise.all([
-            ProfileAnalyticsEvent.aggregate([
-                { $match: match },
-                {
-                    $group: {
-                        _id: null,
-                        profileViews: {
-                            $sum: {
-                                $cond: [{ $in: ["$event_type", VIEW_EVENT_TYPES] }, 1, 0],
-                            },
-                        },
-                        qrScans: {
-                            $sum: {
-                                $cond: [{ $eq: ["$event_type", "qr_scan"] }, 1, 0],
-                            },
-                        },
-                        cardTaps: {
-                            $sum: {
-                                $cond: [{ $eq: ["$event_type", "nfc_tap"] }, 1, 0],
-                            },
-                        },
-                        linkOpens: {
-                            $sum: {
-                                $cond: [{ $eq: ["$event_type", "link_open"] }, 1, 0],
-                            },
-                        },
-                        contactsSaved: {
-                            $sum: {
-                                $cond: [{ $eq: ["$event_type", "contact_save"] }, 1, 0],
-                            },
-                        },
-                        contactExchangeOpens: {
-                            $sum: {
-                                $cond: [
-                                    { $eq: ["$event_type", "contact_exchange_opened"] },
-                                    1,
-                                    0,
-                                ],
-                            },
-                        },
-                        contactExchangeSubmits: {
-                            $sum: {
-                                $cond: [{ $eq: ["$event_type", "contact_exchange"] }, 1, 0],
-                            },
-                        },
-                        emailClicks: {
-                            $sum: {
-                                $cond: [{ $eq: ["$event_type", "email_clicked"] }, 1, 0],
-                            },
-                        },
-                        phoneClicks: {
-                            $sum: {
-                                $cond: [{ $eq: ["$event_type", "phone_clicked"] }, 1, 0],
-                            },
-                        },
-                        socialClicks: {
-                            $sum: {
-                                $cond: [{ $eq: ["$event_type", "social_clicked"] }, 1, 0],
-                            },
-                        },
-                    },
-                },
-            ]),
-            ProfileAnalyticsEvent.aggregate(buildTrafficSourcePipeline(match)),
-            ProfileAnalyticsEvent.aggregate([
-                {
-                    $match: {
-                        ...match,
-                        event_type: "social_clicked",
-                    },
-                },
-                {
-                    $project: {
-                        canonical_platform: {
-                            $switch: {
-                                branches: [
-                                    {
-                                        case: {
-                                            $or: [
-                                                { $eq: ["$source_platform", "facebook"] },
-                                                { $eq: ["$action_target", "facebook"] },
-                                                { $eq: ["$action_target", "facebook_url"] },
-                                            ],
-                                        },
-                                        then: "facebook",
-                                    },
-                                    {
-                                        case: {
-                                            $or: [
-                                                { $eq: ["$source_platform", "instagram"] },
-                                                { $eq: ["$action_target", "instagram"] },
-                                                { $eq: ["$action_target", "instagram_url"] },
-                                            ],
-                                        },
-                                        then: "instagram",
-                                    },
-                                    {
-                                        case: {
-                                            $or: [
-                                                { $eq: ["$source_platform", "linkedin"] },
-                                                { $eq: ["$action_target", "linkedin"] },
-                                                { $eq: ["$action_target", "linkedin_url"] },
-                                            ],
-                                        },
-                                        then: "linkedin",
-                                    },
-                                    {
-                                        case: {
-                                            $or: [
-                                                { $eq: ["$source_platform", "x"] },
-                                                { $eq: ["$action_target", "x"] },
-                                                { $eq: ["$action_target", "x_url"] },
-                                                { $eq: ["$action_target", "twitter"] },
-                                                { $eq: ["$action_target", "twitter_url"] },
-                                            ],
-                                        },
-                                        then: "x",
-                                    },
-                                    {
-                                        case: {
-                                            $or: [
-                                                { $eq: ["$source_platform", "tiktok"] },
-                                                { $eq: ["$action_target", "tiktok"] },
-                                                { $eq: ["$action_target", "tiktok_url"] },
-                                            ],
-                                        },
-                                        then: "tiktok",
-                                    },
-                                    {
-                                        case: {
-                                            $or: [
-                                                { $eq: ["$source_platform", "google"] },
-                                                { $eq: ["$action_target", "google"] },
-                                            ],
-                                        },
-                                        then: "google",
-                                    },
-                                ],
-                                default: "other",
-                            },
-                        },
-                    },
-                },
-                {
-                    $group: {
-                        _id: "$canonical_platform",
-                        count: { $sum: 1 },
-                    },
-                },
-                { $sort: { count: -1 } },
-            ]),
-            ProfileAnalyticsEvent.aggregate(buildTimelinePipeline(match)),
-            ProfileAnalyticsEvent.aggregate(buildDailyUniqueConversionPipeline(match)),
-            ProfileAnalyticsEvent.aggregate(
-                buildUniqueCountPipeline(match, VIEW_EVENT_TYPES)
-            ),
-            ProfileAnalyticsEvent.aggregate(
-                buildUniqueCountPipeline(match, CONVERSION_EVENT_TYPES)
-            ),
-            ProfileAnalyticsEvent.aggregate(buildRecentActivityPipeline(match, 10)),
-        ]);
+        const summary = await buildAnalyticsSummary({
+            ownerUserId,
+            businessCardId: ownedProfileId,
+            days,
+            includeBots: ["1", "true", "yes"].includes(cleanLowerString(req.query?.includeBots)),
+        });
 
-        const metrics = metricsRows[0] || {
-            profileViews: 0,
-            qrScans: 0,
-            cardTaps: 0,
-            linkOpens: 0,
-            contactsSaved: 0,
-            contactExchangeOpens: 0,
-            contactExchangeSubmits: 0,
-            emailClicks: 0,
-            phoneClicks: 0,
-            socialClicks: 0,
-        };
+        return res.json({
+            ok: true,
+            ...summary,
+            filters: {
+                ...summary.filters,
+                profileSlug: profileSlug || "all",
+            },
+        });
+    } catch (err) {
+        console.error("GET /api/analytics/summary error:", err);
+        return res.status(500).json({
+            error: "Failed to load analytics summary",
+        });
+    }
+});
 
-        const uniqueVisitors = uniqueVisitorRows[0]?.count || 0;
-        const contactConversions = uniqueConverterRows[0]?.count || 0;
+/**
+ * GET /api/analytics/export?type=events|daily&format=csv|ndjson&profileSlug=slug&from=YYYY-MM-DD&to=YYYY-MM-DD
+ * Protected download of raw events or daily rollups (same scope as /summary)
+ * ip and user_agent are never exported
+ */
+router.get("/export", requireAuth, async (req, res) => {
+    try {
+        const ownerUserId = req.user?._id || req.user?.id;
+        if (!ownerUserId) {
+            return res.status(401).json({ error: "Unauthorized" });
+        }
 
-        const dailyUniqueConversionMap = new Map(
-            dailyUniqueConversionRows.map((row) => [
-                row?._id,
-                row?.contactConversions || 0,
-            ])
-        );
+        const type = cleanLowerString(req.query?.type || "events");
+        if (!EXPORT_TYPES.includes(type)) {
+            return res.status(400).json({ error: "type must be events or daily", code: "INVALID_TYPE" });
+        }
 
-        const timelineMap = new Map(
-            timelineRows.map((row) => [
-                row?._id?.day,
-                {
-                    profileViews: row.profileViews || 0,
-                    linkOpens: row.linkOpens || 0,
-                    qrScans: row.qrScans || 0,
-                    cardTaps: row.cardTaps || 0,
-                    contactsSaved: row.contactsSaved || 0,
-                    contactExchangeSubmits: row.contactExchangeSubmits || 0,
-                    emailClicks: row.emailClicks || 0,
-                    phoneClicks: row.phoneClicks || 0,
-                    socialClicks: row.socialClicks || 0,
-                },
-            ])
-        );
+        const format = cleanLowerString(req.query?.format || "csv");
+        if (!EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: "format must be csv or ndjson", code: "INVALID_FORMAT" });
+        }
 
-        const timeline = [];
-        for (let i = 0; i < days; i += 1) {
-            const day = addDays(startDate, i);
-            const key = formatDayKey(day);
-            const row = timelineMap.get(key) || {
-                profileViews: 0,
-                linkOpens: 0,
-                qrScans: 0,
-                cardTaps: 0,
-                contactsSaved: 0,
-                contactExchangeSubmits: 0,
-                emailClicks: 0,
-                phoneClicks: 0,
-                socialClicks: 0,
-            };
+        const range = parseExportRange(req.query || {});
+        if (range.error) {
+            return res.status(400).json({ error: range.error, code: range.code });
+        }
 
-            timeline.push({
-                date: key,
-                label: day.toLocaleDateString("en-GB", {
-                    day: "numeric",
-                    month: days > 30 ? "short" : undefined,
-                }),
-                profileViews: row.profileViews,
-                linkOpens: row.linkOpens,
-                qrScans: row.qrScans,
-                cardTaps: row.cardTaps,
-                contactsSaved: row.contactsSaved,
-                contactExchangeSubmits: row.contactExchangeSubmits,
-                emailClicks: row.emailClicks,
-                phoneClicks: row.phoneClicks,
-                socialClicks: row.socialClicks,
-                contactConversions: dailyUniqueConversionMap.get(key) || 0,
+        const profileSlug = cleanSlug(req.query?.profileSlug);
+        const ownedProfileId = await findOwnedProfileId(ownerUserId, profileSlug);
+        if (ownedProfileId === false) {
+            return res.status(404).json({
+                error: "Profile not found",
+                code: "PROFILE_NOT_FOUND",
             });
         }
 
-        const trafficSources = ["link", "qr", "nfc", "unknown"].map((key) => {
-            const found = sourceRows.find((row) => row._id === key);
-            return {
-                key,
-                label:
-                    key === "qr"
-                        ? "QR"
-                        : key === "nfc"
-                            ? "NFC"
-                            : key.charAt(0).toUpperCase() + key.slice(1),
-                value: found?.count || 0,
-            };
+        const cursor = openExportCursor({
+            type,
+            ownerUserId,
+            businessCardId: ownedProfileId,
+            fromKey: range.fromKey,
+            toKey: range.toKey,
         });
 
-        const socialBreakdown = [
-            "facebook",
-            "instagram",
-            "linkedin",
-            "x",
-            "tiktok",
-            "google",
-            "other",
-        ].map((key) => {
-            const found = platformRows.find((row) => row._id === key);
-            return {
-                key,
-                label:
-                    key === "x"
-                        ? "X"
-                        : key.charAt(0).toUpperCase() + key.slice(1),
-                value: found?.count || 0,
-            };
-        });
+        const filename = `konarcard-analytics-${profileSlug || "all"}-${type}-${range.fromKey}-to-${range.toKey}`;
+        res.setHeader(
+            "Content-Type",
+            format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson; charset=utf-8"
+        );
+        res.setHeader("Content-Disposition", `attachment; filename="${filename}.${format}"`);
 
-        const conversionRate =
-            uniqueVisitors > 0
-                ? Number(((contactConversions / uniqueVisitors) * 100).toFixed(1))
-                : 0;
+        async function* exportLines() {
+            if (format === "csv") {
+                // BOM so Excel opens UTF-8 correctly
+                yield `\uFEFF${csvRow(exportHeaders(type))}`;
+            }
 
-        const recentActivity = normalizeRecentActivity(recentActivityRows || []);
+            for await (const doc of cursor) {
+                yield format === "csv"
+                    ? csvRow(exportValues(type, doc))
+                    : `${JSON.stringify(exportRecord(type, doc))}\n`;
+            }
+        }
 
-        return res.json({
-            ok: true,
-            filters: {
-                days,
-                profileSlug: profileSlug || "all",
-                startDate,
-                endDate,
-            },
-            metrics: {
-                profileViews: metrics.profileViews || 0,
-                linkOpens: metrics.linkOpens || 0,
-                cardTaps: metrics.cardTaps || 0,
-                qrScans: metrics.qrScans || 0,
-                contactsSaved: metrics.contactsSaved || 0,
-                contactExchangeOpens: metrics.contactExchangeOpens || 0,
-                contactExchangeSubmits: metrics.contactExchangeSubmits || 0,
-                emailClicks: metrics.emailClicks || 0,
-                phoneClicks: metrics.phoneClicks || 0,
-                socialClicks: metrics.socialClicks || 0,
-                uniqueVisitors,
-                contactConversions,
-                totalConversions: contactConversions,
-                conversionRate,
-            },
-            trafficSources,
-            socialBreakdown,
-            timeline,
-            recentActivity,
-        });
+        // pipeline waits for the client to drain, closes the cursor when the
+        // client goes away and destroys the response on a DB error, so a
+        // failed export never looks like a complete file
+        await pipeline(exportLines(), res);
     } catch (err) {
-        console.error("GET /api/analytics/summary error:", err);
+        if (err?.code === "ERR_STREAM_PREMATURE_CLOSE") return;
+
+        console.error("GET /api/analytics/export error:", err);
+        if (res.headersSent || res.destroyed) return res.destroy(err);
         return res.status(500).json({
-            error: "Failed to load analytics summary",
+            error: "Failed to export analytics",
         });
     }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
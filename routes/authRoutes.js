@@ -17,6 +17,9 @@ const {
     forgotPassword,
     resetPassword,
     updateProfile,
+    getEmailPreferences,
+    updateEmailPreferences,
+    unsubscribeFromDigest,
     deleteAccount,
     startTrial,
     submitContactForm,
@@ -27,6 +30,13 @@ const {
     exchangeContact,
     listMyContactExchanges,
     deleteMyContactExchange,
+    searchMyContactExchanges,
+    listMyContactTags,
+    updateMyContactExchange,
+    addContactExchangeNote,
+    deleteContactExchangeNote,
+    exportMyContactExchangesCsv,
+    exportMyContactExchangesVcf,
 } = require("../controllers/publicController");
 
 // ✅ Stripe controller
@@ -70,9 +80,16 @@ router.post("/claim-link", claimLink);
 // ✅ Exchange contact (PUBLIC) — visitor submits details from /u/:slug
 router.post("/exchange-contact", exchangeContact);
 
-// ✅ Contact Book (PROTECTED) — owner views/deletes exchanges
+// ✅ Contact Book (PROTECTED) — owner views/manages exchanges (status, tags, notes, follow-up)
 router.get("/contact-exchanges", requireAuth, listMyContactExchanges);
+router.get("/contact-exchanges/search", requireAuth, searchMyContactExchanges);
+router.get("/contact-exchanges/tags", requireAuth, listMyContactTags);
+router.get("/contact-exchanges/export/csv", requireAuth, exportMyContactExchangesCsv);
+router.get("/contact-exchanges/export/vcf", requireAuth, exportMyContactExchangesVcf);
+router.patch("/contact-exchanges/:id", requireAuth, updateMyContactExchange);
 router.delete("/contact-exchanges/:id", requireAuth, deleteMyContactExchange);
+router.post("/contact-exchanges/:id/notes", requireAuth, addContactExchangeNote);
+router.delete("/contact-exchanges/:id/notes/:noteId", requireAuth, deleteContactExchangeNote);
 
 // Register/Login
 router.post("/register", registerUser);
@@ -93,6 +110,13 @@ router.post("/reset-password/:token", resetPassword);
 router.put("/update-profile", requireAuth, updateProfile);
 router.delete("/delete-account", requireAuth, deleteAccount);
 
+// Email opt-outs (weekly analytics digest); unsubscribe links work without login
+router.get("/email-preferences", requireAuth, getEmailPreferences);
+router.put("/email-preferences", requireAuth, updateEmailPreferences);
+// GET redirects to the app's confirmation page; only POST unsubscribes
+router.get("/email-preferences/unsubscribe", unsubscribeFromDigest);
+router.post("/email-preferences/unsubscribe", unsubscribeFromDigest);
+
 // ==============================
 // STRIPE ROUTES (PROTECTED)
 // ==============================
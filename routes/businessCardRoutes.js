@@ -2,7 +2,7 @@ const express = require("express");
 const router = express.Router();
 const multer = require("multer");
 
-const { requireAuth } = require("../helpers/auth");
+const { getOptionalUserId, requireAuth } = require("../helpers/auth");
 
 const {
   // protected
@@ -13,16 +13,46 @@ const {
   createMyProfile,
   setDefaultProfile,
   deleteMyProfile,
+  publishProfile,
+  previewProfile,
+  listProfileRevisions,
+  diffProfileRevisions,
+  restoreProfileRevision,
+  listProfileReviews,
+  moderateProfileReview,
+  replyToProfileReview,
+  getAutoReplySettings,
+  updateAutoReplySettings,
+  updateDirectoryListing,
+  getQrStyle,
+  updateQrStyle,
+  downloadProfileQr,
 
   // public
+  submitPublicReview,
   getPublicBySlug,
+  getPublicVcard,
   getPublicByUsername,
   getPublicByUsernameAndSlug,
 } = require("../controllers/businessCardController");
 
+const {
+  createReviewRequest,
+  listReviewRequests,
+  openReviewRequest,
+  submitReviewForRequest,
+} = require("../controllers/reviewRequestController");
+
 // Models
 const BusinessCard = require("../models/BusinessCard");
-const ProfileAnalyticsEvent = require("../models/ProfileAnalyticsEvent");
+
+const { resolveProfileSlug, checkSlugClaimable } = require("../utils/profileSlugs");
+const {
+  cleanEventType,
+  cleanPlatform,
+  cleanSourceType,
+  trackProfileEvent,
+} = require("../utils/trackProfileEvent");
 
 /**
  * IMPORTANT:
@@ -43,64 +73,6 @@ const safeStr = (v, max = 300) =>
     .trim()
     .slice(0, max);
 
-const normalizeSourceType = (v) => {
-  const x = String(v || "").trim().toLowerCase();
-  if (["qr", "nfc", "direct", "social", "referral", "unknown"].includes(x)) return x;
-  return "unknown";
-};
-
-const normalizeSourcePlatform = (v) => {
-  const x = String(v || "").trim().toLowerCase();
-  if (
-    [
-      "facebook",
-      "instagram",
-      "linkedin",
-      "google",
-      "tiktok",
-      "x",
-      "twitter",
-      "whatsapp",
-      "youtube",
-      "other",
-      "unknown",
-    ].includes(x)
-  ) {
-    return x === "twitter" ? "x" : x;
-  }
-  return "unknown";
-};
-
-const normalizeEventType = (v) => {
-  const x = String(v || "").trim().toLowerCase();
-  if (
-    [
-      "profile_view",
-      "contact_exchange_submitted",
-      "contact_saved",
-      "phone_clicked",
-      "email_clicked",
-      "website_clicked",
-      "social_clicked",
-    ].includes(x)
-  ) {
-    return x;
-  }
-  return "profile_view";
-};
-
-const getClientIp = (req) => {
-  const xf =
-    req.headers["x-forwarded-for"] ||
-    req.headers["cf-connecting-ip"] ||
-    req.socket?.remoteAddress ||
-    "";
-  return String(Array.isArray(xf) ? xf[0] : xf)
-    .split(",")[0]
-    .trim()
-    .slice(0, 64);
-};
-
 /* =========================================================
    NO-CACHE (helps avoid weird 304/stale behavior on protected APIs)
    ========================================================= */
@@ -137,6 +109,13 @@ const upload = multer({
   { name: "works", maxCount: 20 },
 ]);
 
+// QR style: one optional centre logo
+const uploadQrLogo = multer({
+  storage,
+  fileFilter,
+  limits: { files: 1, fileSize: 5 * 1024 * 1024 },
+}).single("logo");
+
 /* =========================================================
    ROUTES
    Base path: /api/business-card
@@ -155,6 +134,37 @@ router.post("/profiles", requireAuth, createMyProfile);
 // Delete profile
 router.delete("/profiles/:slug", requireAuth, deleteMyProfile);
 
+// Draft / publish: saves edit the draft, publish makes it live
+router.post("/profiles/:slug/publish", requireAuth, publishProfile);
+router.get("/profiles/:slug/preview", requireAuth, previewProfile);
+
+// Revision history (snapshots taken on every save)
+router.get("/profiles/:slug/revisions", requireAuth, listProfileRevisions);
+router.get("/profiles/:slug/revisions/diff", requireAuth, diffProfileRevisions);
+router.post("/profiles/:slug/revisions/:revision/restore", requireAuth, restoreProfileRevision);
+
+// Visitor review moderation (approve / reject / reply)
+router.get("/profiles/:slug/reviews", requireAuth, listProfileReviews);
+router.patch("/profiles/:slug/reviews/:reviewId", requireAuth, moderateProfileReview);
+router.put("/profiles/:slug/reviews/:reviewId/reply", requireAuth, replyToProfileReview);
+router.delete("/profiles/:slug/reviews/:reviewId/reply", requireAuth, replyToProfileReview);
+
+// Review requests sent to past customers (signed single-use links)
+router.get("/profiles/:slug/review-requests", requireAuth, listReviewRequests);
+router.post("/profiles/:slug/review-requests", requireAuth, createReviewRequest);
+
+// Auto-reply to visitors who exchange contact details
+router.get("/profiles/:slug/auto-reply", requireAuth, getAutoReplySettings);
+router.patch("/profiles/:slug/auto-reply", requireAuth, updateAutoReplySettings);
+
+// Public directory / sitemap opt-in ("list me")
+router.patch("/profiles/:slug/directory", requireAuth, updateDirectoryListing);
+
+// QR style + print-ready downloads (png | svg | pdf)
+router.get("/profiles/:slug/qr-style", requireAuth, getQrStyle);
+router.put("/profiles/:slug/qr-style", requireAuth, uploadQrLogo, updateQrStyle);
+router.get("/profiles/:slug/qr", requireAuth, downloadProfileQr);
+
 // Legacy default endpoint (still returns 400 by design)
 router.patch("/profiles/:slug/default", requireAuth, setDefaultProfile);
 
@@ -164,6 +174,8 @@ router.post("/", requireAuth, upload, saveBusinessCard);
 /* =========================================================
    SLUG AVAILABILITY CHECK (PUBLIC)
    GET /api/business-card/slug-available/:slug
+   Retired slugs (renamed / deleted profiles) are available only to
+   their owner (when the request carries the owner's login).
    ========================================================= */
 router.get("/slug-available/:slug", async (req, res) => {
   try {
@@ -172,8 +184,12 @@ router.get("/slug-available/:slug", async (req, res) => {
       return res.status(400).json({ error: "slug required (min 3 chars, a-z 0-9 hyphen)" });
     }
 
-    const exists = await BusinessCard.findOne({ profile_slug: slug }).select("_id");
-    return res.json({ available: !exists, normalized: slug });
+    const claimable = await checkSlugClaimable(slug, getOptionalUserId(req));
+    return res.json({
+      available: claimable.ok,
+      normalized: slug,
+      reason: claimable.ok ? null : claimable.reason,
+    });
   } catch (err) {
     console.error("slug-available:", err);
     return res.status(500).json({ error: "Failed to check slug" });
@@ -207,9 +223,11 @@ router.post("/public/:slug/track", async (req, res) => {
       return res.status(400).json({ error: "Invalid profile slug" });
     }
 
-    const businessCard = await BusinessCard.findOne({ profile_slug: slug })
-      .select("_id user profile_slug")
-      .lean();
+    const resolved = await resolveProfileSlug(slug, {
+      select: "_id user profile_slug",
+      lean: true,
+    });
+    const businessCard = resolved?.card;
 
     if (!businessCard?._id || !businessCard?.user) {
       return res.status(404).json({ error: "Profile not found" });
@@ -217,38 +235,41 @@ router.post("/public/:slug/track", async (req, res) => {
 
     const body = req.body && typeof req.body === "object" ? req.body : {};
 
-    const eventType = normalizeEventType(body.eventType);
-    const sourceType = normalizeSourceType(body.sourceType);
-    const sourcePlatform = normalizeSourcePlatform(body.sourcePlatform);
-
-    await ProfileAnalyticsEvent.create({
-      owner_user: businessCard.user,
-      business_card: businessCard._id,
-      profile_slug: businessCard.profile_slug,
-
-      event_type: eventType,
-      source_type: sourceType,
-      source_platform: sourcePlatform,
-
-      referrer: safeStr(body.referrer, 1000),
-
-      utm_source: safeStr(body.utmSource, 120).toLowerCase(),
-      utm_medium: safeStr(body.utmMedium, 120).toLowerCase(),
-      utm_campaign: safeStr(body.utmCampaign, 160).toLowerCase(),
-      utm_term: safeStr(body.utmTerm, 160),
-      utm_content: safeStr(body.utmContent, 160),
-
-      visitor_id: safeStr(body.visitorId, 120),
-      session_id: safeStr(body.sessionId, 120),
-
-      action_target: safeStr(body.actionTarget, 120).toLowerCase(),
-      target_url: safeStr(body.targetUrl, 1200),
+    // Older clients send no eventType for page views
+    const eventType = body.eventType ? cleanEventType(body.eventType) : "profile_view";
+    if (!eventType) {
+      return res.status(400).json({ error: "Valid eventType is required", code: "INVALID_EVENT_TYPE" });
+    }
 
-      user_agent: safeStr(req.headers["user-agent"], 500),
-      ip: getClientIp(req),
+    // Same write path as /api/analytics/track: bot classification, UA parsing, dedupe
+    const tracked = await trackProfileEvent({
+      req,
+      businessCard,
+      eventType,
+      sourceType: cleanSourceType(body.sourceType),
+      sourcePlatform: cleanPlatform(body.sourcePlatform),
+      payload: {
+        referrer: safeStr(body.referrer, 1000),
+
+        utm_source: safeStr(body.utmSource, 120).toLowerCase(),
+        utm_medium: safeStr(body.utmMedium, 120).toLowerCase(),
+        utm_campaign: safeStr(body.utmCampaign, 160).toLowerCase(),
+        utm_term: safeStr(body.utmTerm, 160),
+        utm_content: safeStr(body.utmContent, 160),
+
+        visitor_id: safeStr(body.visitorId, 120),
+        session_id: safeStr(body.sessionId, 120),
+
+        action_target: safeStr(body.actionTarget, 120).toLowerCase(),
+        target_url: safeStr(body.targetUrl, 1200),
+      },
     });
 
-    return res.json({ ok: true });
+    if (tracked.deduped) {
+      return res.json({ ok: true, deduped: true, canonical_slug: businessCard.profile_slug });
+    }
+
+    return res.json({ ok: true, canonical_slug: businessCard.profile_slug });
   } catch (err) {
     console.error("public profile analytics track error:", err);
     return res.status(500).json({ error: "Failed to track analytics event" });
@@ -262,6 +283,16 @@ router.post("/public/:slug/track", async (req, res) => {
 // Public by GLOBAL slug (THIS is what /u/:slug should use on frontend)
 router.get("/public/:slug", getPublicBySlug);
 
+// Visitor-submitted review (stored as pending until the owner approves)
+router.post("/public/:slug/reviews", submitPublicReview);
+
+// Review request link: open (marks opened) / submit (verified review, single use)
+router.get("/review-requests/:token", openReviewRequest);
+router.post("/review-requests/:token", submitReviewForRequest);
+
+// "Save contact" download (.vcf) — also records a contact_save event
+router.get("/public/:slug/vcard", getPublicVcard);
+
 // Username-based public endpoints (kept for compatibility)
 router.get("/by_username/:username", getPublicByUsername);
 router.get("/by_username/:username/:slug", getPublicByUsernameAndSlug);
@@ -0,0 +1,218 @@
+// backend/routes/campaigns.js
+// Named campaigns per profile: short link + QR code with a UTM preset.
+// Base path: /api/campaigns (public redirect: GET /l/:code in redirects.js)
+// Access follows the profile: its owner and team members who may edit it
+// (helpers/profileAccess.js). Campaign.user is always the profile owner.
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+
+const { requireAuth } = require("../helpers/auth");
+const { findEditableProfile, listTeamProfiles } = require("../helpers/profileAccess");
+const Campaign = require("../models/Campaign");
+const BusinessCard = require("../models/BusinessCard");
+const {
+    buildCampaignShortUrl,
+    generateCampaignCode,
+    generateCampaignQr,
+    normalizeCampaignInput,
+    serializeCampaign,
+} = require("../utils/campaigns");
+const { QR_FORMATS, getProfileQrOptions, renderQrCode } = require("../utils/qrCode");
+
+// Fields generateCampaignQr needs from the profile
+const QR_PROFILE_FIELDS = "_id user profile_slug qr_style logo avatar published";
+
+const safeSlug = (v) =>
+    String(v || "")
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9-]/g, "");
+
+const isObjectId = (v) => mongoose.Types.ObjectId.isValid(String(v || ""));
+
+const sameId = (a, b) => !!a && !!b && String(a) === String(b);
+
+/**
+ * Campaign by id if req.user may edit its profile, else null.
+ * Returns { campaign, card } (card selected with QR_PROFILE_FIELDS).
+ */
+async function findEditableCampaign(req, id, { lean = false } = {}) {
+    if (!isObjectId(id)) return null;
+
+    const query = Campaign.findById(id);
+    const campaign = lean ? await query.lean() : await query;
+    if (!campaign) return null;
+
+    const card = await BusinessCard.findById(campaign.business_card).select(QR_PROFILE_FIELDS);
+    if (sameId(campaign.user, req.user._id)) return { campaign, card };
+
+    const access = card ? await findEditableProfile(req.user, card.profile_slug) : null;
+    return access ? { campaign, card } : null;
+}
+
+router.use(requireAuth);
+
+/**
+ * GET /api/campaigns?profileSlug=<slug>&status=active|archived|all
+ */
+router.get("/", async (req, res) => {
+    try {
+        const query = {};
+
+        const status = String(req.query?.status || "active").trim().toLowerCase();
+        if (status !== "all") query.status = status === "archived" ? "archived" : "active";
+
+        if (req.query?.profileSlug) {
+            const access = await findEditableProfile(req.user, safeSlug(req.query.profileSlug));
+            if (!access) return res.status(404).json({ error: "Profile not found", code: "PROFILE_NOT_FOUND" });
+            query.business_card = access.card._id;
+        } else {
+            // Own campaigns + those of team profiles the user may edit
+            const teamProfiles = await listTeamProfiles(req.user);
+            query.$or = [
+                { user: req.user._id },
+                { business_card: { $in: teamProfiles.map(({ card }) => card._id) } },
+            ];
+        }
+
+        const campaigns = await Campaign.find(query)
+            .populate("business_card", "profile_slug")
+            .sort({ createdAt: -1 })
+            .lean();
+
+        return res.json({ data: campaigns.map((c) => serializeCampaign(c)) });
+    } catch (err) {
+        console.error("GET /api/campaigns error:", err);
+        return res.status(500).json({ error: "Failed to load campaigns" });
+    }
+});
+
+/**
+ * POST /api/campaigns
+ * Body: { profileSlug, name, utm_source?, utm_medium?, utm_campaign?, utm_term?, utm_content? }
+ * utm_campaign defaults to the slugified name.
+ */
+router.post("/", async (req, res) => {
+    try {
+        const body = req.body && typeof req.body === "object" ? req.body : {};
+
+        const slug = safeSlug(body.profileSlug);
+        if (!slug) return res.status(400).json({ error: "profileSlug required" });
+
+        const access = await findEditableProfile(req.user, slug);
+        if (!access) return res.status(404).json({ error: "Profile not found", code: "PROFILE_NOT_FOUND" });
+        const card = access.card;
+
+        const { values, error, code } = normalizeCampaignInput(body);
+        if (error) return res.status(400).json({ error, code });
+
+        const campaign = await Campaign.create({
+            ...values,
+            status: "active",
+            user: card.user,
+            business_card: card._id,
+            code: await generateCampaignCode(),
+        });
+
+        try {
+            campaign.qr_code_url = await generateCampaignQr(campaign, card);
+            await campaign.save();
+        } catch (e) {
+            // The short link works without it; GET /:id/qr renders on demand
+            console.error("Campaign QR generation failed:", e);
+        }
+
+        return res.status(201).json({ data: serializeCampaign(campaign, card.profile_slug) });
+    } catch (err) {
+        console.error("POST /api/campaigns error:", err);
+        return res.status(500).json({ error: "Failed to create campaign" });
+    }
+});
+
+/**
+ * PATCH /api/campaigns/:id
+ * Body (all optional): { name, status: "active" | "archived", utm_* }
+ * The code (and so the printed link) never changes.
+ */
+router.patch("/:id", async (req, res) => {
+    try {
+        if (!isObjectId(req.params.id)) return res.status(400).json({ error: "Invalid campaign id" });
+
+        const found = await findEditableCampaign(req, req.params.id);
+        if (!found) return res.status(404).json({ error: "Campaign not found" });
+        const { campaign, card } = found;
+
+        const body = req.body && typeof req.body === "object" ? req.body : {};
+        const { values, error, code } = normalizeCampaignInput(body, campaign);
+        if (error) return res.status(400).json({ error, code });
+
+        campaign.set(values);
+        await campaign.save();
+
+        return res.json({ data: serializeCampaign(campaign, card?.profile_slug) });
+    } catch (err) {
+        console.error("PATCH /api/campaigns/:id error:", err);
+        return res.status(500).json({ error: "Failed to update campaign" });
+    }
+});
+
+/**
+ * DELETE /api/campaigns/:id
+ * Printed links stop resolving; archive instead to keep them working.
+ */
+router.delete("/:id", async (req, res) => {
+    try {
+        if (!isObjectId(req.params.id)) return res.status(400).json({ error: "Invalid campaign id" });
+
+        const found = await findEditableCampaign(req, req.params.id, { lean: true });
+        if (!found) return res.status(404).json({ error: "Campaign not found" });
+
+        await Campaign.deleteOne({ _id: found.campaign._id });
+
+        return res.json({ success: true });
+    } catch (err) {
+        console.error("DELETE /api/campaigns/:id error:", err);
+        return res.status(500).json({ error: "Failed to delete campaign" });
+    }
+});
+
+/**
+ * GET /api/campaigns/:id/qr?format=png|svg|pdf&size=900&download=1
+ * Rendered on demand in the profile's QR style.
+ */
+router.get("/:id/qr", async (req, res) => {
+    try {
+        if (!isObjectId(req.params.id)) return res.status(400).json({ error: "Invalid campaign id" });
+
+        const format = String(req.query?.format || "png").trim().toLowerCase();
+        if (!QR_FORMATS.includes(format)) {
+            return res.status(400).json({ error: "format must be png, svg or pdf", code: "INVALID_FORMAT" });
+        }
+
+        const found = await findEditableCampaign(req, req.params.id, { lean: true });
+        if (!found) return res.status(404).json({ error: "Campaign not found" });
+        const { campaign, card } = found;
+
+        const { style, logoUrl } = getProfileQrOptions(card);
+
+        const qr = await renderQrCode(buildCampaignShortUrl(campaign.code, "qr"), style, {
+            format,
+            size: req.query?.size,
+            logoUrl,
+        });
+
+        const download = ["1", "true", "yes"].includes(String(req.query?.download || "").toLowerCase());
+        res.setHeader("Content-Type", qr.contentType);
+        res.setHeader(
+            "Content-Disposition",
+            `${download ? "attachment" : "inline"}; filename="campaign-${campaign.code}-qr.${qr.ext}"`
+        );
+        return res.send(qr.buffer);
+    } catch (err) {
+        console.error("GET /api/campaigns/:id/qr error:", err);
+        return res.status(500).json({ error: "Failed to render QR code" });
+    }
+});
+
+module.exports = router;
@@ -5,14 +5,16 @@ const router = express.Router();
 const Stripe = require("stripe");
 const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
 
-const QRCode = require("qrcode");
-
 const { requireAuth } = require("../helpers/auth");
 const User = require("../models/user");
 const BusinessCard = require("../models/BusinessCard");
 const NfcOrder = require("../models/NfcOrder");
 
 const uploadToS3 = require("../utils/uploadToS3");
+const { checkSlugClaimable } = require("../utils/profileSlugs");
+const { syncOrganisationSeats } = require("../utils/organisations");
+const { buildProfileTargetUrl } = require("../utils/customDomains");
+const { generateAndUploadProfileQr, getProfileQrOptions } = require("../utils/qrCode");
 
 const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:5173";
 const PUBLIC_PROFILE_DOMAIN =
@@ -30,19 +32,6 @@ const buildPublicProfileUrl = (profileSlug) => {
     return `${PUBLIC_PROFILE_DOMAIN}/u/${s}`;
 };
 
-const buildTrackedProfileUrl = (profileSlug, via = "") => {
-    const base = buildPublicProfileUrl(profileSlug);
-    const cleanVia = String(via || "").trim().toLowerCase();
-
-    if (!base) return "";
-    if (!cleanVia) return base;
-
-    const allowedVia = new Set(["qr", "nfc"]);
-    if (!allowedVia.has(cleanVia)) return base;
-
-    return `${base}?via=${encodeURIComponent(cleanVia)}`;
-};
-
 function buildFrontendReturnUrl(rawReturnUrl, fallbackPath = "/cards") {
     const fallback = `${FRONTEND_URL}${fallbackPath.startsWith("/") ? fallbackPath : `/${fallbackPath}`}`;
 
@@ -240,23 +229,6 @@ async function invoiceAndPayNow({ customerId, subscriptionId }) {
     };
 }
 
-async function generateAndUploadProfileQr(userId, profileSlug) {
-    const url = buildTrackedProfileUrl(profileSlug, "qr");
-    if (!url) return "";
-
-    const qrBuffer = await QRCode.toBuffer(url, {
-        width: 900,
-        margin: 2,
-        errorCorrectionLevel: "M",
-        color: { dark: "#000000", light: "#ffffff" },
-    });
-
-    const safe = safeSlug(profileSlug) || "profile";
-    const fileKey = `qr-codes/${userId}/${safe}-${Date.now()}.png`;
-    const qrCodeUrl = await uploadToS3(qrBuffer, fileKey);
-    return qrCodeUrl;
-}
-
 async function createClaimedProfileForUser({
     user,
     claimedSlug,
@@ -272,7 +244,8 @@ async function createClaimedProfileForUser({
     }
 
     const existing = await BusinessCard.findOne({ profile_slug: slug });
-    if (existing) {
+    const claimable = await checkSlugClaimable(slug, user._id);
+    if (existing || !claimable.ok) {
         const err = new Error("Profile slug already exists");
         err.statusCode = 409;
         err.code = "SLUG_TAKEN";
@@ -293,7 +266,7 @@ async function createClaimedProfileForUser({
     });
 
     try {
-        const qrUrl = await generateAndUploadProfileQr(user._id, slug);
+        const qrUrl = await generateAndUploadProfileQr(user._id, slug, getProfileQrOptions(created));
         if (qrUrl) {
             created.qr_code_url = qrUrl;
             await created.save();
@@ -556,6 +529,12 @@ router.post("/teams", requireAuth, async (req, res) => {
                 user.teamsProfilesQty = 1 + extraProfilesQty;
                 await user.save();
 
+                try {
+                    await syncOrganisationSeats(user);
+                } catch (e) {
+                    console.error("Organisation seat sync failed (teams add profile):", e);
+                }
+
                 return res.json({
                     updated: true,
                     created: true,
@@ -803,7 +782,7 @@ router.post("/nfc/session", requireAuth, async (req, res) => {
         }
 
         const profile = await BusinessCard.findOne({ _id: profileId, user: user._id })
-            .select("_id profile_slug qr_code_url")
+            .select("_id user profile_slug qr_code_url qr_style logo avatar published")
             .lean();
 
         if (!profile) {
@@ -812,9 +791,23 @@ router.post("/nfc/session", requireAuth, async (req, res) => {
 
         const profileSlug = safeSlug(profile.profile_slug);
         const publicProfileUrl = buildPublicProfileUrl(profileSlug);
-        const qrTargetUrl = buildTrackedProfileUrl(profileSlug, "qr");
-        const nfcTargetUrl = buildTrackedProfileUrl(profileSlug, "nfc");
-        const qrCodeUrl = String(profile?.qr_code_url || "").trim();
+        // Printed/encoded targets use the profile's verified custom domain when set
+        const qrTargetUrl = await buildProfileTargetUrl({ profileSlug, businessCardId: profile._id, via: "qr" });
+        const nfcTargetUrl = await buildProfileTargetUrl({ profileSlug, businessCardId: profile._id, via: "nfc" });
+        // Order artwork uses the profile's saved QR style (colours, logo)
+        const qrOptions = getProfileQrOptions(profile);
+        let qrCodeUrl = String(profile?.qr_code_url || "").trim();
+        if (!qrCodeUrl) {
+            try {
+                qrCodeUrl = await generateAndUploadProfileQr(user._id, profileSlug, qrOptions);
+                if (qrCodeUrl) {
+                    await BusinessCard.updateOne({ _id: profile._id }, { $set: { qr_code_url: qrCodeUrl } });
+                }
+            } catch (e) {
+                console.error("QR generation failed (nfc checkout):", e);
+                qrCodeUrl = "";
+            }
+        }
 
         const logoUrl = String(req.body?.logoUrl || "").trim();
         const previewImageUrl = String(req.body?.previewImageUrl || "").trim();
@@ -852,6 +845,8 @@ router.post("/nfc/session", requireAuth, async (req, res) => {
             publicProfileUrl,
             qrTargetUrl,
             nfcTargetUrl,
+            qrCodeUrl,
+            qrStyle: { ...qrOptions.style, logo_url: qrOptions.logoUrl },
             ...(Object.keys(cleanCustomization).length ? { customization: cleanCustomization } : {}),
         };
 
@@ -0,0 +1,218 @@
+// backend/routes/customDomains.js
+// Custom domains for profiles (Plus / Teams). Base path: /api/custom-domains
+//
+// Setup for the customer:
+//   1. CNAME <hostname> → CUSTOM_DOMAIN_CNAME_TARGET
+//   2. TXT _konarcard.<hostname> → konarcard-verify=<token>
+//   3. POST /:id/verify
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+
+const { requireAuth } = require("../helpers/auth");
+const CustomDomain = require("../models/CustomDomain");
+const BusinessCard = require("../models/BusinessCard");
+const User = require("../models/user");
+const { regenerateProfileQr } = require("../controllers/businessCardController");
+const {
+    createVerificationToken,
+    getVerificationRecord,
+    normalizeHostname,
+    refreshCustomDomainCache,
+    validateHostname,
+    verifyCustomDomain,
+} = require("../utils/customDomains");
+
+const CNAME_TARGET = process.env.CUSTOM_DOMAIN_CNAME_TARGET || "domains.konarcard.com";
+
+const safeSlug = (v) =>
+    String(v || "")
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9-]/g, "");
+
+const isObjectId = (v) => mongoose.Types.ObjectId.isValid(String(v || ""));
+
+const serializeDomain = (d, profileSlug) => ({
+    _id: d._id,
+    hostname: d.hostname,
+    business_card: d.business_card,
+    profile_slug: profileSlug || null,
+    status: d.status,
+    verified_at: d.verified_at,
+    last_checked_at: d.last_checked_at,
+    last_error: d.last_error || "",
+    dns: {
+        cname: { type: "CNAME", name: d.hostname, value: CNAME_TARGET },
+        txt: getVerificationRecord(d),
+    },
+    createdAt: d.createdAt,
+});
+
+// QR codes point at the custom domain once verified (and back when removed)
+const regenerateQrForCard = async (businessCardId) => {
+    try {
+        const card = await BusinessCard.findById(businessCardId).select("_id user profile_slug qr_style logo avatar published");
+        if (card) await regenerateProfileQr(card);
+    } catch (e) {
+        console.error("QR regeneration failed (customDomains):", e);
+    }
+};
+
+/* =========================================================
+   PUBLIC: which profile does this host serve? (used by the SPA)
+   GET /api/custom-domains/resolve?host=card.example.co.uk
+   ========================================================= */
+router.get("/resolve", async (req, res) => {
+    try {
+        const hostname = normalizeHostname(req.query?.host || req.headers.host);
+        if (!hostname) return res.status(400).json({ error: "host required" });
+
+        const domain = await CustomDomain.findOne({ hostname, status: "verified" })
+            .select("business_card")
+            .lean();
+        if (!domain) return res.status(404).json({ error: "Domain not found" });
+
+        const card = await BusinessCard.findById(domain.business_card).select("profile_slug").lean();
+        if (!card) return res.status(404).json({ error: "Domain not found" });
+
+        return res.json({ hostname, profile_slug: card.profile_slug });
+    } catch (err) {
+        console.error("GET /custom-domains/resolve error:", err);
+        return res.status(500).json({ error: "Failed to resolve domain" });
+    }
+});
+
+router.use(requireAuth);
+
+/**
+ * GET /api/custom-domains
+ */
+router.get("/", async (req, res) => {
+    try {
+        const domains = await CustomDomain.find({ user: req.user._id })
+            .populate("business_card", "profile_slug")
+            .sort({ createdAt: -1 })
+            .lean();
+
+        return res.json({
+            data: domains.map((d) =>
+                serializeDomain({ ...d, business_card: d.business_card?._id || null }, d.business_card?.profile_slug)
+            ),
+        });
+    } catch (err) {
+        console.error("GET /custom-domains error:", err);
+        return res.status(500).json({ error: "Failed to load domains" });
+    }
+});
+
+/**
+ * POST /api/custom-domains
+ * Body: { hostname, profileSlug }
+ */
+router.post("/", async (req, res) => {
+    try {
+        const owner = await User.findById(req.user._id).select("_id plan");
+        const plan = String(owner?.plan || "free").toLowerCase();
+
+        if (plan !== "plus" && plan !== "teams") {
+            return res.status(403).json({
+                error: "Upgrade required",
+                code: "UPGRADE_REQUIRED",
+                reason: "CUSTOM_DOMAIN",
+                plan,
+            });
+        }
+
+        const hostname = normalizeHostname(req.body?.hostname);
+        const invalid = validateHostname(hostname);
+        if (invalid) return res.status(400).json({ error: "Invalid hostname", code: invalid });
+
+        const slug = safeSlug(req.body?.profileSlug);
+        if (!slug) return res.status(400).json({ error: "profileSlug required" });
+
+        const card = await BusinessCard.findOne({ user: req.user._id, profile_slug: slug }).select("_id profile_slug");
+        if (!card) return res.status(404).json({ error: "Profile not found" });
+
+        // Only a verified claim (or the caller's own) blocks the hostname:
+        // unverified claims by others are removed when this one verifies
+        const taken = await CustomDomain.findOne({
+            hostname,
+            $or: [{ status: "verified" }, { user: req.user._id }],
+        })
+            .select("_id")
+            .lean();
+        if (taken) return res.status(409).json({ error: "This domain is already in use", code: "DOMAIN_TAKEN" });
+
+        const existingForCard = await CustomDomain.findOne({ business_card: card._id }).select("_id").lean();
+        if (existingForCard) {
+            return res.status(409).json({
+                error: "This profile already has a custom domain. Remove it first.",
+                code: "PROFILE_HAS_DOMAIN",
+            });
+        }
+
+        const domain = await CustomDomain.create({
+            hostname,
+            user: req.user._id,
+            business_card: card._id,
+            verification_token: createVerificationToken(),
+        });
+
+        return res.status(201).json({ data: serializeDomain(domain, card.profile_slug) });
+    } catch (err) {
+        if (err?.code === 11000) {
+            return res.status(409).json({ error: "This domain is already in use", code: "DOMAIN_TAKEN" });
+        }
+        console.error("POST /custom-domains error:", err);
+        return res.status(500).json({ error: "Failed to add domain" });
+    }
+});
+
+/**
+ * POST /api/custom-domains/:id/verify
+ * Looks up the TXT record now; safe to call repeatedly.
+ */
+router.post("/:id/verify", async (req, res) => {
+    try {
+        if (!isObjectId(req.params.id)) return res.status(400).json({ error: "Invalid id" });
+
+        const domain = await CustomDomain.findOne({ _id: req.params.id, user: req.user._id });
+        if (!domain) return res.status(404).json({ error: "Domain not found" });
+
+        const wasVerified = domain.status === "verified";
+        await verifyCustomDomain(domain);
+
+        if (wasVerified !== (domain.status === "verified")) {
+            await regenerateQrForCard(domain.business_card);
+        }
+
+        const card = await BusinessCard.findById(domain.business_card).select("profile_slug").lean();
+        return res.json({ data: serializeDomain(domain, card?.profile_slug) });
+    } catch (err) {
+        console.error("POST /custom-domains/:id/verify error:", err);
+        return res.status(500).json({ error: "Failed to verify domain" });
+    }
+});
+
+/**
+ * DELETE /api/custom-domains/:id
+ */
+router.delete("/:id", async (req, res) => {
+    try {
+        if (!isObjectId(req.params.id)) return res.status(400).json({ error: "Invalid id" });
+
+        const domain = await CustomDomain.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+        if (!domain) return res.status(404).json({ error: "Domain not found" });
+
+        await refreshCustomDomainCache();
+        if (domain.status === "verified") await regenerateQrForCard(domain.business_card);
+
+        return res.json({ success: true });
+    } catch (err) {
+        console.error("DELETE /custom-domains/:id error:", err);
+        return res.status(500).json({ error: "Failed to remove domain" });
+    }
+});
+
+module.exports = router;
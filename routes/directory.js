@@ -0,0 +1,68 @@
+// backend/routes/directory.js
+// Public, searchable directory of opted-in profiles. Base path: /api/directory
+const express = require("express");
+const router = express.Router();
+
+const BusinessCard = require("../models/BusinessCard");
+const { buildDirectoryQuery, serializeDirectoryEntry } = require("../utils/directory");
+
+const MAX_PAGE_SIZE = 50;
+
+const DIRECTORY_FIELDS = [
+    "profile_slug",
+    "published",
+    "published_at",
+    "business_name",
+    "full_name",
+    "business_card_name",
+    "trade_title",
+    "location",
+    "bio",
+    "logo",
+    "avatar",
+    "cover_photo",
+    "services",
+    "og_image_url",
+].join(" ");
+
+/**
+ * GET /api/directory?trade=&location=&q=&page=1&limit=20
+ */
+router.get("/", async (req, res) => {
+    try {
+        const query = buildDirectoryQuery({
+            trade: req.query?.trade,
+            location: req.query?.location,
+            q: req.query?.q,
+        });
+
+        const page = Math.max(1, parseInt(req.query?.page, 10) || 1);
+        const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(req.query?.limit, 10) || 20));
+
+        const [cards, total] = await Promise.all([
+            BusinessCard.find(query)
+                .select(DIRECTORY_FIELDS)
+                .sort({ published_at: -1, updatedAt: -1 })
+                .skip((page - 1) * limit)
+                .limit(limit)
+                .lean(),
+            BusinessCard.countDocuments(query),
+        ]);
+
+        res.setHeader("Cache-Control", "public, max-age=60");
+        return res.json({
+            data: cards.map(serializeDirectoryEntry),
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.max(1, Math.ceil(total / limit)),
+            },
+        });
+    } catch (err) {
+        console.error("directory search error:", err);
+        return res.status(500).json({ error: "Failed to search directory" });
+    }
+});
+
+module.exports = router;
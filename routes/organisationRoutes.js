@@ -0,0 +1,551 @@
+// backend/routes/organisationRoutes.js
+// Teams organisations: members, roles, invites. Base path: /api/organisations
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+const multer = require("multer");
+
+const { requireAuth } = require("../helpers/auth");
+const Organisation = require("../models/Organisation");
+const BusinessCard = require("../models/BusinessCard");
+const User = require("../models/user");
+
+const sendEmail = require("../utils/SendEmail");
+const uploadToS3 = require("../utils/uploadToS3");
+const { mergeBrandKit } = require("../utils/brandKit");
+const { propagateBrandKit } = require("../controllers/businessCardController");
+const { teamInviteTemplate } = require("../utils/emailTemplates");
+const {
+    createInviteToken,
+    getSeatUsage,
+    getSeatsForOwner,
+    hashInviteToken,
+} = require("../utils/organisations");
+
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:5173";
+
+const MEMBER_ROLES = ["admin", "manager", "member"];
+
+// Brand kit logo / cover uploads
+const upload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: (req, file, cb) => {
+        if (!file?.mimetype?.startsWith("image/")) {
+            return cb(new Error("Only image uploads are allowed."), false);
+        }
+        cb(null, true);
+    },
+    limits: { files: 2, fileSize: 10 * 1024 * 1024 },
+}).fields([
+    { name: "logo", maxCount: 1 },
+    { name: "cover_photo", maxCount: 1 },
+]);
+
+/* =========================================================
+   HELPERS
+   ========================================================= */
+const cleanString = (v, max = 200) => String(v || "").trim().slice(0, max);
+const cleanEmail = (v) => String(v || "").trim().toLowerCase().slice(0, 240);
+const isValidEmail = (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v);
+const isObjectId = (v) => mongoose.Types.ObjectId.isValid(String(v || ""));
+const sameId = (a, b) => !!a && !!b && String(a) === String(b);
+
+const safeSlug = (v) =>
+    String(v || "")
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9-]/g, "");
+
+function getRole(org, userId) {
+    if (sameId(org.owner, userId)) return "owner";
+    const member = org.members.find((m) => sameId(m.user, userId) && m.status === "active");
+    return member ? member.role : null;
+}
+
+function canManageMembers(role) {
+    return role === "owner" || role === "admin";
+}
+
+function serializeMember(member) {
+    return {
+        _id: member._id,
+        user: member.user || null,
+        email: member.email,
+        role: member.role,
+        status: member.status,
+        invite_expires: member.status === "invited" ? member.invite_expires : null,
+        joined_at: member.joined_at || null,
+        assigned_profiles: member.assigned_profiles || [],
+    };
+}
+
+function serializeOrganisation(org, role) {
+    return {
+        _id: org._id,
+        name: org.name,
+        owner: org.owner,
+        role,
+        seats: getSeatUsage(org),
+        members: (org.members || []).map(serializeMember),
+        brand_kit: org.brand_kit || null,
+        createdAt: org.createdAt,
+    };
+}
+
+/**
+ * Map profile slugs to BusinessCard ids owned by the organisation owner.
+ * Returns { ids } or { error }.
+ */
+async function resolveAssignedProfiles(org, rawSlugs) {
+    const slugs = (Array.isArray(rawSlugs) ? rawSlugs : [])
+        .map(safeSlug)
+        .filter(Boolean);
+
+    if (!slugs.length) return { ids: [] };
+
+    const cards = await BusinessCard.find({
+        user: org.owner,
+        profile_slug: { $in: slugs },
+    })
+        .select("_id profile_slug")
+        .lean();
+
+    if (cards.length !== new Set(slugs).size) {
+        return { error: "One or more profiles do not belong to this organisation" };
+    }
+
+    return { ids: cards.map((c) => c._id) };
+}
+
+async function sendInviteEmail({ org, member, token, inviter }) {
+    const link = `${FRONTEND_URL}/team/invite?token=${encodeURIComponent(token)}`;
+
+    try {
+        await sendEmail(
+            member.email,
+            `You're invited to join ${org.name} on KonarCard`,
+            teamInviteTemplate(inviter?.name || inviter?.email, org.name, member.role, link)
+        );
+        return true;
+    } catch (err) {
+        console.error("[organisations] invite email failed:", err?.message || err);
+        return false;
+    }
+}
+
+/**
+ * Loads :id and the caller's role. Sends the error response itself
+ * and returns null when the caller has no access.
+ */
+async function loadOrganisation(req, res) {
+    if (!isObjectId(req.params.id)) {
+        res.status(400).json({ error: "Invalid organisation id" });
+        return null;
+    }
+
+    const org = await Organisation.findById(req.params.id);
+    const role = org ? getRole(org, req.user._id) : null;
+
+    if (!org || !role) {
+        res.status(404).json({ error: "Organisation not found" });
+        return null;
+    }
+
+    return { org, role };
+}
+
+router.use(requireAuth);
+
+/* =========================================================
+   ORGANISATIONS
+   ========================================================= */
+
+/**
+ * GET /api/organisations/mine
+ * Organisations the user owns or is an active member of.
+ */
+router.get("/mine", async (req, res) => {
+    try {
+        const userId = req.user._id;
+
+        const orgs = await Organisation.find({
+            $or: [
+                { owner: userId },
+                { members: { $elemMatch: { user: userId, status: "active" } } },
+            ],
+        }).sort({ createdAt: 1 });
+
+        return res.json({
+            data: orgs.map((org) => serializeOrganisation(org, getRole(org, userId))),
+        });
+    } catch (err) {
+        console.error("GET /api/organisations/mine error:", err);
+        return res.status(500).json({ error: "Failed to load organisations" });
+    }
+});
+
+/**
+ * POST /api/organisations
+ * Body: { name }
+ */
+router.post("/", async (req, res) => {
+    try {
+        const owner = await User.findById(req.user._id).select("_id plan teamsProfilesQty");
+
+        if (String(owner?.plan || "").toLowerCase() !== "teams") {
+            return res.status(403).json({
+                error: "Upgrade required",
+                code: "UPGRADE_REQUIRED",
+                reason: "TEAMS_REQUIRED",
+            });
+        }
+
+        const existing = await Organisation.findOne({ owner: owner._id }).select("_id");
+        if (existing) {
+            return res.status(409).json({
+                error: "You already have an organisation",
+                code: "ORGANISATION_EXISTS",
+            });
+        }
+
+        const name = cleanString(req.body?.name, 120);
+        if (!name) return res.status(400).json({ error: "Organisation name is required" });
+
+        const org = await Organisation.create({
+            name,
+            owner: owner._id,
+            seats: getSeatsForOwner(owner),
+        });
+
+        return res.status(201).json({ data: serializeOrganisation(org, "owner") });
+    } catch (err) {
+        console.error("POST /api/organisations error:", err);
+        return res.status(500).json({ error: "Failed to create organisation" });
+    }
+});
+
+/**
+ * PATCH /api/organisations/:id
+ * Body: { name }
+ */
+router.patch("/:id", async (req, res) => {
+    try {
+        const loaded = await loadOrganisation(req, res);
+        if (!loaded) return;
+        const { org, role } = loaded;
+
+        if (!canManageMembers(role)) {
+            return res.status(403).json({ error: "Only owners and admins can edit the organisation" });
+        }
+
+        const name = cleanString(req.body?.name, 120);
+        if (!name) return res.status(400).json({ error: "Organisation name is required" });
+
+        org.name = name;
+        await org.save();
+
+        return res.json({ data: serializeOrganisation(org, role) });
+    } catch (err) {
+        console.error("PATCH /api/organisations/:id error:", err);
+        return res.status(500).json({ error: "Failed to update organisation" });
+    }
+});
+
+/* =========================================================
+   MEMBERS / INVITES
+   ========================================================= */
+
+/**
+ * POST /api/organisations/:id/members
+ * Body: { email, role, profileSlugs: [] }
+ */
+router.post("/:id/members", async (req, res) => {
+    try {
+        const loaded = await loadOrganisation(req, res);
+        if (!loaded) return;
+        const { org, role } = loaded;
+
+        if (!canManageMembers(role)) {
+            return res.status(403).json({ error: "Only owners and admins can invite members" });
+        }
+
+        const email = cleanEmail(req.body?.email);
+        if (!isValidEmail(email)) return res.status(400).json({ error: "Valid email is required" });
+
+        const memberRole = cleanString(req.body?.role, 20).toLowerCase() || "member";
+        if (!MEMBER_ROLES.includes(memberRole)) {
+            return res.status(400).json({ error: "role must be admin, manager or member" });
+        }
+
+        // Only the owner can hand out admin
+        if (memberRole === "admin" && role !== "owner") {
+            return res.status(403).json({ error: "Only the owner can invite admins" });
+        }
+
+        const owner = await User.findById(org.owner).select("email plan teamsProfilesQty");
+        if (cleanEmail(owner?.email) === email || org.members.some((m) => m.email === email)) {
+            return res.status(409).json({ error: "This person is already in the organisation" });
+        }
+
+        // Seats follow the live Teams quantity
+        org.seats = getSeatsForOwner(owner);
+        const seats = getSeatUsage(org);
+        if (seats.available < 1) {
+            return res.status(403).json({
+                error: "No seats left. Add profiles to your Teams plan to invite more people.",
+                code: "SEAT_LIMIT",
+                seats,
+            });
+        }
+
+        const assigned = await resolveAssignedProfiles(org, req.body?.profileSlugs);
+        if (assigned.error) return res.status(400).json({ error: assigned.error });
+
+        const invite = createInviteToken();
+
+        org.members.push({
+            email,
+            role: memberRole,
+            status: "invited",
+            invite_token_hash: invite.hash,
+            invite_expires: invite.expires,
+            invited_by: req.user._id,
+            assigned_profiles: assigned.ids,
+        });
+        await org.save();
+
+        const member = org.members[org.members.length - 1];
+        const emailSent = await sendInviteEmail({ org, member, token: invite.token, inviter: req.user });
+
+        return res.status(201).json({
+            data: serializeMember(member),
+            seats: getSeatUsage(org),
+            email_sent: emailSent,
+        });
+    } catch (err) {
+        console.error("POST /api/organisations/:id/members error:", err);
+        return res.status(500).json({ error: "Failed to invite member" });
+    }
+});
+
+/**
+ * POST /api/organisations/:id/members/:memberId/resend
+ * Issues a fresh invite token (the old link stops working).
+ */
+router.post("/:id/members/:memberId/resend", async (req, res) => {
+    try {
+        const loaded = await loadOrganisation(req, res);
+        if (!loaded) return;
+        const { org, role } = loaded;
+
+        if (!canManageMembers(role)) {
+            return res.status(403).json({ error: "Only owners and admins can invite members" });
+        }
+
+        const member = org.members.id(req.params.memberId);
+        if (!member) return res.status(404).json({ error: "Member not found" });
+        if (member.status !== "invited") {
+            return res.status(400).json({ error: "Invite already accepted" });
+        }
+
+        const invite = createInviteToken();
+        member.invite_token_hash = invite.hash;
+        member.invite_expires = invite.expires;
+        await org.save();
+
+        const emailSent = await sendInviteEmail({ org, member, token: invite.token, inviter: req.user });
+
+        return res.json({ data: serializeMember(member), email_sent: emailSent });
+    } catch (err) {
+        console.error("POST /api/organisations/:id/members/:memberId/resend error:", err);
+        return res.status(500).json({ error: "Failed to resend invite" });
+    }
+});
+
+/**
+ * PATCH /api/organisations/:id/members/:memberId
+ * Body (optional): { role, profileSlugs: [] }
+ */
+router.patch("/:id/members/:memberId", async (req, res) => {
+    try {
+        const loaded = await loadOrganisation(req, res);
+        if (!loaded) return;
+        const { org, role } = loaded;
+
+        if (!canManageMembers(role)) {
+            return res.status(403).json({ error: "Only owners and admins can edit members" });
+        }
+
+        const member = org.members.id(req.params.memberId);
+        if (!member) return res.status(404).json({ error: "Member not found" });
+
+        if (req.body?.role !== undefined) {
+            const nextRole = cleanString(req.body.role, 20).toLowerCase();
+            if (!MEMBER_ROLES.includes(nextRole)) {
+                return res.status(400).json({ error: "role must be admin, manager or member" });
+            }
+
+            if ((nextRole === "admin" || member.role === "admin") && role !== "owner") {
+                return res.status(403).json({ error: "Only the owner can change admins" });
+            }
+
+            member.role = nextRole;
+        }
+
+        if (req.body?.profileSlugs !== undefined) {
+            const assigned = await resolveAssignedProfiles(org, req.body.profileSlugs);
+            if (assigned.error) return res.status(400).json({ error: assigned.error });
+            member.assigned_profiles = assigned.ids;
+        }
+
+        await org.save();
+
+        return res.json({ data: serializeMember(member) });
+    } catch (err) {
+        console.error("PATCH /api/organisations/:id/members/:memberId error:", err);
+        return res.status(500).json({ error: "Failed to update member" });
+    }
+});
+
+/**
+ * DELETE /api/organisations/:id/members/:memberId
+ * Owners/admins remove anyone (admins: not other admins); members can leave.
+ */
+router.delete("/:id/members/:memberId", async (req, res) => {
+    try {
+        const loaded = await loadOrganisation(req, res);
+        if (!loaded) return;
+        const { org, role } = loaded;
+
+        const member = org.members.id(req.params.memberId);
+        if (!member) return res.status(404).json({ error: "Member not found" });
+
+        const isSelf = sameId(member.user, req.user._id);
+        const allowed =
+            isSelf ||
+            role === "owner" ||
+            (role === "admin" && member.role !== "admin");
+
+        if (!allowed) {
+            return res.status(403).json({ error: "You cannot remove this member" });
+        }
+
+        member.deleteOne();
+        await org.save();
+
+        return res.json({ success: true, seats: getSeatUsage(org) });
+    } catch (err) {
+        console.error("DELETE /api/organisations/:id/members/:memberId error:", err);
+        return res.status(500).json({ error: "Failed to remove member" });
+    }
+});
+
+/* =========================================================
+   BRAND KIT
+   ========================================================= */
+
+/**
+ * GET /api/organisations/:id/brand-kit
+ */
+router.get("/:id/brand-kit", async (req, res) => {
+    try {
+        const loaded = await loadOrganisation(req, res);
+        if (!loaded) return;
+
+        return res.json({ data: loaded.org.brand_kit || {} });
+    } catch (err) {
+        console.error("GET /api/organisations/:id/brand-kit error:", err);
+        return res.status(500).json({ error: "Failed to load brand kit" });
+    }
+});
+
+/**
+ * PUT /api/organisations/:id/brand-kit
+ * JSON or multipart (files: logo, cover_photo).
+ * Body (all optional): brand fields + locked_fields: []
+ * Applies the kit to every profile of the owner (one revision each);
+ * QR codes and share images are re-rendered in the background.
+ */
+router.put("/:id/brand-kit", upload, async (req, res) => {
+    try {
+        const loaded = await loadOrganisation(req, res);
+        if (!loaded) return;
+        const { org, role } = loaded;
+
+        if (!canManageMembers(role)) {
+            return res.status(403).json({ error: "Only owners and admins can edit the brand kit" });
+        }
+
+        const input = { ...(req.body || {}) };
+
+        for (const field of ["logo", "cover_photo"]) {
+            const file = req.files?.[field]?.[0];
+            if (!file) continue;
+
+            const key = `brand-kits/${org._id}/${field}-${Date.now()}-${file.originalname}`;
+            input[field] = await uploadToS3(file.buffer, key);
+        }
+
+        const merged = mergeBrandKit(org.brand_kit?.toObject?.() || org.brand_kit || {}, input);
+        if (merged.error) return res.status(400).json({ error: merged.error });
+
+        org.brand_kit = merged.kit;
+        await org.save();
+
+        const applied = await propagateBrandKit(org, { editedBy: req.user._id });
+
+        return res.json({ data: org.brand_kit, applied });
+    } catch (err) {
+        console.error("PUT /api/organisations/:id/brand-kit error:", err);
+        return res.status(500).json({ error: "Failed to update brand kit" });
+    }
+});
+
+/**
+ * POST /api/organisations/invites/accept
+ * Body: { token }
+ * The logged-in account's email must match the invited email.
+ */
+router.post("/invites/accept", async (req, res) => {
+    try {
+        const token = cleanString(req.body?.token, 200);
+        if (!token) return res.status(400).json({ error: "Invite token is required" });
+
+        const hash = hashInviteToken(token);
+        const org = await Organisation.findOne({ "members.invite_token_hash": hash });
+        const member = org?.members.find((m) => m.invite_token_hash === hash);
+
+        if (!org || !member || member.status !== "invited") {
+            return res.status(404).json({ error: "Invite not found", code: "INVITE_NOT_FOUND" });
+        }
+
+        if (!member.invite_expires || member.invite_expires < new Date()) {
+            return res.status(410).json({ error: "Invite has expired", code: "INVITE_EXPIRED" });
+        }
+
+        if (cleanEmail(req.user.email) !== member.email) {
+            return res.status(403).json({
+                error: `This invite was sent to ${member.email}. Log in with that account to accept it.`,
+                code: "INVITE_EMAIL_MISMATCH",
+            });
+        }
+
+        if (sameId(org.owner, req.user._id)) {
+            return res.status(400).json({ error: "You already own this organisation" });
+        }
+
+        member.user = req.user._id;
+        member.status = "active";
+        member.joined_at = new Date();
+        member.invite_token_hash = "";
+        member.invite_expires = null;
+        await org.save();
+
+        return res.json({ data: serializeOrganisation(org, member.role) });
+    } catch (err) {
+        console.error("POST /api/organisations/invites/accept error:", err);
+        return res.status(500).json({ error: "Failed to accept invite" });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,117 @@
+// backend/routes/physicalCards.js
+// Owner management of printed NFC/QR cards. Base path: /api/physical-cards
+const express = require("express");
+const router = express.Router();
+const mongoose = require("mongoose");
+
+const { requireAuth } = require("../helpers/auth");
+const PhysicalCard = require("../models/PhysicalCard");
+const BusinessCard = require("../models/BusinessCard");
+const { serializePhysicalCard } = require("../utils/physicalCards");
+
+const cleanString = (v, max = 200) => String(v || "").trim().slice(0, max);
+
+const safeSlug = (v) =>
+    String(v || "")
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9-]/g, "");
+
+const isObjectId = (v) => mongoose.Types.ObjectId.isValid(String(v || ""));
+
+router.use(requireAuth);
+
+/**
+ * GET /api/physical-cards?order=<orderId>
+ */
+router.get("/", async (req, res) => {
+    try {
+        const query = { user: req.user._id };
+
+        if (req.query?.order) {
+            if (!isObjectId(req.query.order)) {
+                return res.status(400).json({ error: "Invalid order id" });
+            }
+            query.order = req.query.order;
+        }
+
+        const cards = await PhysicalCard.find(query)
+            .populate("business_card", "profile_slug")
+            .sort({ createdAt: -1, order_index: 1 })
+            .lean();
+
+        return res.json({ data: cards.map(serializePhysicalCard) });
+    } catch (err) {
+        console.error("GET /api/physical-cards error:", err);
+        return res.status(500).json({ error: "Failed to load cards" });
+    }
+});
+
+/**
+ * PATCH /api/physical-cards/:id
+ * Body (all optional): { profileSlug, status: "active" | "deactivated", label }
+ * profileSlug: "" unassigns the card.
+ */
+router.patch("/:id", async (req, res) => {
+    try {
+        if (!isObjectId(req.params.id)) {
+            return res.status(400).json({ error: "Invalid card id" });
+        }
+
+        const card = await PhysicalCard.findOne({ _id: req.params.id, user: req.user._id });
+        if (!card) return res.status(404).json({ error: "Card not found" });
+
+        const body = req.body && typeof req.body === "object" ? req.body : {};
+
+        if (body.profileSlug !== undefined) {
+            const slug = safeSlug(body.profileSlug);
+
+            if (!slug) {
+                card.business_card = null;
+            } else {
+                const profile = await BusinessCard.findOne({
+                    user: req.user._id,
+                    profile_slug: slug,
+                }).select("_id");
+
+                if (!profile) {
+                    return res.status(404).json({
+                        error: "Profile not found",
+                        code: "PROFILE_NOT_FOUND",
+                    });
+                }
+
+                card.business_card = profile._id;
+            }
+        }
+
+        if (body.status !== undefined) {
+            const status = cleanString(body.status, 20).toLowerCase();
+            if (!["active", "deactivated"].includes(status)) {
+                return res.status(400).json({
+                    error: "status must be active or deactivated",
+                    code: "INVALID_STATUS",
+                });
+            }
+
+            if (status !== card.status) {
+                card.status = status;
+                card.deactivated_at = status === "deactivated" ? new Date() : null;
+            }
+        }
+
+        if (body.label !== undefined) {
+            card.label = cleanString(body.label, 80);
+        }
+
+        await card.save();
+        await card.populate("business_card", "profile_slug");
+
+        return res.json({ data: serializePhysicalCard(card.toObject()) });
+    } catch (err) {
+        console.error("PATCH /api/physical-cards/:id error:", err);
+        return res.status(500).json({ error: "Failed to update card" });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,184 @@
+// backend/routes/profilePages.js
+// Server-rendered /u/:slug so link previews (WhatsApp, Facebook, LinkedIn,
+// X) and search engines see real meta tags. The SPA's index.html is fetched
+// once, the profile's <head> tags are injected, and the SPA boots as usual.
+// Mounted at "/" in index.js.
+const express = require("express");
+const router = express.Router();
+
+const BusinessCard = require("../models/BusinessCard");
+const { resolveProfileSlug } = require("../utils/profileSlugs");
+const { buildProfileUrl, listedProfilesQuery } = require("../utils/directory");
+const { buildProfileBaseUrl } = require("../utils/customDomains");
+const { buildPublicProfilePayload } = require("../controllers/businessCardController");
+const { buildProfileMeta, escapeHtml, renderProfileHeadTags } = require("../utils/profileMeta");
+
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:5173";
+
+// The built SPA entry point (must not itself be routed back here)
+const SPA_INDEX_URL = process.env.SPA_INDEX_URL || `${FRONTEND_URL}/index.html`;
+
+const SHELL_CACHE_MS = 5 * 60 * 1000;
+// Protocol limit per sitemap file
+const SITEMAP_MAX_URLS = 50000;
+const SHELL_FETCH_TIMEOUT_MS = 3000;
+
+let shellCache = { html: "", fetchedAt: 0 };
+
+const safeSlug = (v) =>
+    String(v || "")
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9-]/g, "");
+
+/**
+ * SPA index.html, cached. Returns "" when it can't be fetched.
+ * A stale copy is preferred over nothing.
+ */
+async function getSpaShell() {
+    if (shellCache.html && Date.now() - shellCache.fetchedAt < SHELL_CACHE_MS) {
+        return shellCache.html;
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), SHELL_FETCH_TIMEOUT_MS);
+
+    try {
+        const response = await fetch(SPA_INDEX_URL, { signal: controller.signal });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const html = await response.text();
+        if (!/<\/head>/i.test(html)) throw new Error("no </head> in SPA index");
+
+        shellCache = { html, fetchedAt: Date.now() };
+        return html;
+    } catch (err) {
+        console.error("[profilePages] SPA shell fetch failed:", err?.message || err);
+        return shellCache.html;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * Replace the shell's own <title>/description/OG tags with the profile's.
+ */
+function injectHeadTags(shell, headTags) {
+    const stripped = shell
+        .replace(/<title>[\s\S]*?<\/title>/i, "")
+        .replace(/<meta\s+name=["']description["'][^>]*>/gi, "")
+        .replace(/<meta\s+(property|name)=["'](og|twitter):[^"']*["'][^>]*>/gi, "")
+        .replace(/<link\s+rel=["']canonical["'][^>]*>/gi, "");
+
+    // Function replacer: "$&" etc. in profile text must stay literal
+    return stripped.replace(/<\/head>/i, () => `    ${headTags}\n  </head>`);
+}
+
+/**
+ * Used when the SPA shell is unavailable: crawlers still get a readable page.
+ */
+function renderFallbackPage(view, headTags, url) {
+    const meta = buildProfileMeta(view, { url });
+
+    return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8"/>
+    <meta name="viewport" content="width=device-width, initial-scale=1.0"/>
+    ${headTags}
+  </head>
+  <body>
+    <main>
+      <h1>${escapeHtml(meta.name)}</h1>
+      <p>${escapeHtml(meta.description)}</p>
+      <p><a href="/api/business-card/public/${escapeHtml(view.profile_slug)}/vcard">Save contact</a></p>
+    </main>
+  </body>
+</html>`;
+}
+
+/* =========================================================
+   PUBLIC PROFILE PAGE
+   GET /u/:slug
+   - renamed slugs 301 to the current one
+   - unknown slugs get the plain SPA shell with a 404 status
+   ========================================================= */
+router.get("/u/:slug", async (req, res) => {
+    try {
+        const slug = safeSlug(req.params.slug);
+        const resolved = slug ? await resolveProfileSlug(slug) : null;
+
+        if (!resolved) {
+            const shell = await getSpaShell();
+            res.setHeader("Cache-Control", "no-store");
+            return shell
+                ? res.status(404).type("html").send(shell)
+                : res.status(404).type("html").send("<!DOCTYPE html><title>Not found</title>");
+        }
+
+        if (resolved.aliased) {
+            const query = req.originalUrl.includes("?")
+                ? req.originalUrl.slice(req.originalUrl.indexOf("?"))
+                : "";
+            return res.redirect(301, `/u/${resolved.canonicalSlug}${query}`);
+        }
+
+        const view = await buildPublicProfilePayload(resolved.card);
+        // Canonical is the custom domain when the profile has a verified one
+        const url = await buildProfileBaseUrl({
+            profileSlug: resolved.canonicalSlug,
+            businessCardId: resolved.card._id,
+        });
+        const headTags = renderProfileHeadTags(view, { url });
+
+        const shell = await getSpaShell();
+        const html = shell ? injectHeadTags(shell, headTags) : renderFallbackPage(view, headTags, url);
+
+        // Short cache: publishing should show up in previews quickly
+        res.setHeader("Cache-Control", "public, max-age=300");
+        return res.status(200).type("html").send(html);
+    } catch (err) {
+        console.error("profile page render error:", err);
+        return res.status(500).type("html").send("<!DOCTYPE html><title>Something went wrong</title>");
+    }
+});
+
+/* =========================================================
+   SITEMAP of directory-listed profiles
+   GET /sitemap.xml
+   ========================================================= */
+router.get("/sitemap.xml", async (req, res) => {
+    try {
+        const cursor = BusinessCard.find(listedProfilesQuery())
+            .select("profile_slug published_at updatedAt")
+            .sort({ _id: 1 })
+            .limit(SITEMAP_MAX_URLS)
+            .lean()
+            .cursor();
+
+        res.setHeader("Content-Type", "application/xml; charset=utf-8");
+        res.setHeader("Cache-Control", "public, max-age=3600");
+
+        res.write('<?xml version="1.0" encoding="UTF-8"?>\n');
+        res.write('<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n');
+
+        for await (const card of cursor) {
+            if (!card.profile_slug) continue;
+            const lastmod = card.published_at || card.updatedAt;
+            res.write(
+                `  <url><loc>${escapeHtml(buildProfileUrl(card.profile_slug))}</loc>` +
+                (lastmod ? `<lastmod>${new Date(lastmod).toISOString()}</lastmod>` : "") +
+                "</url>\n"
+            );
+        }
+
+        res.write("</urlset>\n");
+        return res.end();
+    } catch (err) {
+        console.error("sitemap error:", err);
+        if (!res.headersSent) return res.status(500).type("text").send("Failed to build sitemap");
+        return res.end();
+    }
+});
+
+module.exports = router;
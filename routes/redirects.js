@@ -0,0 +1,113 @@
+// backend/routes/redirects.js
+// Short public redirect URLs. Mounted at "/" in index.js.
+const express = require("express");
+const router = express.Router();
+
+const PhysicalCard = require("../models/PhysicalCard");
+const Campaign = require("../models/Campaign");
+const { cleanCardToken } = require("../utils/physicalCards");
+const { buildCampaignRedirectUrl, cleanCampaignCode } = require("../utils/campaigns");
+const { buildProfileTargetUrl } = require("../utils/customDomains");
+const { isBotUserAgent } = require("../utils/botDetection");
+
+const PUBLIC_PROFILE_DOMAIN =
+    process.env.PUBLIC_PROFILE_DOMAIN || "https://www.konarcard.com";
+
+/* =========================================================
+   PHYSICAL CARDS
+   GET /c/:token          (NFC chip)
+   GET /c/:token?via=qr   (printed QR)
+   302, never 301: the owner can reassign or deactivate the card
+   ========================================================= */
+router.get("/c/:token", async (req, res) => {
+    res.setHeader("Cache-Control", "no-store");
+
+    try {
+        const token = cleanCardToken(req.params.token);
+        if (!token) return res.redirect(302, `${PUBLIC_PROFILE_DOMAIN}/?card=unknown`);
+
+        const card = await PhysicalCard.findOne({ token })
+            .populate("business_card", "profile_slug")
+            .lean();
+
+        if (!card) return res.redirect(302, `${PUBLIC_PROFILE_DOMAIN}/?card=unknown`);
+
+        if (card.status !== "active") {
+            return res.redirect(302, `${PUBLIC_PROFILE_DOMAIN}/?card=inactive`);
+        }
+
+        const slug = card.business_card?.profile_slug;
+        if (!slug) return res.redirect(302, `${PUBLIC_PROFILE_DOMAIN}/?card=unassigned`);
+
+        // Link-preview bots follow the link too; don't count them
+        if (!isBotUserAgent(req.headers["user-agent"])) {
+            try {
+                await PhysicalCard.updateOne(
+                    { _id: card._id },
+                    { $inc: { tap_count: 1 }, $set: { last_tapped_at: new Date() } }
+                );
+            } catch (e) {
+                console.error("physical card tap counter failed:", e);
+            }
+        }
+
+        const via = String(req.query?.via || "").toLowerCase() === "qr" ? "qr" : "nfc";
+
+        // Custom domain when the profile has a verified one
+        const target = await buildProfileTargetUrl({
+            profileSlug: slug,
+            businessCardId: card.business_card._id,
+            via,
+        });
+
+        // The profile page forwards `card` to /api/analytics/track
+        return res.redirect(302, `${target}&card=${encodeURIComponent(token)}`);
+    } catch (err) {
+        console.error("GET /c/:token error:", err);
+        return res.redirect(302, PUBLIC_PROFILE_DOMAIN);
+    }
+});
+
+/* =========================================================
+   CAMPAIGN LINKS
+   GET /l/:code          (short link)
+   GET /l/:code?via=qr   (campaign QR code)
+   Adds the campaign's UTM preset and ?campaign=<code>; the profile page
+   forwards both to /api/analytics/track.
+   ========================================================= */
+router.get("/l/:code", async (req, res) => {
+    res.setHeader("Cache-Control", "no-store");
+
+    try {
+        const code = cleanCampaignCode(req.params.code);
+        if (!code) return res.redirect(302, `${PUBLIC_PROFILE_DOMAIN}/?link=unknown`);
+
+        const campaign = await Campaign.findOne({ code })
+            .populate("business_card", "profile_slug")
+            .lean();
+
+        const slug = campaign?.business_card?.profile_slug;
+        if (!slug) return res.redirect(302, `${PUBLIC_PROFILE_DOMAIN}/?link=unknown`);
+
+        if (!isBotUserAgent(req.headers["user-agent"])) {
+            try {
+                await Campaign.updateOne(
+                    { _id: campaign._id },
+                    { $inc: { click_count: 1 }, $set: { last_clicked_at: new Date() } }
+                );
+            } catch (e) {
+                console.error("campaign click counter failed:", e);
+            }
+        }
+
+        const via = String(req.query?.via || "").toLowerCase() === "qr" ? "qr" : "link";
+        const target = await buildCampaignRedirectUrl(campaign, { profileSlug: slug, via });
+
+        return res.redirect(302, target || PUBLIC_PROFILE_DOMAIN);
+    } catch (err) {
+        console.error("GET /l/:code error:", err);
+        return res.redirect(302, PUBLIC_PROFILE_DOMAIN);
+    }
+});
+
+module.exports = router;
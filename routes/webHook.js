@@ -13,13 +13,18 @@
 const Stripe = require("stripe");
 const stripe = Stripe(process.env.STRIPE_SECRET_KEY);
 
-const QRCode = require("qrcode");
-
 const User = require("../models/user");
 const BusinessCard = require("../models/BusinessCard");
 const NfcOrder = require("../models/NfcOrder");
 
-const uploadToS3 = require("../utils/uploadToS3");
+const { checkSlugClaimable } = require("../utils/profileSlugs");
+const { syncOrganisationSeats } = require("../utils/organisations");
+const { buildProfileTargetUrl } = require("../utils/customDomains");
+const { generateAndUploadProfileQr } = require("../utils/qrCode");
+const {
+  buildPhysicalCardUrl,
+  ensurePhysicalCardsForOrder,
+} = require("../utils/physicalCards");
 
 const sendEmail = require("../utils/SendEmail");
 const {
@@ -88,17 +93,6 @@ function buildPublicUrlBySlug(profileSlug) {
   return `${PUBLIC_PROFILE_DOMAIN}/u/${s}`;
 }
 
-function buildTrackedUrlBySlug(profileSlug, via = "") {
-  const base = buildPublicUrlBySlug(profileSlug);
-  const cleanVia = cleanLower(via, 20);
-
-  if (!base) return "";
-  if (!cleanVia) return base;
-
-  if (!["qr", "nfc"].includes(cleanVia)) return base;
-  return `${base}?via=${encodeURIComponent(cleanVia)}`;
-}
-
 function buildAddressString(address) {
   if (!address || typeof address !== "object") return "";
 
@@ -189,6 +183,19 @@ function getInitialEstimatedDelivery(now = new Date()) {
   };
 }
 
+/**
+ * Organisation seats follow the Teams quantity on the User doc
+ */
+async function syncSeatsIfNeeded(user, set) {
+  if (!user || (set.teamsProfilesQty === undefined && set.plan === undefined)) return;
+
+  try {
+    await syncOrganisationSeats(user);
+  } catch (e) {
+    console.error("[webhook] organisation seat sync failed:", e?.message || e);
+  }
+}
+
 async function updateUserByCustomer(customerId, { set = {}, unset = {} }) {
   if (!customerId) return null;
 
@@ -197,9 +204,11 @@ async function updateUserByCustomer(customerId, { set = {}, unset = {} }) {
   if (Object.keys(unset).length) update.$unset = unset;
   if (!Object.keys(update).length) return null;
 
-  return User.findOneAndUpdate({ stripeCustomerId: customerId }, update, {
+  const user = await User.findOneAndUpdate({ stripeCustomerId: customerId }, update, {
     new: true,
   });
+  await syncSeatsIfNeeded(user, set);
+  return user;
 }
 
 async function updateUserById(userId, { set = {}, unset = {} }) {
@@ -210,7 +219,9 @@ async function updateUserById(userId, { set = {}, unset = {} }) {
   if (Object.keys(unset).length) update.$unset = unset;
   if (!Object.keys(update).length) return null;
 
-  return User.findByIdAndUpdate(userId, update, { new: true });
+  const user = await User.findByIdAndUpdate(userId, update, { new: true });
+  await syncSeatsIfNeeded(user, set);
+  return user;
 }
 
 async function findUserIdByCustomer(customerId) {
@@ -293,19 +304,15 @@ async function ensureClaimedProfile({ userId, claimedSlug }) {
   const existing = await BusinessCard.findOne({ profile_slug: slug }).select("_id");
   if (existing) return { created: false, reason: "already_exists" };
 
+  const claimable = await checkSlugClaimable(slug, userId);
+  if (!claimable.ok) return { created: false, reason: "slug_reserved" };
+
   const publicUrl = buildPublicUrlBySlug(slug);
-  const qrTargetUrl = buildTrackedUrlBySlug(slug, "qr");
 
+  // New profile: default QR style
   let qrUrl = "";
   try {
-    const pngBuffer = await QRCode.toBuffer(qrTargetUrl || publicUrl, {
-      errorCorrectionLevel: "M",
-      margin: 2,
-      width: 512,
-    });
-
-    const key = `qr-codes/${userId}/${slug}-${Date.now()}.png`;
-    qrUrl = await uploadToS3(pngBuffer, key);
+    qrUrl = await generateAndUploadProfileQr(userId, slug);
   } catch {
     qrUrl = "";
   }
@@ -463,11 +470,11 @@ async function updateNfcOrderFromSession(session, statusOverride) {
   }
 
   if (!qrTargetUrl && resolvedProfileSlug) {
-    qrTargetUrl = buildTrackedUrlBySlug(resolvedProfileSlug, "qr");
+    qrTargetUrl = await buildProfileTargetUrl({ profileSlug: resolvedProfileSlug, via: "qr" });
   }
 
   if (!nfcTargetUrl && resolvedProfileSlug) {
-    nfcTargetUrl = buildTrackedUrlBySlug(resolvedProfileSlug, "nfc");
+    nfcTargetUrl = await buildProfileTargetUrl({ profileSlug: resolvedProfileSlug, via: "nfc" });
   }
 
   if (existing.status === "fulfilled") {
@@ -562,6 +569,25 @@ async function updateNfcOrderFromSession(session, statusOverride) {
     { new: true }
   );
 
+  // Paid: register one PhysicalCard (and /c/:token URL) per card in the order
+  if (updated && nextStatus === "paid") {
+    try {
+      const cards = await ensurePhysicalCardsForOrder(updated);
+
+      // Single-card orders: encode the card URL instead of the profile URL
+      if (cards.length === 1) {
+        updated.nfcTargetUrl = buildPhysicalCardUrl(cards[0].token, "nfc");
+        updated.qrTargetUrl = buildPhysicalCardUrl(cards[0].token, "qr");
+        await NfcOrder.updateOne(
+          { _id: updated._id },
+          { $set: { nfcTargetUrl: updated.nfcTargetUrl, qrTargetUrl: updated.qrTargetUrl } }
+        );
+      }
+    } catch (e) {
+      console.error("[webhook] physical card registration failed:", e?.message || e);
+    }
+  }
+
   return updated;
 }
 
@@ -52,13 +52,14 @@ async function getTransporter() {
     return cachedTransporter;
 }
 
-const sendEmail = async (to, subject, html) => {
+// options: { attachments, replyTo, headers } — passed through to nodemailer
+const sendEmail = async (to, subject, html, options = {}) => {
     const transporter = await getTransporter();
 
     // Office365 requires the "from" to match the authenticated user (EMAIL_USER).
     // EMAIL_FROM is only used as a display-only reply-to fallback.
     const authUser = (process.env.EMAIL_USER || "").trim();
-    const replyAddr = (process.env.EMAIL_FROM || authUser).trim();
+    const replyAddr = (options.replyTo || process.env.EMAIL_FROM || authUser).trim();
 
     try {
         const info = await transporter.sendMail({
@@ -67,6 +68,10 @@ const sendEmail = async (to, subject, html) => {
             subject,
             html,
             replyTo: replyAddr,
+            ...(Array.isArray(options.attachments) && options.attachments.length
+                ? { attachments: options.attachments }
+                : {}),
+            ...(options.headers && typeof options.headers === "object" ? { headers: options.headers } : {}),
         });
 
         console.log("[SendEmail] sent:", {
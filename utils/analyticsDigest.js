@@ -0,0 +1,169 @@
+// backend/utils/analyticsDigest.js
+// Data and links for the weekly analytics digest email
+// (jobs/analyticsDigest.js). Weeks run Monday–Sunday, UTC.
+
+const jwt = require("jsonwebtoken");
+const BusinessCard = require("../models/BusinessCard");
+const { buildAnalyticsSummary } = require("./analyticsSummary");
+const { addDaysToKey, dayKeyToDate, toDayKey } = require("./analyticsRollups");
+
+// Domain that serves /api (for the one-click unsubscribe link)
+const API_PUBLIC_URL =
+    process.env.API_PUBLIC_URL ||
+    process.env.PUBLIC_PROFILE_DOMAIN ||
+    "https://www.konarcard.com";
+
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:5173";
+
+// Unsubscribe links are signed with their own secret (never JWT_SECRET) and
+// carry the user as `uid`, so they can never pass requireAuth as a login.
+const UNSUBSCRIBE_TOKEN_PURPOSE = "digest_unsubscribe";
+const UNSUBSCRIBE_TOKEN_TTL = "180d";
+
+const TOP_LINKS = 5;
+
+/**
+ * The last complete week before `now`: { weekKey (Monday), endKey (Sunday),
+ * previousWeekKey, label }.
+ */
+function getDigestWeek(now = new Date()) {
+    const todayKey = toDayKey(now);
+    const daysSinceMonday = (dayKeyToDate(todayKey).getUTCDay() + 6) % 7;
+    const thisMondayKey = addDaysToKey(todayKey, -daysSinceMonday);
+
+    const weekKey = addDaysToKey(thisMondayKey, -7);
+    const endKey = addDaysToKey(thisMondayKey, -1);
+
+    const fmt = (key, opts) =>
+        dayKeyToDate(key).toLocaleDateString("en-GB", { ...opts, timeZone: "UTC" });
+
+    return {
+        weekKey,
+        endKey,
+        previousWeekKey: addDaysToKey(weekKey, -7),
+        label: `${fmt(weekKey, { day: "numeric", month: "short" })} – ${fmt(endKey, {
+            day: "numeric",
+            month: "short",
+            year: "numeric",
+        })}`,
+    };
+}
+
+// Last millisecond of the Sunday that ends the week starting `mondayKey`
+const weekEndInstant = (mondayKey) => new Date(dayKeyToDate(addDaysToKey(mondayKey, 7)).getTime() - 1);
+
+function pickWeekStats(summary) {
+    const m = summary.metrics;
+    return {
+        profileViews: m.profileViews,
+        qrScans: m.qrScans,
+        cardTaps: m.cardTaps,
+        linkOpens: m.linkOpens,
+        uniqueVisitors: m.uniqueVisitors,
+        contactExchanges: m.contactExchangeSubmits,
+    };
+}
+
+/**
+ * Week-over-week change in percent; null when last week was 0.
+ */
+function percentChange(current, previous) {
+    if (!previous) return null;
+    return Math.round(((current - previous) / previous) * 100);
+}
+
+/**
+ * Per-profile stats for one owner and week. Profiles with no activity in
+ * either week are left out.
+ */
+async function buildOwnerDigest(userId, week) {
+    const cards = await BusinessCard.find({ user: userId, profile_slug: { $nin: [null, ""] } })
+        .select("_id profile_slug business_card_name business_name full_name")
+        .sort({ is_default: -1, createdAt: 1 })
+        .lean();
+
+    const profiles = [];
+
+    for (const card of cards) {
+        const [current, previous] = await Promise.all([
+            buildAnalyticsSummary({
+                ownerUserId: userId,
+                businessCardId: card._id,
+                days: 7,
+                now: weekEndInstant(week.weekKey),
+            }),
+            buildAnalyticsSummary({
+                ownerUserId: userId,
+                businessCardId: card._id,
+                days: 7,
+                now: weekEndInstant(week.previousWeekKey),
+            }),
+        ]);
+
+        const thisWeek = pickWeekStats(current);
+        const lastWeek = pickWeekStats(previous);
+
+        const hasActivity =
+            Object.values(thisWeek).some((v) => v > 0) || Object.values(lastWeek).some((v) => v > 0);
+        if (!hasActivity) continue;
+
+        const change = {};
+        for (const key of Object.keys(thisWeek)) change[key] = percentChange(thisWeek[key], lastWeek[key]);
+
+        profiles.push({
+            profileSlug: card.profile_slug,
+            name: card.business_card_name || card.business_name || card.full_name || card.profile_slug,
+            thisWeek,
+            lastWeek,
+            change,
+            topLinks: current.clickTargets.slice(0, TOP_LINKS),
+        });
+    }
+
+    return profiles;
+}
+
+/* =========================================================
+   Unsubscribe links
+   ========================================================= */
+const getUnsubscribeSecret = () => process.env.DIGEST_UNSUBSCRIBE_SECRET || "";
+
+// "" without DIGEST_UNSUBSCRIBE_SECRET (the email then links to settings only)
+function buildDigestUnsubscribeUrl(userId) {
+    const secret = getUnsubscribeSecret();
+    if (!secret) return "";
+
+    const token = jwt.sign(
+        { uid: String(userId), purpose: UNSUBSCRIBE_TOKEN_PURPOSE },
+        secret,
+        { expiresIn: UNSUBSCRIBE_TOKEN_TTL }
+    );
+
+    return `${API_PUBLIC_URL}/api/email-preferences/unsubscribe?token=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Returns the user id from an unsubscribe token, or null.
+ */
+function verifyDigestUnsubscribeToken(token) {
+    const secret = getUnsubscribeSecret();
+    if (!token || !secret) return null;
+
+    try {
+        const decoded = jwt.verify(String(token), secret);
+        if (decoded?.purpose !== UNSUBSCRIBE_TOKEN_PURPOSE || !decoded?.uid) return null;
+        return decoded.uid;
+    } catch {
+        return null;
+    }
+}
+
+const buildEmailSettingsUrl = () => `${FRONTEND_URL}/settings`;
+
+module.exports = {
+    buildDigestUnsubscribeUrl,
+    buildEmailSettingsUrl,
+    buildOwnerDigest,
+    getDigestWeek,
+    verifyDigestUnsubscribeToken,
+};
@@ -0,0 +1,194 @@
+// backend/utils/analyticsExport.js
+// Row definitions and cursors for GET /api/analytics/export.
+// Raw events never include ip or user_agent; daily rows never include the
+// hashed visitor keys.
+
+const ProfileAnalyticsEvent = require("../models/ProfileAnalyticsEvent");
+const ProfileAnalyticsDaily = require("../models/ProfileAnalyticsDaily");
+const { VIEW_EVENT_TYPES } = require("./trackProfileEvent");
+const { SOCIAL_PLATFORMS, addDaysToKey, dayKeyToDate, toDayKey } = require("./analyticsRollups");
+
+const EXPORT_FORMATS = ["csv", "ndjson"];
+const EXPORT_TYPES = ["events", "daily"];
+
+const DEFAULT_EXPORT_DAYS = 30;
+const MAX_EXPORT_DAYS = 731;
+
+const DAY_KEY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const EVENT_TYPES = [
+    "profile_view",
+    "qr_scan",
+    "nfc_tap",
+    "link_open",
+    "contact_save",
+    "contact_exchange",
+    "contact_exchange_opened",
+    "email_clicked",
+    "phone_clicked",
+    "social_clicked",
+];
+
+const idOrEmpty = (v) => (v ? String(v) : "");
+
+/* =========================================================
+   Columns (CSV header + value); NDJSON uses the same keys
+   ========================================================= */
+const RAW_EVENT_COLUMNS = [
+    ["id", (e) => String(e._id)],
+    ["created_at", (e) => e.createdAt],
+    ["profile_slug", (e) => e.profile_slug],
+    ["event_type", (e) => e.event_type],
+    ["source_type", (e) => e.source_type],
+    ["source_platform", (e) => e.source_platform],
+    ["referrer", (e) => e.referrer],
+    ["utm_source", (e) => e.utm_source],
+    ["utm_medium", (e) => e.utm_medium],
+    ["utm_campaign", (e) => e.utm_campaign],
+    ["utm_term", (e) => e.utm_term],
+    ["utm_content", (e) => e.utm_content],
+    ["visitor_id", (e) => e.visitor_id],
+    ["session_id", (e) => e.session_id],
+    ["visit_id", (e) => e.visit_id],
+    ["action_target", (e) => e.action_target],
+    ["target_url", (e) => e.target_url],
+    ["campaign", (e) => idOrEmpty(e.campaign)],
+    ["physical_card", (e) => idOrEmpty(e.physical_card)],
+    ["device_type", (e) => e.device_type || "unknown"],
+    ["os", (e) => e.os || "unknown"],
+    ["browser", (e) => e.browser || "unknown"],
+    ["is_bot", (e) => e.is_bot === true],
+    ["bot_reason", (e) => e.bot_reason || ""],
+];
+
+// Only these fields are read from the DB (ip / user_agent stay behind;
+// the parsed device_type / os / browser are exported instead)
+const RAW_EVENT_FIELDS = [
+    "createdAt",
+    "profile_slug",
+    "event_type",
+    "source_type",
+    "source_platform",
+    "referrer",
+    "utm_source",
+    "utm_medium",
+    "utm_campaign",
+    "utm_term",
+    "utm_content",
+    "visitor_id",
+    "session_id",
+    "visit_id",
+    "action_target",
+    "target_url",
+    "campaign",
+    "physical_card",
+    "device_type",
+    "os",
+    "browser",
+    "is_bot",
+    "bot_reason",
+].join(" ");
+
+const DAILY_COLUMNS = [
+    ["day", (d) => d.day],
+    ["profile_slug", (d) => d.profile_slug],
+    ["profile_views", (d) => VIEW_EVENT_TYPES.reduce((sum, t) => sum + (d.events?.[t] || 0), 0)],
+    ...EVENT_TYPES.map((t) => [t, (d) => d.events?.[t] || 0]),
+    ["unique_visitors", (d) => d.unique_visitors || 0],
+    ["contact_conversions", (d) => d.contact_conversions || 0],
+    ["bot_events", (d) => EVENT_TYPES.reduce((sum, t) => sum + (d.bot_events?.[t] || 0), 0)],
+    ...SOCIAL_PLATFORMS.map((p) => [`social_${p}`, (d) => d.social?.[p] || 0]),
+    [
+        "click_targets",
+        (d) =>
+            Object.entries(d.click_targets || {})
+                .map(([k, v]) => `${k}:${v}`)
+                .join("; "),
+    ],
+];
+
+const DAILY_FIELDS = "day profile_slug events bot_events unique_visitors contact_conversions social click_targets";
+
+function columnsFor(type) {
+    return type === "daily" ? DAILY_COLUMNS : RAW_EVENT_COLUMNS;
+}
+
+function exportHeaders(type) {
+    return columnsFor(type).map(([key]) => key);
+}
+
+function exportValues(type, doc) {
+    return columnsFor(type).map(([, value]) => value(doc));
+}
+
+// NDJSON keeps click_targets as an object
+function exportRecord(type, doc) {
+    const record = {};
+    for (const [key, value] of columnsFor(type)) record[key] = value(doc);
+    if (type === "daily") record.click_targets = { ...(doc.click_targets || {}) };
+    return record;
+}
+
+/**
+ * ?from=YYYY-MM-DD&to=YYYY-MM-DD (UTC, inclusive). Defaults to the last
+ * 30 days. Returns { fromKey, toKey } or { error, code } for a 400.
+ */
+function parseExportRange(query = {}, now = new Date()) {
+    const todayKey = toDayKey(now);
+    const rawFrom = String(query.from || "").trim();
+    const rawTo = String(query.to || "").trim();
+
+    for (const v of [rawFrom, rawTo]) {
+        if (v && (!DAY_KEY_RE.test(v) || Number.isNaN(dayKeyToDate(v).getTime()) || toDayKey(dayKeyToDate(v)) !== v)) {
+            return { error: "from and to must be dates in YYYY-MM-DD format", code: "INVALID_DATE" };
+        }
+    }
+
+    const toKey = rawTo && rawTo < todayKey ? rawTo : todayKey;
+    const fromKey = rawFrom || addDaysToKey(toKey, -(DEFAULT_EXPORT_DAYS - 1));
+
+    if (fromKey > toKey) {
+        return { error: "from must be on or before to", code: "INVALID_RANGE" };
+    }
+    if (addDaysToKey(fromKey, MAX_EXPORT_DAYS) <= toKey) {
+        return { error: `The range can be at most ${MAX_EXPORT_DAYS} days`, code: "RANGE_TOO_LONG" };
+    }
+
+    return { fromKey, toKey };
+}
+
+/**
+ * Cursor over the rows to export, oldest first.
+ * Daily rows exist only for days the roll-up job has processed.
+ */
+function openExportCursor({ type, ownerUserId, businessCardId = null, fromKey, toKey }) {
+    const scope = { owner_user: ownerUserId };
+    if (businessCardId) scope.business_card = businessCardId;
+
+    if (type === "daily") {
+        return ProfileAnalyticsDaily.find({ ...scope, day: { $gte: fromKey, $lte: toKey } })
+            .select(DAILY_FIELDS)
+            .sort({ day: 1, profile_slug: 1 })
+            .lean()
+            .cursor();
+    }
+
+    return ProfileAnalyticsEvent.find({
+        ...scope,
+        createdAt: { $gte: dayKeyToDate(fromKey), $lt: dayKeyToDate(addDaysToKey(toKey, 1)) },
+    })
+        .select(RAW_EVENT_FIELDS)
+        .sort({ createdAt: 1, _id: 1 })
+        .lean()
+        .cursor();
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    EXPORT_TYPES,
+    exportHeaders,
+    exportRecord,
+    exportValues,
+    openExportCursor,
+    parseExportRange,
+};
@@ -0,0 +1,438 @@
+// backend/utils/analyticsRollups.js
+// Rolls raw ProfileAnalyticsEvent docs into one ProfileAnalyticsDaily doc per
+// profile per UTC day, and applies the raw-event retention (TTL) policy.
+// Run by jobs/analyticsRollup.js; read by utils/analyticsSummary.js.
+
+const crypto = require("crypto");
+const ProfileAnalyticsEvent = require("../models/ProfileAnalyticsEvent");
+const ProfileAnalyticsDaily = require("../models/ProfileAnalyticsDaily");
+const AnalyticsRollupState = require("../models/AnalyticsRollupState");
+const { VIEW_EVENT_TYPES } = require("./trackProfileEvent");
+
+const CONVERSION_EVENT_TYPES = ["contact_save", "contact_exchange"];
+const CLICK_EVENT_TYPES = ["email_clicked", "phone_clicked", "social_clicked"];
+const SOCIAL_PLATFORMS = ["facebook", "instagram", "linkedin", "x", "tiktok", "google", "other"];
+
+const ROLLUP_STATE_KEY = "daily";
+
+// ANALYTICS_RAW_EVENT_TTL_DAYS: raw events older than this are deleted by
+// MongoDB. Unset/0 keeps them forever. Never below the minimum, so the
+// roll-up job has time to catch up after an outage.
+const MIN_RAW_EVENT_TTL_DAYS = 7;
+const RAW_EVENT_TTL_INDEX = "createdAt_ttl";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/* =========================================================
+   UTC days ("YYYY-MM-DD")
+   ========================================================= */
+function toDayKey(date) {
+    return new Date(date).toISOString().slice(0, 10);
+}
+
+function dayKeyToDate(dayKey) {
+    return new Date(`${dayKey}T00:00:00.000Z`);
+}
+
+function addDaysToKey(dayKey, amount) {
+    return toDayKey(dayKeyToDate(dayKey).getTime() + amount * DAY_MS);
+}
+
+/* =========================================================
+   Shared aggregation expressions
+   ========================================================= */
+
+// Best available visitor identity: visit → session → visitor id → ip + UA
+function buildIdentityExpr() {
+    return {
+        $switch: {
+            branches: [
+                {
+                    case: {
+                        $gt: [{ $strLenCP: { $ifNull: ["$visit_id", ""] } }, 0],
+                    },
+                    then: { $concat: ["visit:", "$visit_id"] },
+                },
+                {
+                    case: {
+                        $gt: [{ $strLenCP: { $ifNull: ["$session_id", ""] } }, 0],
+                    },
+                    then: { $concat: ["session:", "$session_id"] },
+                },
+                {
+                    case: {
+                        $gt: [{ $strLenCP: { $ifNull: ["$visitor_id", ""] } }, 0],
+                    },
+                    then: { $concat: ["visitor:", "$visitor_id"] },
+                },
+                {
+                    case: {
+                        $or: [
+                            { $gt: [{ $strLenCP: { $ifNull: ["$ip", ""] } }, 0] },
+                            { $gt: [{ $strLenCP: { $ifNull: ["$user_agent", ""] } }, 0] },
+                        ],
+                    },
+                    then: {
+                        $concat: [
+                            "anon:",
+                            { $ifNull: ["$ip", ""] },
+                            "|",
+                            { $ifNull: ["$user_agent", ""] },
+                        ],
+                    },
+                },
+            ],
+            default: "unknown-visitor",
+        },
+    };
+}
+
+// social_clicked → facebook | instagram | linkedin | x | tiktok | google | other
+function buildSocialPlatformExpr() {
+    const branch = (platform, targets) => ({
+        case: {
+            $or: [
+                { $eq: ["$source_platform", platform] },
+                ...targets.map((t) => ({ $eq: ["$action_target", t] })),
+            ],
+        },
+        then: platform,
+    });
+
+    return {
+        $switch: {
+            branches: [
+                branch("facebook", ["facebook", "facebook_url"]),
+                branch("instagram", ["instagram", "instagram_url"]),
+                branch("linkedin", ["linkedin", "linkedin_url"]),
+                branch("x", ["x", "x_url", "twitter", "twitter_url"]),
+                branch("tiktok", ["tiktok", "tiktok_url"]),
+                branch("google", ["google"]),
+            ],
+            default: "other",
+        },
+    };
+}
+
+// device_type / os / browser for view events ("" otherwise, to keep the
+// group small). Events from before parsing was added count as "unknown".
+function buildUserAgentGroupFields() {
+    const field = (name) => ({
+        $cond: [{ $in: ["$event_type", VIEW_EVENT_TYPES] }, { $ifNull: [`$${name}`, "unknown"] }, ""],
+    });
+    return { device_type: field("device_type"), os: field("os"), browser: field("browser") };
+}
+
+/**
+ * Rollups never store raw identities (they contain IPs); only this hash.
+ */
+function hashIdentityKey(identityKey) {
+    return crypto.createHash("sha1").update(String(identityKey)).digest("hex").slice(0, 16);
+}
+
+// Map keys can't contain "." or start with "$"
+const toMapKey = (v) => String(v || "unknown").replace(/[.$]/g, "_").slice(0, 120) || "unknown";
+
+/* =========================================================
+   Roll-up
+   ========================================================= */
+function emptyRollup(row, dayKey) {
+    return {
+        owner_user: row._id.owner_user,
+        business_card: row._id.business_card,
+        profile_slug: row._id.profile_slug || "",
+        day: dayKey,
+        events: {},
+        bot_events: {},
+        social: {},
+        click_targets: {},
+        devices: {},
+        operating_systems: {},
+        browsers: {},
+        visitors: new Set(),
+        converters: new Set(),
+        campaigns: new Map(),
+    };
+}
+
+function addRowToRollup(acc, row) {
+    const { event_type: eventType, identity_key: identityKey, platform, action_target: target, campaign } = row._id;
+    const count = row.count || 0;
+
+    if (row._id.profile_slug) acc.profile_slug = row._id.profile_slug;
+
+    // Bots only feed the separate counter
+    if (row._id.is_bot) {
+        acc.bot_events[eventType] = (acc.bot_events[eventType] || 0) + count;
+        return;
+    }
+
+    const hashed = hashIdentityKey(identityKey);
+    acc.events[eventType] = (acc.events[eventType] || 0) + count;
+
+    if (eventType === "social_clicked") {
+        acc.social[platform] = (acc.social[platform] || 0) + count;
+    }
+
+    if (CLICK_EVENT_TYPES.includes(eventType)) {
+        const key = toMapKey(target || eventType.replace("_clicked", ""));
+        acc.click_targets[key] = (acc.click_targets[key] || 0) + count;
+    }
+
+    const isView = VIEW_EVENT_TYPES.includes(eventType);
+    const isConversion = CONVERSION_EVENT_TYPES.includes(eventType);
+    if (isView) {
+        acc.visitors.add(hashed);
+        const { device_type: device, os, browser } = row._id;
+        acc.devices[device] = (acc.devices[device] || 0) + count;
+        acc.operating_systems[os] = (acc.operating_systems[os] || 0) + count;
+        acc.browsers[browser] = (acc.browsers[browser] || 0) + count;
+    }
+    if (isConversion) acc.converters.add(hashed);
+
+    if (campaign) {
+        const id = String(campaign);
+        if (!acc.campaigns.has(id)) {
+            acc.campaigns.set(id, {
+                campaign,
+                profile_views: 0,
+                qr_scans: 0,
+                link_opens: 0,
+                visitors: new Set(),
+                converters: new Set(),
+            });
+        }
+        const c = acc.campaigns.get(id);
+        if (isView) {
+            c.profile_views += count;
+            c.visitors.add(hashed);
+        }
+        if (eventType === "qr_scan") c.qr_scans += count;
+        if (eventType === "link_open") c.link_opens += count;
+        if (isConversion) c.converters.add(hashed);
+    }
+}
+
+async function saveRollup(acc) {
+    const doc = {
+        owner_user: acc.owner_user,
+        business_card: acc.business_card,
+        profile_slug: acc.profile_slug,
+        day: acc.day,
+        events: acc.events,
+        bot_events: acc.bot_events,
+        social: acc.social,
+        click_targets: acc.click_targets,
+        devices: acc.devices,
+        operating_systems: acc.operating_systems,
+        browsers: acc.browsers,
+        unique_visitors: acc.visitors.size,
+        contact_conversions: acc.converters.size,
+        visitor_keys: [...acc.visitors],
+        converter_keys: [...acc.converters],
+        campaigns: [...acc.campaigns.values()].map((c) => ({
+            campaign: c.campaign,
+            profile_views: c.profile_views,
+            qr_scans: c.qr_scans,
+            link_opens: c.link_opens,
+            visitor_keys: [...c.visitors],
+            converter_keys: [...c.converters],
+        })),
+        rolled_at: new Date(),
+    };
+
+    // Replace, not increment: re-rolling a day is always safe
+    await ProfileAnalyticsDaily.replaceOne(
+        { business_card: acc.business_card, day: acc.day },
+        doc,
+        { upsert: true }
+    );
+}
+
+/**
+ * Rolls up one UTC day for every profile. Idempotent.
+ * Returns the number of profile rollups written.
+ */
+async function rollupDay(dayKey) {
+    const start = dayKeyToDate(dayKey);
+    const end = new Date(start.getTime() + DAY_MS);
+
+    const cursor = ProfileAnalyticsEvent.aggregate([
+        { $match: { createdAt: { $gte: start, $lt: end } } },
+        {
+            $group: {
+                _id: {
+                    business_card: "$business_card",
+                    owner_user: "$owner_user",
+                    profile_slug: "$profile_slug",
+                    event_type: "$event_type",
+                    identity_key: buildIdentityExpr(),
+                    platform: {
+                        $cond: [{ $eq: ["$event_type", "social_clicked"] }, buildSocialPlatformExpr(), ""],
+                    },
+                    action_target: {
+                        $cond: [{ $in: ["$event_type", CLICK_EVENT_TYPES] }, "$action_target", ""],
+                    },
+                    campaign: "$campaign",
+                    is_bot: { $eq: ["$is_bot", true] },
+                    ...buildUserAgentGroupFields(),
+                },
+                count: { $sum: 1 },
+            },
+        },
+        { $sort: { "_id.business_card": 1 } },
+    ])
+        .allowDiskUse(true)
+        .cursor();
+
+    // Rows arrive grouped by profile: one rollup in memory at a time
+    let acc = null;
+    let written = 0;
+
+    for await (const row of cursor) {
+        if (!acc || String(acc.business_card) !== String(row._id.business_card)) {
+            if (acc) {
+                await saveRollup(acc);
+                written += 1;
+            }
+            acc = emptyRollup(row, dayKey);
+        }
+        addRowToRollup(acc, row);
+    }
+
+    if (acc) {
+        await saveRollup(acc);
+        written += 1;
+    }
+
+    return written;
+}
+
+async function getRollupState() {
+    return AnalyticsRollupState.findOneAndUpdate(
+        { key: ROLLUP_STATE_KEY },
+        { $setOnInsert: { key: ROLLUP_STATE_KEY } },
+        { upsert: true, new: true }
+    );
+}
+
+/**
+ * Last UTC day served from rollups ("" = none yet).
+ */
+async function getRolledThrough() {
+    const state = await AnalyticsRollupState.findOne({ key: ROLLUP_STATE_KEY }).select("rolled_through").lean();
+    return state?.rolled_through || "";
+}
+
+/**
+ * Rolls up every complete day not rolled up yet (the first run backfills
+ * from the oldest raw event). Progress is saved after each day, so an
+ * interrupted run resumes where it stopped.
+ */
+async function runDailyRollup({ now = new Date() } = {}) {
+    const state = await getRollupState();
+    const lastCompleteDay = addDaysToKey(toDayKey(now), -1);
+
+    let day = state.rolled_through ? addDaysToKey(state.rolled_through, 1) : "";
+    if (!day) {
+        const oldest = await ProfileAnalyticsEvent.findOne({}).sort({ createdAt: 1 }).select("createdAt").lean();
+        if (!oldest) return { days: 0, rollups: 0, rolledThrough: "" };
+        day = toDayKey(oldest.createdAt);
+    }
+
+    let days = 0;
+    let rollups = 0;
+
+    try {
+        while (day <= lastCompleteDay) {
+            rollups += await rollupDay(day);
+            await AnalyticsRollupState.updateOne(
+                { key: ROLLUP_STATE_KEY },
+                { $set: { rolled_through: day, last_error: "" } }
+            );
+            days += 1;
+            day = addDaysToKey(day, 1);
+        }
+    } catch (err) {
+        await AnalyticsRollupState.updateOne(
+            { key: ROLLUP_STATE_KEY },
+            { $set: { last_error: String(err?.message || err).slice(0, 500) } }
+        );
+        throw err;
+    } finally {
+        await AnalyticsRollupState.updateOne({ key: ROLLUP_STATE_KEY }, { $set: { last_run_at: new Date() } });
+    }
+
+    return { days, rollups, rolledThrough: days ? addDaysToKey(day, -1) : state.rolled_through };
+}
+
+/* =========================================================
+   Retention
+   ========================================================= */
+function getRawEventTtlDays() {
+    const days = Math.floor(Number(process.env.ANALYTICS_RAW_EVENT_TTL_DAYS) || 0);
+    if (days <= 0) return 0;
+    return Math.max(MIN_RAW_EVENT_TTL_DAYS, days);
+}
+
+/**
+ * Makes the { createdAt: 1 } index on raw events match
+ * ANALYTICS_RAW_EVENT_TTL_DAYS: a TTL index when set, a plain one (used by
+ * the roll-up's day scans) when not. Safe to call on every start.
+ */
+async function applyRawEventRetention() {
+    const ttlDays = getRawEventTtlDays();
+    const expireAfterSeconds = ttlDays * 24 * 60 * 60;
+    const collection = ProfileAnalyticsEvent.collection;
+
+    let existing = null;
+    try {
+        const indexes = await collection.indexes();
+        existing =
+            indexes.find((i) => Object.keys(i.key || {}).join(",") === "createdAt" && i.key.createdAt === 1) || null;
+    } catch (err) {
+        // NamespaceNotFound: no events yet
+        if (err?.codeName !== "NamespaceNotFound") throw err;
+    }
+
+    const hasTtl = existing && existing.expireAfterSeconds !== undefined;
+
+    if (!ttlDays) {
+        if (hasTtl) await collection.dropIndex(existing.name);
+        if (!existing || hasTtl) await collection.createIndex({ createdAt: 1 });
+        return { ttlDays: 0 };
+    }
+
+    if (hasTtl) {
+        if (existing.expireAfterSeconds !== expireAfterSeconds) {
+            await collection.db.command({
+                collMod: collection.collectionName,
+                index: { name: existing.name, expireAfterSeconds },
+            });
+        }
+        return { ttlDays };
+    }
+
+    // Same key, different options: the plain index has to go first
+    if (existing) await collection.dropIndex(existing.name);
+    await collection.createIndex({ createdAt: 1 }, { name: RAW_EVENT_TTL_INDEX, expireAfterSeconds });
+
+    return { ttlDays };
+}
+
+module.exports = {
+    CLICK_EVENT_TYPES,
+    CONVERSION_EVENT_TYPES,
+    SOCIAL_PLATFORMS,
+    addDaysToKey,
+    applyRawEventRetention,
+    buildIdentityExpr,
+    buildSocialPlatformExpr,
+    dayKeyToDate,
+    getRawEventTtlDays,
+    getRolledThrough,
+    hashIdentityKey,
+    rollupDay,
+    runDailyRollup,
+    toDayKey,
+};
@@ -0,0 +1,715 @@
+// backend/utils/analyticsSummary.js
+// Dashboard analytics for one owner (optionally one profile) over the last
+// N days. Complete days come from ProfileAnalyticsDaily rollups; only days
+// not rolled up yet (normally just today) are aggregated from raw events.
+// Used by GET /api/analytics/summary.
+//
+// Bot traffic (is_bot) is always reported on its own (botTraffic). With
+// includeBots it is also added to the event counts (metrics, timeline,
+// traffic sources); unique visitors, conversions, the social / click /
+// device breakdowns, campaigns and recent activity are always human-only.
+
+const ProfileAnalyticsEvent = require("../models/ProfileAnalyticsEvent");
+const ProfileAnalyticsDaily = require("../models/ProfileAnalyticsDaily");
+const Campaign = require("../models/Campaign");
+const { VIEW_EVENT_TYPES } = require("./trackProfileEvent");
+const {
+    CLICK_EVENT_TYPES,
+    CONVERSION_EVENT_TYPES,
+    SOCIAL_PLATFORMS,
+    addDaysToKey,
+    buildIdentityExpr,
+    buildSocialPlatformExpr,
+    dayKeyToDate,
+    getRolledThrough,
+    hashIdentityKey,
+    toDayKey,
+} = require("./analyticsRollups");
+const { BROWSER_LABELS, DEVICE_LABELS, OS_LABELS } = require("./userAgent");
+
+const EVENT_TYPES = [
+    "profile_view",
+    "qr_scan",
+    "nfc_tap",
+    "link_open",
+    "contact_save",
+    "contact_exchange",
+    "contact_exchange_opened",
+    "email_clicked",
+    "phone_clicked",
+    "social_clicked",
+];
+
+const RECENT_ACTIVITY_EVENT_TYPES = [
+    "qr_scan",
+    "nfc_tap",
+    "link_open",
+    "contact_save",
+    "contact_exchange",
+    "contact_exchange_opened",
+    "email_clicked",
+    "phone_clicked",
+    "social_clicked",
+];
+
+const MAX_CLICK_TARGETS = 20;
+
+// Profile-view breakdowns by parsed user agent: summary key → event field,
+// rollup map, labels
+const USER_AGENT_BREAKDOWNS = [
+    { key: "deviceBreakdown", field: "device_type", rollupField: "devices", labels: DEVICE_LABELS },
+    { key: "osBreakdown", field: "os", rollupField: "operating_systems", labels: OS_LABELS },
+    { key: "browserBreakdown", field: "browser", rollupField: "browsers", labels: BROWSER_LABELS },
+];
+
+function cleanLowerString(v) {
+    return String(v || "").trim().toLowerCase();
+}
+
+function resolveSocialPlatformFromValues(sourcePlatform = "", actionTarget = "") {
+    const source = cleanLowerString(sourcePlatform);
+    const target = cleanLowerString(actionTarget);
+    const combined = `${source} ${target}`.trim();
+
+    if (
+        source === "facebook" ||
+        target === "facebook" ||
+        target === "facebook_url" ||
+        combined.includes("facebook")
+    ) {
+        return "facebook";
+    }
+
+    if (
+        source === "instagram" ||
+        target === "instagram" ||
+        target === "instagram_url" ||
+        combined.includes("instagram")
+    ) {
+        return "instagram";
+    }
+
+    if (
+        source === "linkedin" ||
+        target === "linkedin" ||
+        target === "linkedin_url" ||
+        combined.includes("linkedin")
+    ) {
+        return "linkedin";
+    }
+
+    if (
+        source === "x" ||
+        target === "x" ||
+        target === "x_url" ||
+        target === "twitter" ||
+        target === "twitter_url" ||
+        combined.includes("twitter") ||
+        combined.includes("x")
+    ) {
+        return "x";
+    }
+
+    if (
+        source === "tiktok" ||
+        target === "tiktok" ||
+        target === "tiktok_url" ||
+        combined.includes("tiktok")
+    ) {
+        return "tiktok";
+    }
+
+    if (
+        source === "google" ||
+        target === "google" ||
+        combined.includes("google")
+    ) {
+        return "google";
+    }
+
+    if (source === "other" || target === "other") {
+        return "other";
+    }
+
+    return "unknown";
+}
+
+function resolveSocialPlatform(event = {}) {
+    return resolveSocialPlatformFromValues(
+        event?.source_platform,
+        event?.action_target
+    );
+}
+
+function getRecentActivityMessage(event) {
+    const eventType = cleanLowerString(event?.event_type);
+
+    switch (eventType) {
+        case "qr_scan":
+            return "Someone scanned your QR code";
+        case "nfc_tap":
+            return "Someone tapped your NFC card";
+        case "link_open":
+            return "Someone clicked your link";
+        case "contact_save":
+            return "Someone saved your number";
+        case "contact_exchange":
+            return "Someone exchanged contacts with you";
+        case "contact_exchange_opened":
+            return "Someone opened your contact exchange form";
+        case "email_clicked":
+            return "Someone clicked your email";
+        case "phone_clicked":
+            return "Someone clicked your phone number";
+        case "social_clicked": {
+            const socialPlatform = resolveSocialPlatform(event);
+
+            if (socialPlatform === "facebook") return "Someone clicked your Facebook profile";
+            if (socialPlatform === "instagram") return "Someone clicked your Instagram profile";
+            if (socialPlatform === "linkedin") return "Someone clicked your LinkedIn profile";
+            if (socialPlatform === "x") return "Someone clicked your X profile";
+            if (socialPlatform === "tiktok") return "Someone clicked your TikTok profile";
+            if (socialPlatform === "google") return "Someone clicked your Google profile";
+
+            return "Someone clicked one of your social links";
+        }
+        default:
+            return "New activity on your profile";
+    }
+}
+
+function normalizeRecentActivity(rows) {
+    return rows.map((row) => ({
+        id: row?._id?.toString?.() || String(row?._id || ""),
+        event_type: row?.event_type || "",
+        source_type: row?.source_type || "unknown",
+        source_platform: row?.source_platform || "unknown",
+        profile_slug: row?.profile_slug || "",
+        action_target: row?.action_target || "",
+        target_url: row?.target_url || "",
+        createdAt: row?.createdAt || null,
+        message: getRecentActivityMessage(row),
+    }));
+}
+
+/* =========================================================
+   Event counts → dashboard shapes
+   ========================================================= */
+function emptyCounts() {
+    return Object.fromEntries(EVENT_TYPES.map((t) => [t, 0]));
+}
+
+function addCounts(target, source = {}) {
+    for (const t of EVENT_TYPES) target[t] += Number(source[t]) || 0;
+    return target;
+}
+
+function countsToMetrics(c) {
+    return {
+        profileViews: VIEW_EVENT_TYPES.reduce((sum, t) => sum + (c[t] || 0), 0),
+        linkOpens: c.link_open,
+        cardTaps: c.nfc_tap,
+        qrScans: c.qr_scan,
+        contactsSaved: c.contact_save,
+        contactExchangeOpens: c.contact_exchange_opened,
+        contactExchangeSubmits: c.contact_exchange,
+        emailClicks: c.email_clicked,
+        phoneClicks: c.phone_clicked,
+        socialClicks: c.social_clicked,
+    };
+}
+
+const conversionRateOf = (conversions, visitors) =>
+    visitors > 0 ? Number(((conversions / visitors) * 100).toFixed(1)) : 0;
+
+/* =========================================================
+   Raw-event pipelines (days not rolled up yet)
+   ========================================================= */
+function buildRawCountsPipeline(match) {
+    return [
+        { $match: match },
+        {
+            $group: {
+                _id: {
+                    day: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+                    event_type: "$event_type",
+                },
+                count: { $sum: 1 },
+            },
+        },
+    ];
+}
+
+function buildRawSocialPipeline(match) {
+    return [
+        { $match: { ...match, event_type: "social_clicked" } },
+        { $group: { _id: buildSocialPlatformExpr(), count: { $sum: 1 } } },
+    ];
+}
+
+function buildRawClickTargetPipeline(match) {
+    return [
+        { $match: { ...match, event_type: { $in: CLICK_EVENT_TYPES } } },
+        {
+            $group: {
+                _id: {
+                    $cond: [
+                        { $gt: [{ $strLenCP: { $ifNull: ["$action_target", ""] } }, 0] },
+                        "$action_target",
+                        { $arrayElemAt: [{ $split: ["$event_type", "_"] }, 0] },
+                    ],
+                },
+                count: { $sum: 1 },
+            },
+        },
+    ];
+}
+
+// One row per device_type / os / browser combination of profile views
+function buildRawUserAgentPipeline(match) {
+    const id = {};
+    for (const { field } of USER_AGENT_BREAKDOWNS) id[field] = { $ifNull: [`$${field}`, "unknown"] };
+
+    return [
+        { $match: { ...match, event_type: { $in: VIEW_EVENT_TYPES } } },
+        { $group: { _id: id, count: { $sum: 1 } } },
+    ];
+}
+
+// Distinct identities per day, split by view / conversion
+function buildRawIdentityPipeline(match) {
+    return [
+        {
+            $match: {
+                ...match,
+                event_type: { $in: [...VIEW_EVENT_TYPES, ...CONVERSION_EVENT_TYPES] },
+            },
+        },
+        {
+            $group: {
+                _id: {
+                    day: { $dateToString: { format: "%Y-%m-%d", date: "$createdAt" } },
+                    identity_key: buildIdentityExpr(),
+                    conversion: { $in: ["$event_type", CONVERSION_EVENT_TYPES] },
+                },
+            },
+        },
+    ];
+}
+
+function buildRawCampaignPipeline(match) {
+    return [
+        { $match: { ...match, campaign: { $type: "objectId" } } },
+        {
+            $group: {
+                _id: {
+                    campaign: "$campaign",
+                    event_type: "$event_type",
+                    identity_key: buildIdentityExpr(),
+                },
+                count: { $sum: 1 },
+            },
+        },
+    ];
+}
+
+function buildRecentActivityPipeline(match, limit = 10) {
+    return [
+        {
+            $match: {
+                ...match,
+                event_type: { $in: RECENT_ACTIVITY_EVENT_TYPES },
+            },
+        },
+        { $sort: { createdAt: -1, _id: -1 } },
+        { $limit: limit },
+        {
+            $project: {
+                _id: 1,
+                event_type: 1,
+                source_type: 1,
+                source_platform: 1,
+                profile_slug: 1,
+                action_target: 1,
+                target_url: 1,
+                createdAt: 1,
+            },
+        },
+    ];
+}
+
+/* =========================================================
+   Rollup pipelines (complete days)
+   ========================================================= */
+function buildRollupDailyPipeline(match) {
+    const group = { _id: "$day" };
+    for (const t of EVENT_TYPES) group[t] = { $sum: `$events.${t}` };
+    for (const t of EVENT_TYPES) group[`bot_${t}`] = { $sum: { $ifNull: [`$bot_events.${t}`, 0] } };
+    for (const p of SOCIAL_PLATFORMS) group[`social_${p}`] = { $sum: { $ifNull: [`$social.${p}`, 0] } };
+    return [{ $match: match }, { $group: group }];
+}
+
+// Sums a Map<String, Number> field (click_targets, devices, ...) by key
+function buildRollupMapPipeline(match, field) {
+    return [
+        { $match: match },
+        { $project: { entries: { $objectToArray: { $ifNull: [`$${field}`, {}] } } } },
+        { $unwind: "$entries" },
+        { $group: { _id: "$entries.k", count: { $sum: "$entries.v" } } },
+    ];
+}
+
+// Distinct converters per day (one visitor converting on two profiles counts once)
+function buildRollupDailyConversionPipeline(match) {
+    return [
+        { $match: match },
+        { $unwind: "$converter_keys" },
+        { $group: { _id: { day: "$day", key: "$converter_keys" } } },
+        { $group: { _id: "$_id.day", count: { $sum: 1 } } },
+    ];
+}
+
+function buildRollupCampaignPipeline(match) {
+    return [
+        { $match: { ...match, "campaigns.0": { $exists: true } } },
+        { $unwind: "$campaigns" },
+        { $replaceRoot: { newRoot: "$campaigns" } },
+    ];
+}
+
+/**
+ * |rollup keys ∪ extraKeys| for a key-array field, without loading the
+ * rollup keys into memory.
+ */
+async function countDistinctRollupKeys(match, field, extraKeys) {
+    const base = [{ $match: match }, { $unwind: `$${field}` }];
+
+    const [totalRows, overlapRows] = await Promise.all([
+        ProfileAnalyticsDaily.aggregate([...base, { $group: { _id: `$${field}` } }, { $count: "count" }]),
+        extraKeys.length
+            ? ProfileAnalyticsDaily.aggregate([
+                ...base,
+                { $match: { [field]: { $in: extraKeys } } },
+                { $group: { _id: `$${field}` } },
+                { $count: "count" },
+            ])
+            : [],
+    ]);
+
+    return (totalRows[0]?.count || 0) + extraKeys.length - (overlapRows[0]?.count || 0);
+}
+
+/**
+ * One row per campaign in scope, including campaigns with no events yet.
+ * Events of deleted campaigns are kept under their id with deleted: true.
+ */
+async function buildCampaignBreakdown({ ownerUserId, businessCardId, statsById }) {
+    const query = { user: ownerUserId };
+    if (businessCardId) query.business_card = businessCardId;
+
+    const campaigns = await Campaign.find({
+        $or: [query, { _id: { $in: [...statsById.keys()] } }],
+    })
+        .populate("business_card", "profile_slug")
+        .lean();
+
+    const byId = new Map(campaigns.map((c) => [String(c._id), c]));
+    const ids = new Set([...byId.keys(), ...statsById.keys()]);
+
+    return [...ids]
+        .map((id) => {
+            const campaign = byId.get(id);
+            const stats = statsById.get(id);
+            const uniqueVisitors = stats?.visitors.size || 0;
+            const contactConversions = stats?.converters.size || 0;
+
+            return {
+                id,
+                name: campaign?.name || "Deleted campaign",
+                code: campaign?.code || "",
+                status: campaign?.status || "deleted",
+                deleted: !campaign,
+                profile_slug: campaign?.business_card?.profile_slug || "",
+                utm_source: campaign?.utm_source || "",
+                utm_medium: campaign?.utm_medium || "",
+                utm_campaign: campaign?.utm_campaign || "",
+                profileViews: stats?.profileViews || 0,
+                qrScans: stats?.qrScans || 0,
+                linkOpens: stats?.linkOpens || 0,
+                uniqueVisitors,
+                contactConversions,
+                conversionRate: conversionRateOf(contactConversions, uniqueVisitors),
+            };
+        })
+        .filter((row) => row.status !== "archived" || row.profileViews > 0)
+        .sort((a, b) => b.profileViews - a.profileViews || a.name.localeCompare(b.name));
+}
+
+function campaignStatsFor(statsById, id) {
+    const key = String(id);
+    if (!statsById.has(key)) {
+        statsById.set(key, { profileViews: 0, qrScans: 0, linkOpens: 0, visitors: new Set(), converters: new Set() });
+    }
+    return statsById.get(key);
+}
+
+/* =========================================================
+   Summary
+   ========================================================= */
+
+/**
+ * Returns { filters, metrics, botTraffic, trafficSources, socialBreakdown,
+ * deviceBreakdown, osBreakdown, browserBreakdown, clickTargets, timeline,
+ * recentActivity, campaigns } for the last `days` UTC days.
+ */
+async function buildAnalyticsSummary({
+    ownerUserId,
+    businessCardId = null,
+    days = 7,
+    now = new Date(),
+    includeBots = false,
+}) {
+    const todayKey = toDayKey(now);
+    const startKey = addDaysToKey(todayKey, -(days - 1));
+    const startDate = dayKeyToDate(startKey);
+    const endDate = now;
+
+    const scope = { owner_user: ownerUserId };
+    if (businessCardId) scope.business_card = businessCardId;
+
+    // Rolled-up days first; raw events only after the last rolled-up day.
+    // Only complete days are rolled up, so for a past `now` (weekly digest)
+    // its own day can come from rollups too.
+    const rolledThrough = await getRolledThrough();
+    const rollupEndKey = rolledThrough && rolledThrough < todayKey ? rolledThrough : todayKey;
+    const useRollups = !!rolledThrough && rollupEndKey >= startKey;
+
+    const rawStart = useRollups ? dayKeyToDate(addDaysToKey(rollupEndKey, 1)) : startDate;
+    const rawRange = { ...scope, createdAt: { $gte: rawStart, $lte: endDate } };
+    // Events stored before bot classification have no is_bot: count as human
+    const rawMatch = { ...rawRange, is_bot: { $ne: true } };
+    const rollupMatch = { ...scope, day: { $gte: startKey, $lte: rollupEndKey } };
+
+    const [
+        rawCountRows,
+        rawBotCountRows,
+        rawSocialRows,
+        rawClickTargetRows,
+        rawIdentityRows,
+        rawCampaignRows,
+        rawUserAgentRows,
+        recentActivityRows,
+        rollupDailyRows,
+        rollupClickTargetRows,
+        rollupConversionRows,
+        rollupCampaignRows,
+        ...rollupUserAgentRows
+    ] = await Promise.all([
+        ProfileAnalyticsEvent.aggregate(buildRawCountsPipeline(rawMatch)),
+        ProfileAnalyticsEvent.aggregate(buildRawCountsPipeline({ ...rawRange, is_bot: true })),
+        ProfileAnalyticsEvent.aggregate(buildRawSocialPipeline(rawMatch)),
+        ProfileAnalyticsEvent.aggregate(buildRawClickTargetPipeline(rawMatch)),
+        ProfileAnalyticsEvent.aggregate(buildRawIdentityPipeline(rawMatch)),
+        ProfileAnalyticsEvent.aggregate(buildRawCampaignPipeline(rawMatch)),
+        ProfileAnalyticsEvent.aggregate(buildRawUserAgentPipeline(rawMatch)),
+        ProfileAnalyticsEvent.aggregate(
+            buildRecentActivityPipeline(
+                { ...scope, createdAt: { $gte: startDate, $lte: endDate }, is_bot: { $ne: true } },
+                10
+            )
+        ),
+        useRollups ? ProfileAnalyticsDaily.aggregate(buildRollupDailyPipeline(rollupMatch)) : [],
+        useRollups ? ProfileAnalyticsDaily.aggregate(buildRollupMapPipeline(rollupMatch, "click_targets")) : [],
+        useRollups ? ProfileAnalyticsDaily.aggregate(buildRollupDailyConversionPipeline(rollupMatch)) : [],
+        useRollups ? ProfileAnalyticsDaily.aggregate(buildRollupCampaignPipeline(rollupMatch)) : [],
+        ...USER_AGENT_BREAKDOWNS.map(({ rollupField }) =>
+            useRollups ? ProfileAnalyticsDaily.aggregate(buildRollupMapPipeline(rollupMatch, rollupField)) : []
+        ),
+    ]);
+
+    // Per-day event counts and social clicks
+    const countsByDay = new Map();
+    const dayCounts = (day) => {
+        if (!countsByDay.has(day)) countsByDay.set(day, emptyCounts());
+        return countsByDay.get(day);
+    };
+
+    const social = Object.fromEntries(SOCIAL_PLATFORMS.map((p) => [p, 0]));
+    const botTotals = emptyCounts();
+
+    for (const row of rollupDailyRows) {
+        addCounts(dayCounts(row._id), row);
+        for (const p of SOCIAL_PLATFORMS) social[p] += row[`social_${p}`] || 0;
+
+        const botCounts = Object.fromEntries(EVENT_TYPES.map((t) => [t, row[`bot_${t}`] || 0]));
+        addCounts(botTotals, botCounts);
+        if (includeBots) addCounts(dayCounts(row._id), botCounts);
+    }
+    for (const row of rawCountRows) {
+        if (EVENT_TYPES.includes(row._id.event_type)) dayCounts(row._id.day)[row._id.event_type] += row.count;
+    }
+    for (const row of rawBotCountRows) {
+        if (!EVENT_TYPES.includes(row._id.event_type)) continue;
+        botTotals[row._id.event_type] += row.count;
+        if (includeBots) dayCounts(row._id.day)[row._id.event_type] += row.count;
+    }
+    for (const row of rawSocialRows) {
+        if (social[row._id] !== undefined) social[row._id] += row.count;
+    }
+
+    const totals = emptyCounts();
+    for (const counts of countsByDay.values()) addCounts(totals, counts);
+
+    // Unique visitors / converters: hashed the same way as the rollups
+    const rawVisitors = new Set();
+    const rawConverters = new Set();
+    const rawConvertersByDay = new Map();
+
+    for (const row of rawIdentityRows) {
+        const key = hashIdentityKey(row._id.identity_key);
+        if (row._id.conversion) {
+            rawConverters.add(key);
+            if (!rawConvertersByDay.has(row._id.day)) rawConvertersByDay.set(row._id.day, new Set());
+            rawConvertersByDay.get(row._id.day).add(key);
+        } else {
+            rawVisitors.add(key);
+        }
+    }
+
+    const [uniqueVisitors, contactConversions] = useRollups
+        ? await Promise.all([
+            countDistinctRollupKeys(rollupMatch, "visitor_keys", [...rawVisitors]),
+            countDistinctRollupKeys(rollupMatch, "converter_keys", [...rawConverters]),
+        ])
+        : [rawVisitors.size, rawConverters.size];
+
+    const conversionsByDay = new Map(rollupConversionRows.map((row) => [row._id, row.count]));
+    for (const [day, keys] of rawConvertersByDay) conversionsByDay.set(day, keys.size);
+
+    const timeline = [];
+    for (let i = 0; i < days; i += 1) {
+        const key = addDaysToKey(startKey, i);
+        const metrics = countsToMetrics(countsByDay.get(key) || emptyCounts());
+
+        timeline.push({
+            date: key,
+            label: dayKeyToDate(key).toLocaleDateString("en-GB", {
+                day: "numeric",
+                month: days > 30 ? "short" : undefined,
+                timeZone: "UTC",
+            }),
+            profileViews: metrics.profileViews,
+            linkOpens: metrics.linkOpens,
+            qrScans: metrics.qrScans,
+            cardTaps: metrics.cardTaps,
+            contactsSaved: metrics.contactsSaved,
+            contactExchangeSubmits: metrics.contactExchangeSubmits,
+            emailClicks: metrics.emailClicks,
+            phoneClicks: metrics.phoneClicks,
+            socialClicks: metrics.socialClicks,
+            contactConversions: conversionsByDay.get(key) || 0,
+        });
+    }
+
+    const trafficSources = [
+        { key: "link", label: "Link", value: totals.link_open },
+        { key: "qr", label: "QR", value: totals.qr_scan },
+        { key: "nfc", label: "NFC", value: totals.nfc_tap },
+        { key: "unknown", label: "Unknown", value: 0 },
+    ];
+
+    const socialBreakdown = SOCIAL_PLATFORMS.map((key) => ({
+        key,
+        label: key === "x" ? "X" : key.charAt(0).toUpperCase() + key.slice(1),
+        value: social[key],
+    }));
+
+    const clickTargetCounts = new Map();
+    for (const row of [...rollupClickTargetRows, ...rawClickTargetRows]) {
+        const key = String(row._id || "unknown");
+        clickTargetCounts.set(key, (clickTargetCounts.get(key) || 0) + row.count);
+    }
+    const clickTargets = [...clickTargetCounts]
+        .map(([key, value]) => ({ key, value }))
+        .sort((a, b) => b.value - a.value)
+        .slice(0, MAX_CLICK_TARGETS);
+
+    // Device / OS / browser of profile views. Devices always list every
+    // type; OS and browser list what was seen, most views first.
+    const userAgentBreakdowns = {};
+    USER_AGENT_BREAKDOWNS.forEach(({ key, field, labels }, i) => {
+        const totalsByKey = new Map();
+        const add = (k, n) => totalsByKey.set(k, (totalsByKey.get(k) || 0) + n);
+
+        for (const row of rollupUserAgentRows[i]) add(String(row._id || "unknown"), row.count);
+        for (const row of rawUserAgentRows) add(String(row._id[field] || "unknown"), row.count);
+
+        const keys =
+            field === "device_type"
+                ? ["mobile", "tablet", "desktop", "unknown"]
+                : [...totalsByKey.keys()].filter((k) => totalsByKey.get(k) > 0);
+
+        const rows = keys.map((k) => ({ key: k, label: labels[k] || k, value: totalsByKey.get(k) || 0 }));
+        userAgentBreakdowns[key] = field === "device_type" ? rows : rows.sort((a, b) => b.value - a.value);
+    });
+
+    // Campaigns: rollup days + raw days
+    const campaignStats = new Map();
+    for (const row of rollupCampaignRows) {
+        const stats = campaignStatsFor(campaignStats, row.campaign);
+        stats.profileViews += row.profile_views || 0;
+        stats.qrScans += row.qr_scans || 0;
+        stats.linkOpens += row.link_opens || 0;
+        for (const k of row.visitor_keys || []) stats.visitors.add(k);
+        for (const k of row.converter_keys || []) stats.converters.add(k);
+    }
+    for (const row of rawCampaignRows) {
+        const stats = campaignStatsFor(campaignStats, row._id.campaign);
+        const eventType = row._id.event_type;
+        const key = hashIdentityKey(row._id.identity_key);
+
+        if (VIEW_EVENT_TYPES.includes(eventType)) {
+            stats.profileViews += row.count;
+            stats.visitors.add(key);
+        }
+        if (eventType === "qr_scan") stats.qrScans += row.count;
+        if (eventType === "link_open") stats.linkOpens += row.count;
+        if (CONVERSION_EVENT_TYPES.includes(eventType)) stats.converters.add(key);
+    }
+
+    const campaigns = await buildCampaignBreakdown({ ownerUserId, businessCardId, statsById: campaignStats });
+
+    return {
+        filters: {
+            days,
+            startDate,
+            endDate,
+            rolledThrough: useRollups ? rollupEndKey : null,
+            includeBots,
+        },
+        metrics: {
+            ...countsToMetrics(totals),
+            uniqueVisitors,
+            contactConversions,
+            totalConversions: contactConversions,
+            conversionRate: conversionRateOf(contactConversions, uniqueVisitors),
+        },
+        botTraffic: {
+            events: EVENT_TYPES.reduce((sum, t) => sum + botTotals[t], 0),
+            profileViews: countsToMetrics(botTotals).profileViews,
+            included: includeBots,
+        },
+        trafficSources,
+        socialBreakdown,
+        ...userAgentBreakdowns,
+        clickTargets,
+        timeline,
+        recentActivity: normalizeRecentActivity(recentActivityRows || []),
+        campaigns,
+    };
+}
+
+module.exports = {
+    buildAnalyticsSummary,
+    resolveSocialPlatformFromValues,
+};
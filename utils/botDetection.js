@@ -0,0 +1,80 @@
+// backend/utils/botDetection.js
+// Classifies analytics traffic as bot or human at ingest time.
+// Used by utils/trackProfileEvent.js (is_bot on ProfileAnalyticsEvent) and
+// by the short-link redirects (no click counts for link-preview fetches).
+
+const { createRateLimiter } = require("./rateLimit");
+
+// Link-preview fetchers, search/SEO crawlers, headless browsers and HTTP
+// libraries. Matched case-insensitively against the User-Agent.
+const BOT_USER_AGENT_PATTERNS = [
+    // link previews (chat apps / social networks)
+    /facebookexternalhit|facebot|facebookcatalog/,
+    /whatsapp/,
+    /slackbot|slack-imgproxy/,
+    /telegrambot/,
+    /twitterbot/,
+    /linkedinbot/,
+    /discordbot/,
+    /skypeuripreview|microsoftpreview/,
+    /pinterestbot/,
+    /redditbot|embedly|iframely|vkshare|bitlybot/,
+    /google-pagerenderer|googleimageproxy|google-read-aloud|feedfetcher-google/,
+    // search engines (\bbot\b below cannot match "googlebot" / "bingbot")
+    /googlebot|google-inspectiontool|googleother|adsbot-google|mediapartners-google/,
+    /bingbot|bingpreview|msnbot|adidxbot/,
+    /applebot|yahoo! slurp|duckduckbot|baiduspider|yandexbot|yandeximages|sogou|exabot|petalbot|bytespider|amazonbot/,
+    /semrush|ahrefs|mj12bot|dotbot|rogerbot|screaming frog|seznambot|blexbot/,
+    /gptbot|chatgpt-user|oai-searchbot|claudebot|anthropic-ai|perplexitybot|ccbot|cohere-ai/,
+    // headless / automation
+    /headlesschrome|phantomjs|puppeteer|playwright|selenium|webdriver|lighthouse|pagespeed/,
+    // HTTP clients
+    /^(curl|wget|python-requests|python-urllib|aiohttp|httpx|go-http-client|java\/|okhttp|axios|node-fetch|undici|got |libwww-perl|php|ruby|postmanruntime|insomnia)/,
+    // generic markers
+    /\b(bot|crawler|spider|scraper|crawl|preview|fetcher|monitor|uptime|pingdom|statuscake)\b/,
+];
+
+// More than this many tracked events from one ip + user agent in a minute
+// is not a person browsing a profile.
+const RATE_WINDOW_MS = 60 * 1000;
+const RATE_MAX_EVENTS = 40;
+
+const rateLimiter = createRateLimiter({ windowMs: RATE_WINDOW_MS, max: RATE_MAX_EVENTS });
+
+function isBotUserAgent(userAgent) {
+    const ua = String(userAgent || "").trim().toLowerCase();
+    if (!ua) return true;
+    return BOT_USER_AGENT_PATTERNS.some((re) => re.test(ua));
+}
+
+/**
+ * { isBot, reason } for one incoming event. reason is one of
+ * user_agent | no_user_agent | automation | no_browser_headers | high_rate.
+ *
+ * - automation: the page reported navigator.webdriver
+ * - no_browser_headers: no Accept-Language (every browser sends one)
+ * - high_rate: RATE_MAX_EVENTS+ events per minute from one ip + UA
+ *   (per process, like utils/rateLimit.js)
+ */
+function classifyTraffic({ req, userAgent, ip, clientAutomation = false }) {
+    const ua = String(userAgent || "").trim();
+
+    if (!ua) return { isBot: true, reason: "no_user_agent" };
+    if (isBotUserAgent(ua)) return { isBot: true, reason: "user_agent" };
+    if (clientAutomation) return { isBot: true, reason: "automation" };
+
+    const acceptLanguage = req?.headers?.["accept-language"];
+    if (req && !String(acceptLanguage || "").trim()) {
+        return { isBot: true, reason: "no_browser_headers" };
+    }
+
+    const hit = rateLimiter.hit(`${ip || "unknown"}|${ua}`);
+    if (!hit.allowed) return { isBot: true, reason: "high_rate" };
+
+    return { isBot: false, reason: "" };
+}
+
+module.exports = {
+    classifyTraffic,
+    isBotUserAgent,
+};
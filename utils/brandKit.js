@@ -0,0 +1,154 @@
+// backend/utils/brandKit.js
+// Team brand kit: shared look applied to every profile of an Organisation
+// owner. Fields listed in brand_kit.locked_fields cannot be changed per profile.
+
+const { isUploadedImageUrl } = require("./uploadedImages");
+
+const BRAND_KIT_FIELDS = [
+    "logo",
+    "cover_photo",
+    "button_bg_color",
+    "button_text_color",
+    "template_id",
+    "theme_mode",
+    "style",
+    "section_order",
+];
+
+const TEMPLATE_IDS = ["template-1", "template-2", "template-3", "template-4", "template-5"];
+const SECTION_KEYS = ["main", "about", "work", "services", "reviews", "contact"];
+
+const cleanString = (v, max = 1200) => String(v ?? "").trim().slice(0, max);
+
+const parseArray = (v) => {
+    if (Array.isArray(v)) return v;
+    if (typeof v === "string" && v.trim()) {
+        try {
+            const parsed = JSON.parse(v);
+            return Array.isArray(parsed) ? parsed : [];
+        } catch {
+            return v.split(",");
+        }
+    }
+    return [];
+};
+
+/**
+ * Validate one kit value. "" / [] means "not part of the kit".
+ * Returns { value } or { error }.
+ */
+function normalizeKitValue(field, raw) {
+    if (field === "section_order") {
+        const order = parseArray(raw).map((x) => cleanString(x, 20).toLowerCase()).filter(Boolean);
+        if (order.some((x) => !SECTION_KEYS.includes(x))) {
+            return { error: `section_order may only contain: ${SECTION_KEYS.join(", ")}` };
+        }
+        return { value: [...new Set(order)] };
+    }
+
+    const value = cleanString(raw);
+    if (!value) return { value: "" };
+
+    if (field === "button_bg_color" && !/^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(value)) {
+        return { error: "button_bg_color must be a hex colour" };
+    }
+    if (field === "button_text_color" && !["white", "black"].includes(value)) {
+        return { error: "button_text_color must be white or black" };
+    }
+    if (field === "theme_mode" && !["light", "dark"].includes(value)) {
+        return { error: "theme_mode must be light or dark" };
+    }
+    if (field === "template_id" && !TEMPLATE_IDS.includes(value)) {
+        return { error: "Unknown template_id" };
+    }
+    // Copied onto every team profile and fetched server-side (share image, vCard)
+    if ((field === "logo" || field === "cover_photo") && !isUploadedImageUrl(value)) {
+        return { error: `${field} must be an uploaded image URL` };
+    }
+
+    return { value };
+}
+
+/**
+ * Merge a request body into the existing kit.
+ * Only fields present in `input` change. Returns { kit } or { error }.
+ */
+function mergeBrandKit(existing = {}, input = {}) {
+    const kit = {};
+
+    for (const field of BRAND_KIT_FIELDS) {
+        const current = existing?.[field] ?? (field === "section_order" ? [] : "");
+        if (input[field] === undefined) {
+            kit[field] = current;
+            continue;
+        }
+
+        const normalized = normalizeKitValue(field, input[field]);
+        if (normalized.error) return { error: normalized.error };
+        kit[field] = normalized.value;
+    }
+
+    const locked =
+        input.locked_fields === undefined
+            ? existing?.locked_fields || []
+            : parseArray(input.locked_fields).map((x) => cleanString(x, 40));
+
+    const unknown = locked.filter((f) => !BRAND_KIT_FIELDS.includes(f));
+    if (unknown.length) return { error: `Cannot lock: ${unknown.join(", ")}` };
+
+    kit.locked_fields = [...new Set(locked)];
+    kit.updated_at = new Date();
+
+    return { kit };
+}
+
+function hasKitValue(kit, field) {
+    const v = kit?.[field];
+    return Array.isArray(v) ? v.length > 0 : !!cleanString(v);
+}
+
+/**
+ * Profile field values the kit defines, including the legacy mirrors
+ * saveBusinessCard keeps in step (logo → avatar, theme_mode → page_theme).
+ */
+function getBrandKitProfileValues(kit, fields = BRAND_KIT_FIELDS) {
+    const out = {};
+
+    for (const field of fields) {
+        if (!hasKitValue(kit, field)) continue;
+        out[field] = Array.isArray(kit[field]) ? [...kit[field]] : kit[field];
+    }
+
+    if (out.logo) out.avatar = out.logo;
+    if (out.theme_mode) out.page_theme = out.theme_mode;
+
+    return out;
+}
+
+/**
+ * Force locked kit values onto a profile update.
+ * Returns the field names whose submitted value was ignored.
+ */
+function applyLockedBrandFields(update, kit) {
+    const locked = (kit?.locked_fields || []).filter((f) => hasKitValue(kit, f));
+    if (!locked.length) return [];
+
+    const values = getBrandKitProfileValues(kit, locked);
+    const ignored = [];
+
+    for (const field of locked) {
+        if (JSON.stringify(update[field]) !== JSON.stringify(values[field])) {
+            ignored.push(field);
+        }
+    }
+
+    Object.assign(update, values);
+    return ignored;
+}
+
+module.exports = {
+    BRAND_KIT_FIELDS,
+    applyLockedBrandFields,
+    getBrandKitProfileValues,
+    mergeBrandKit,
+};
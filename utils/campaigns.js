@@ -0,0 +1,182 @@
+// backend/utils/campaigns.js
+// Campaign short links (/l/:code), their UTM presets and QR codes.
+
+const Campaign = require("../models/Campaign");
+const uploadToS3 = require("./uploadToS3");
+const { generateCardToken, cleanCardToken } = require("./physicalCards");
+const { buildProfileTargetUrl } = require("./customDomains");
+const { getProfileQrOptions, renderQrCode } = require("./qrCode");
+
+// Domain that serves GET /l/:code (must route to this API)
+const CAMPAIGN_LINK_DOMAIN =
+    process.env.CAMPAIGN_LINK_DOMAIN ||
+    process.env.PHYSICAL_CARD_DOMAIN ||
+    process.env.PUBLIC_PROFILE_DOMAIN ||
+    "https://www.konarcard.com";
+
+const CODE_LENGTH = 7;
+const MAX_CODE_ATTEMPTS = 5;
+
+const UTM_FIELDS = ["utm_source", "utm_medium", "utm_campaign", "utm_term", "utm_content"];
+const UTM_MAX_LENGTH = { utm_source: 120, utm_medium: 120, utm_campaign: 160, utm_term: 160, utm_content: 160 };
+
+// Presets when the owner leaves source/medium blank
+const DEFAULT_UTM_SOURCE = "konarcard";
+const DEFAULT_UTM_MEDIUM = "offline";
+
+const cleanString = (v, max = 200) => String(v || "").trim().slice(0, max);
+
+// "Flyer March!" -> "flyer-march"
+const toUtmValue = (v, max) =>
+    cleanString(v, 400)
+        .toLowerCase()
+        .replace(/[^a-z0-9._-]+/g, "-")
+        .replace(/-+/g, "-")
+        .replace(/^-+|-+$/g, "")
+        .slice(0, max);
+
+const cleanCampaignCode = cleanCardToken;
+
+async function generateCampaignCode() {
+    for (let i = 0; i < MAX_CODE_ATTEMPTS; i += 1) {
+        const code = generateCardToken(CODE_LENGTH);
+        const taken = await Campaign.exists({ code });
+        if (!taken) return code;
+    }
+    throw new Error("Could not generate a unique campaign code");
+}
+
+/**
+ * Validates a create/update body against the existing values.
+ * Returns { values } or { error, code } for a 400.
+ */
+function normalizeCampaignInput(body = {}, existing = {}) {
+    const values = {
+        name: cleanString(existing.name, 80),
+        status: existing.status || "active",
+    };
+    for (const field of UTM_FIELDS) values[field] = cleanString(existing[field], UTM_MAX_LENGTH[field]);
+
+    if (body.name !== undefined) values.name = cleanString(body.name, 200);
+    if (!values.name) return { error: "name is required", code: "NAME_REQUIRED" };
+    if (values.name.length > 80) return { error: "name must be 80 characters or fewer", code: "NAME_TOO_LONG" };
+
+    for (const field of UTM_FIELDS) {
+        if (body[field] === undefined) continue;
+        // term/content are free text; the rest are tag-style values
+        values[field] = ["utm_term", "utm_content"].includes(field)
+            ? cleanString(body[field], UTM_MAX_LENGTH[field])
+            : toUtmValue(body[field], UTM_MAX_LENGTH[field]);
+    }
+
+    if (!values.utm_source) values.utm_source = DEFAULT_UTM_SOURCE;
+    if (!values.utm_medium) values.utm_medium = DEFAULT_UTM_MEDIUM;
+    if (!values.utm_campaign) values.utm_campaign = toUtmValue(values.name, UTM_MAX_LENGTH.utm_campaign);
+    if (!values.utm_campaign) {
+        return { error: "utm_campaign could not be derived from the name", code: "UTM_CAMPAIGN_REQUIRED" };
+    }
+
+    if (body.status !== undefined) {
+        const status = cleanString(body.status, 20).toLowerCase();
+        if (!["active", "archived"].includes(status)) {
+            return { error: "status must be active or archived", code: "INVALID_STATUS" };
+        }
+        values.status = status;
+    }
+
+    return { values };
+}
+
+/**
+ * The short link. via = "qr" for the printed QR code.
+ */
+function buildCampaignShortUrl(code, via = "") {
+    const c = cleanCampaignCode(code);
+    if (!c) return "";
+
+    const base = `${CAMPAIGN_LINK_DOMAIN}/l/${c}`;
+    return via === "qr" ? `${base}?via=qr` : base;
+}
+
+/**
+ * Where /l/:code sends the visitor: the profile (custom domain when
+ * verified) with ?via, the UTM preset and ?campaign=<code>.
+ */
+async function buildCampaignRedirectUrl(campaign, { profileSlug, via = "link" } = {}) {
+    const target = await buildProfileTargetUrl({
+        profileSlug,
+        businessCardId: campaign.business_card?._id || campaign.business_card,
+        via,
+    });
+    if (!target) return "";
+
+    const url = new URL(target);
+    for (const field of UTM_FIELDS) {
+        if (campaign[field]) url.searchParams.set(field, campaign[field]);
+    }
+    url.searchParams.set("campaign", campaign.code);
+
+    return url.toString();
+}
+
+/**
+ * Renders the campaign QR (the profile's saved QR style) and uploads it.
+ * `card` needs _id, user, qr_style and the logo fields.
+ */
+async function generateCampaignQr(campaign, card) {
+    const { style, logoUrl } = getProfileQrOptions(card);
+    const { buffer } = await renderQrCode(buildCampaignShortUrl(campaign.code, "qr"), style, {
+        format: "png",
+        logoUrl,
+    });
+
+    const fileKey = `qr-codes/${card.user}/campaigns/${campaign.code}-${Date.now()}.png`;
+    return uploadToS3(buffer, fileKey, "image/png");
+}
+
+/**
+ * Re-renders the stored QR of every campaign of a profile, e.g. after its
+ * QR style or logo changed. Sequential: a profile can have many campaigns.
+ */
+async function refreshCampaignQrs(card) {
+    const campaigns = await Campaign.find({ business_card: card._id }).select("_id code");
+    for (const campaign of campaigns) {
+        try {
+            const url = await generateCampaignQr(campaign, card);
+            if (url) await Campaign.updateOne({ _id: campaign._id }, { $set: { qr_code_url: url } });
+        } catch (e) {
+            console.error(`Campaign QR refresh failed (${campaign.code}):`, e?.message || e);
+        }
+    }
+}
+
+function serializeCampaign(campaign, profileSlug) {
+    const out = {
+        _id: campaign._id,
+        name: campaign.name,
+        code: campaign.code,
+        business_card: campaign.business_card?._id || campaign.business_card,
+        profile_slug: profileSlug || campaign.business_card?.profile_slug || null,
+        status: campaign.status,
+        short_url: buildCampaignShortUrl(campaign.code),
+        qr_url: buildCampaignShortUrl(campaign.code, "qr"),
+        qr_code_url: campaign.qr_code_url || "",
+        click_count: campaign.click_count || 0,
+        last_clicked_at: campaign.last_clicked_at || null,
+        createdAt: campaign.createdAt,
+    };
+    for (const field of UTM_FIELDS) out[field] = campaign[field] || "";
+    return out;
+}
+
+module.exports = {
+    UTM_FIELDS,
+    buildCampaignRedirectUrl,
+    buildCampaignShortUrl,
+    cleanCampaignCode,
+    generateCampaignCode,
+    generateCampaignQr,
+    normalizeCampaignInput,
+    refreshCampaignQrs,
+    serializeCampaign,
+};
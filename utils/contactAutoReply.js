@@ -0,0 +1,85 @@
+// backend/utils/contactAutoReply.js
+// Optional auto-reply to a visitor after they exchange contact details.
+// Settings live on BusinessCard.auto_reply; content comes from the
+// published view so draft edits never reach visitors.
+//
+// The recipient address is whatever the visitor typed, so sends are capped
+// per address and per profile, and the subject never contains visitor text:
+// otherwise the form relays email from our domain to anyone.
+
+const sendEmail = require("./SendEmail");
+const { createRateLimiter } = require("./rateLimit");
+const { contactAutoReplyTemplate } = require("./emailTemplates");
+const { buildPublishedView } = require("./profileSnapshot");
+const {
+    buildVcard,
+    buildVcardFilename,
+    businessCardToContact,
+    loadVcardPhoto,
+} = require("./vcard");
+
+const PUBLIC_PROFILE_DOMAIN = process.env.PUBLIC_PROFILE_DOMAIN || "https://www.konarcard.com";
+
+const DEFAULT_SUBJECT = "Thanks for getting in touch";
+
+const recipientLimiter = createRateLimiter({ windowMs: 24 * 60 * 60 * 1000, max: 2 });
+const profileLimiter = createRateLimiter({ windowMs: 60 * 60 * 1000, max: 20 });
+
+/**
+ * Replaces {visitor_name} / {name} placeholders in owner-written text.
+ */
+function fillPlaceholders(text, { visitorName, ownerName }) {
+    return String(text || "")
+        .replace(/\{\s*visitor_name\s*\}/gi, visitorName || "")
+        .replace(/\{\s*name\s*\}/gi, ownerName || "");
+}
+
+/**
+ * Sends the auto-reply if the profile has it enabled and neither the
+ * recipient nor the profile is over its limit.
+ * Returns true when an email was sent. Throws on SMTP errors.
+ * Call it after responding: the vCard photo fetch can take seconds.
+ */
+async function sendContactAutoReply({ businessCard, owner, visitorName, visitorEmail }) {
+    const settings = businessCard?.auto_reply || {};
+    if (!settings.enabled || !visitorEmail) return false;
+
+    if (!recipientLimiter.hit(`to:${String(visitorEmail).toLowerCase()}`).allowed) return false;
+    if (!profileLimiter.hit(`profile:${businessCard._id}`).allowed) return false;
+
+    const view = buildPublishedView(businessCard);
+    const ownerName =
+        view.full_name || view.business_name || view.business_card_name || owner?.name || "";
+    const profileUrl = `${PUBLIC_PROFILE_DOMAIN}/u/${businessCard.profile_slug}`;
+
+    const attachments = [];
+    if (settings.attach_vcard !== false) {
+        const photoBase64 = await loadVcardPhoto(view.logo || view.avatar);
+        attachments.push({
+            filename: buildVcardFilename(ownerName || businessCard.profile_slug),
+            content: buildVcard(businessCardToContact(view, { profileUrl, photoBase64 })),
+            contentType: "text/vcard; charset=utf-8",
+        });
+    }
+
+    const subject =
+        fillPlaceholders(settings.subject, { visitorName: "", ownerName })
+            .replace(/\s{2,}/g, " ")
+            .replace(/\s+([,.!?])/g, "$1")
+            .trim() || DEFAULT_SUBJECT;
+    const message = fillPlaceholders(settings.message, { visitorName, ownerName });
+
+    const html = contactAutoReplyTemplate(visitorName, ownerName, message, profileUrl, {
+        hasVcard: attachments.length > 0,
+    });
+
+    // Replies go to the owner, not to KonarCard
+    const replyTo = view.contact_email || owner?.email || undefined;
+
+    await sendEmail(visitorEmail, subject, html, { attachments, replyTo });
+    return true;
+}
+
+module.exports = {
+    sendContactAutoReply,
+};
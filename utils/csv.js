@@ -0,0 +1,25 @@
+// backend/utils/csv.js
+// Minimal RFC 4180 CSV writer.
+
+/**
+ * Quote a single cell. Cells that a spreadsheet would run as a formula
+ * (=, +, -, @, tab, CR) are prefixed with ' to stop CSV injection.
+ */
+function csvCell(value) {
+    if (value == null) return "";
+
+    let s = value instanceof Date ? value.toISOString() : String(value);
+    // Plain numbers like "+44 7700 900123" or "-3" are left alone
+    if (/^[=+\-@\t\r]/.test(s) && !/^[+-]?[\d\s().-]+$/.test(s)) s = `'${s}`;
+
+    return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function csvRow(values) {
+    return values.map(csvCell).join(",") + "\r\n";
+}
+
+module.exports = {
+    csvCell,
+    csvRow,
+};
@@ -0,0 +1,305 @@
+// backend/utils/customDomains.js
+// Custom domains: DNS TXT verification, an in-memory cache of verified
+// hostnames (used by CORS and host-header routing) and profile URLs that
+// prefer the custom domain.
+
+const crypto = require("crypto");
+const dns = require("dns");
+const BusinessCard = require("../models/BusinessCard");
+const CustomDomain = require("../models/CustomDomain");
+
+const PUBLIC_PROFILE_DOMAIN = process.env.PUBLIC_PROFILE_DOMAIN || "https://www.konarcard.com";
+
+const TXT_RECORD_PREFIX = "_konarcard";
+const TXT_VALUE_PREFIX = "konarcard-verify=";
+
+const CACHE_REFRESH_MS = 60 * 1000;
+
+// Hostnames that can never be claimed as a custom domain
+const RESERVED_HOST_SUFFIXES = ["konarcard.com", "localhost"];
+
+/* =========================================================
+   TXT lookups
+   CUSTOM_DOMAIN_TXT_RECORDS='{"_konarcard.card.example.com":["konarcard-verify=..."]}'
+   is a local stand-in for DNS (dev / staging). Otherwise the system resolver
+   is used, or CUSTOM_DOMAIN_DNS_SERVERS="127.0.0.1:5353" for a local one.
+   ========================================================= */
+function parseTxtOverrides() {
+    const raw = String(process.env.CUSTOM_DOMAIN_TXT_RECORDS || "").trim();
+    if (!raw) return null;
+
+    try {
+        const parsed = JSON.parse(raw);
+        return parsed && typeof parsed === "object" ? parsed : null;
+    } catch {
+        console.error("[customDomains] CUSTOM_DOMAIN_TXT_RECORDS is not valid JSON");
+        return null;
+    }
+}
+
+function buildResolver() {
+    const resolver = new dns.promises.Resolver({ timeout: 5000, tries: 2 });
+    const servers = String(process.env.CUSTOM_DOMAIN_DNS_SERVERS || "")
+        .split(",")
+        .map((s) => s.trim())
+        .filter(Boolean);
+    if (servers.length) resolver.setServers(servers);
+    return resolver;
+}
+
+async function resolveTxtRecords(name) {
+    const overrides = parseTxtOverrides();
+    if (overrides) {
+        const values = overrides[name];
+        return (Array.isArray(values) ? values : values ? [values] : []).map(String);
+    }
+
+    try {
+        // resolveTxt returns chunked records: [["part1", "part2"], ...]
+        const records = await buildResolver().resolveTxt(name);
+        return records.map((chunks) => chunks.join(""));
+    } catch (err) {
+        if (["ENOTFOUND", "ENODATA"].includes(err?.code)) return [];
+        throw err;
+    }
+}
+
+/* =========================================================
+   Hostnames / tokens
+   ========================================================= */
+function normalizeHostname(v) {
+    let host = String(v || "").trim().toLowerCase();
+    host = host.replace(/^[a-z]+:\/\//, "").split("/")[0].split(":")[0].replace(/\.$/, "");
+    return host;
+}
+
+/**
+ * Returns "" when valid, otherwise an error code.
+ */
+function validateHostname(host) {
+    if (!host || host.length > 253) return "INVALID_HOSTNAME";
+    if (/^\d+(\.\d+){3}$/.test(host)) return "INVALID_HOSTNAME";
+
+    const labels = host.split(".");
+    if (labels.length < 2) return "INVALID_HOSTNAME";
+    if (!labels.every((l) => /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/.test(l))) return "INVALID_HOSTNAME";
+
+    const reserved = RESERVED_HOST_SUFFIXES.some((s) => host === s || host.endsWith(`.${s}`));
+    if (reserved) return "RESERVED_HOSTNAME";
+
+    return "";
+}
+
+function createVerificationToken() {
+    return crypto.randomBytes(16).toString("hex");
+}
+
+function getVerificationRecord(domain) {
+    return {
+        type: "TXT",
+        name: `${TXT_RECORD_PREFIX}.${domain.hostname}`,
+        value: `${TXT_VALUE_PREFIX}${domain.verification_token}`,
+    };
+}
+
+/**
+ * Checks DNS and updates the domain's status. Saves the document.
+ * A verified claim removes every other claim on the same hostname.
+ * refreshCache: false when checking many domains in a row.
+ */
+async function verifyCustomDomain(domain, { refreshCache = true } = {}) {
+    const record = getVerificationRecord(domain);
+    domain.last_checked_at = new Date();
+
+    try {
+        const values = await resolveTxtRecords(record.name);
+        const found = values.some((v) => v.trim() === record.value);
+
+        if (found) {
+            domain.status = "verified";
+            domain.verified_at = domain.verified_at || new Date();
+            domain.last_error = "";
+        } else {
+            domain.status = domain.status === "verified" ? "failed" : "pending";
+            domain.last_error = values.length
+                ? "TXT record found but the value does not match"
+                : "TXT record not found";
+        }
+    } catch (err) {
+        domain.last_error = `DNS lookup failed: ${err?.code || err?.message || "unknown error"}`;
+    }
+
+    try {
+        await domain.save();
+    } catch (err) {
+        // Another claim on this hostname was verified first
+        if (err?.code !== 11000) throw err;
+        domain.status = "failed";
+        domain.last_error = "This domain has been verified by another account";
+        await domain.save();
+    }
+
+    if (domain.status === "verified") {
+        await CustomDomain.deleteMany({ hostname: domain.hostname, _id: { $ne: domain._id } });
+    }
+
+    if (refreshCache) await refreshCustomDomainCache();
+    return domain;
+}
+
+/**
+ * Re-checks every verified domain (jobs/customDomainRecheck.js). A domain
+ * whose TXT record is gone becomes "failed": no more routing or CORS.
+ * Lookup errors keep the current status. Returns the domains that failed.
+ */
+async function recheckVerifiedDomains() {
+    const lapsed = [];
+    const domains = CustomDomain.find({ status: "verified" }).cursor();
+
+    for await (const domain of domains) {
+        await verifyCustomDomain(domain, { refreshCache: false });
+        if (domain.status !== "verified") lapsed.push(domain);
+    }
+
+    await refreshCustomDomainCache();
+    return lapsed;
+}
+
+/**
+ * hostname used to be unique across all claims; it is now unique among
+ * verified ones only. Drops the old index so the new one can be built.
+ */
+async function migrateHostnameIndex() {
+    try {
+        const indexes = await CustomDomain.collection.indexes();
+        const legacy = indexes.find(
+            (i) => i.unique && Object.keys(i.key || {}).join(",") === "hostname" && !i.partialFilterExpression
+        );
+        if (!legacy) return;
+
+        await CustomDomain.collection.dropIndex(legacy.name);
+        await CustomDomain.createIndexes();
+    } catch (err) {
+        // NamespaceNotFound: no domains yet
+        if (err?.codeName !== "NamespaceNotFound") {
+            console.error("[customDomains] hostname index migration failed:", err?.message || err);
+        }
+    }
+}
+
+/* =========================================================
+   Verified-domain cache (hostname → business_card id)
+   ========================================================= */
+let verifiedDomains = new Map();
+let refreshTimer = null;
+
+async function refreshCustomDomainCache() {
+    try {
+        const rows = await CustomDomain.find({ status: "verified" })
+            .select("hostname business_card")
+            .lean();
+        verifiedDomains = new Map(rows.map((r) => [r.hostname, String(r.business_card)]));
+    } catch (err) {
+        console.error("[customDomains] cache refresh failed:", err?.message || err);
+    }
+
+    if (!refreshTimer) {
+        refreshTimer = setInterval(refreshCustomDomainCache, CACHE_REFRESH_MS);
+        if (typeof refreshTimer.unref === "function") refreshTimer.unref();
+    }
+}
+
+function isVerifiedCustomDomain(hostname) {
+    return verifiedDomains.has(normalizeHostname(hostname));
+}
+
+/**
+ * For CORS: true when `origin` is https://<verified custom domain>.
+ */
+function isCustomDomainOrigin(origin) {
+    const m = /^https:\/\/([^/]+)$/i.exec(String(origin || "").trim());
+    return !!m && isVerifiedCustomDomain(m[1]);
+}
+
+/**
+ * Host-header routing. On a verified custom domain, "/" serves the
+ * profile page (/u/:slug) and req.customDomain is set for later handlers.
+ */
+async function customDomainRouting(req, res, next) {
+    try {
+        const host = normalizeHostname(req.headers.host);
+        const businessCardId = verifiedDomains.get(host);
+        if (!businessCardId) return next();
+
+        const card = await BusinessCard.findById(businessCardId).select("profile_slug").lean();
+        if (!card?.profile_slug) return next();
+
+        req.customDomain = { hostname: host, business_card: businessCardId, profile_slug: card.profile_slug };
+
+        if (req.method === "GET" && req.path === "/") {
+            const q = req.url.indexOf("?");
+            req.url = `/u/${card.profile_slug}${q >= 0 ? req.url.slice(q) : ""}`;
+        }
+    } catch (err) {
+        console.error("[customDomains] host routing failed:", err?.message || err);
+    }
+    return next();
+}
+
+/* =========================================================
+   Profile URLs (QR codes, NFC targets, canonical links)
+   ========================================================= */
+async function getVerifiedHostnameForCard(businessCardId) {
+    if (!businessCardId) return "";
+    const domain = await CustomDomain.findOne({ business_card: businessCardId, status: "verified" })
+        .select("hostname")
+        .lean();
+    return domain?.hostname || "";
+}
+
+/**
+ * https://<custom domain>/ when verified, else PUBLIC_PROFILE_DOMAIN/u/:slug.
+ * Pass businessCardId when known; otherwise the slug is looked up.
+ */
+async function buildProfileBaseUrl({ profileSlug, businessCardId } = {}) {
+    const slug = String(profileSlug || "").trim().toLowerCase();
+
+    let cardId = businessCardId;
+    if (!cardId && slug) {
+        const card = await BusinessCard.findOne({ profile_slug: slug }).select("_id").lean();
+        cardId = card?._id;
+    }
+
+    const hostname = await getVerifiedHostnameForCard(cardId);
+    if (hostname) return `https://${hostname}/`;
+
+    return slug ? `${PUBLIC_PROFILE_DOMAIN}/u/${slug}` : "";
+}
+
+/**
+ * Same as buildProfileBaseUrl with ?via=qr|nfc|link for analytics.
+ */
+async function buildProfileTargetUrl({ profileSlug, businessCardId, via = "" } = {}) {
+    const base = await buildProfileBaseUrl({ profileSlug, businessCardId });
+    if (!base) return "";
+
+    const cleanVia = String(via || "").trim().toLowerCase();
+    if (!["qr", "nfc", "link"].includes(cleanVia)) return base;
+
+    return `${base}?via=${encodeURIComponent(cleanVia)}`;
+}
+
+module.exports = {
+    buildProfileBaseUrl,
+    buildProfileTargetUrl,
+    createVerificationToken,
+    customDomainRouting,
+    getVerificationRecord,
+    isCustomDomainOrigin,
+    migrateHostnameIndex,
+    normalizeHostname,
+    recheckVerifiedDomains,
+    refreshCustomDomainCache,
+    validateHostname,
+    verifyCustomDomain,
+};
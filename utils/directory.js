@@ -0,0 +1,100 @@
+// backend/utils/directory.js
+// Public directory of opted-in profiles ("list me"). Searches the published
+// content: published.* for drafted profiles, top-level fields for legacy
+// profiles that predate drafts (published: null).
+
+const { buildPublishedView } = require("./profileSnapshot");
+
+const PUBLIC_PROFILE_DOMAIN = process.env.PUBLIC_PROFILE_DOMAIN || "https://www.konarcard.com";
+
+const escapeRegex = (v) => String(v || "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const clean = (v, max = 100) => String(v || "").replace(/\s+/g, " ").trim().slice(0, max);
+
+/**
+ * Condition on a content field of the live version of a profile.
+ */
+function publishedFieldCondition(field, condition) {
+    return {
+        $or: [
+            { [`published.${field}`]: condition },
+            { published: null, [field]: condition },
+        ],
+    };
+}
+
+/**
+ * Opted in and actually live: drafted profiles must have been published once.
+ */
+function listedProfilesQuery() {
+    return {
+        list_in_directory: true,
+        $or: [{ published: null }, { published_at: { $ne: null } }],
+    };
+}
+
+/**
+ * ?trade=&location=&q= → Mongo query (all filters are case-insensitive "contains")
+ */
+function buildDirectoryQuery({ trade, location, q } = {}) {
+    const and = [listedProfilesQuery()];
+
+    const tradeText = clean(trade);
+    if (tradeText) {
+        and.push(publishedFieldCondition("trade_title", new RegExp(escapeRegex(tradeText), "i")));
+    }
+
+    const locationText = clean(location);
+    if (locationText) {
+        and.push(publishedFieldCondition("location", new RegExp(escapeRegex(locationText), "i")));
+    }
+
+    const keyword = clean(q);
+    if (keyword) {
+        const rx = new RegExp(escapeRegex(keyword), "i");
+        const fields = [
+            "business_name",
+            "full_name",
+            "business_card_name",
+            "trade_title",
+            "job_title",
+            "bio",
+            "services.name",
+        ];
+        and.push({ $or: fields.map((field) => publishedFieldCondition(field, rx)) });
+    }
+
+    return { $and: and };
+}
+
+function buildProfileUrl(slug) {
+    return `${PUBLIC_PROFILE_DOMAIN}/u/${slug}`;
+}
+
+function serializeDirectoryEntry(card) {
+    const view = buildPublishedView(card);
+
+    return {
+        profile_slug: view.profile_slug,
+        url: buildProfileUrl(view.profile_slug),
+        name: view.business_name || view.full_name || view.business_card_name || view.profile_slug,
+        full_name: view.full_name || "",
+        trade_title: view.trade_title || "",
+        location: view.location || "",
+        bio: clean(view.bio, 300),
+        logo: view.logo || view.avatar || "",
+        cover_photo: view.cover_photo || "",
+        og_image_url: view.og_image_url || "",
+        services: (Array.isArray(view.services) ? view.services : [])
+            .map((s) => s?.name)
+            .filter(Boolean)
+            .slice(0, 6),
+    };
+}
+
+module.exports = {
+    buildDirectoryQuery,
+    buildProfileUrl,
+    listedProfilesQuery,
+    serializeDirectoryEntry,
+};
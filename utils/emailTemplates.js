@@ -335,6 +335,98 @@ function paymentReminderTemplate(name, nextDate) {
   `, { preheader: `Your KonarCard subscription renews on ${date}` });
 }
 
+// 15 — Team invite (organisation admin → new member)
+function teamInviteTemplate(inviterName, organisationName, role, link) {
+  const inviter = safeText(inviterName) || "A KonarCard user";
+  const org = safeText(organisationName) || "their team";
+  const roleText = safeText(role || "member");
+  return baseEmailLayout(`
+    ${heading("You're invited to a KonarCard team")}
+    <p style="margin:0 0 16px;">${inviter} has invited you to join <strong>${org}</strong> on KonarCard as a <strong>${roleText}</strong>.</p>
+    <p style="margin:0 0 4px;">Log in or create a free account with this email address, then accept the invite:</p>
+    ${btn(link, "Accept Invite")}
+    <p style="margin:0 0 4px;font-size:13px;color:#64748b;">This invite expires in <strong>7 days</strong>. If you weren't expecting it, you can ignore this email.</p>
+    ${signoff()}
+  `, { preheader: `${inviter} invited you to join ${org} on KonarCard` });
+}
+
+// 16 — Contact auto-reply (profile owner → visitor)
+function contactAutoReplyTemplate(visitorName, ownerName, message, profileUrl, { hasVcard = false } = {}) {
+  const owner = safeText(ownerName) || "the team";
+  const body = safeText(message).replace(/\r?\n/g, "<br/>");
+  return baseEmailLayout(`
+    ${heading("Thanks for getting in touch")}
+    ${greeting(visitorName)}
+    <p style="margin:0 0 16px;">${body || `Thanks for sharing your details with ${owner}. They'll be in touch soon.`}</p>
+    ${profileUrl ? btn(profileUrl, "View Profile") : ""}
+    ${hasVcard ? `<p style="margin:0 0 4px;font-size:13px;color:#64748b;">Their contact card is attached — open it to save their details to your phone.</p>` : ""}
+    <p style="margin:0 0 4px;font-size:13px;color:#64748b;">Reply to this email to reach ${owner} directly.</p>
+  `, { preheader: `${owner} received your details` });
+}
+
+// 17 — Review request (profile owner → past customer)
+function reviewRequestTemplate(customerName, ownerName, message, link, expiresInDays) {
+  const owner = safeText(ownerName) || "A KonarCard user";
+  const body = safeText(message).replace(/\r?\n/g, "<br/>");
+  return baseEmailLayout(`
+    ${heading(`How did ${ownerName || "we"} do?`)}
+    ${greeting(customerName)}
+    <p style="margin:0 0 16px;">${body || `${owner} would really appreciate a quick review of their work. It only takes a minute.`}</p>
+    ${btn(link, "Leave a Review")}
+    <p style="margin:0 0 4px;font-size:13px;color:#64748b;">This link can be used once and expires in <strong>${Number(expiresInDays) || 30} days</strong>. Your review will be shown as a verified customer review.</p>
+  `, { preheader: `${owner} asked for your review` });
+}
+
+// 18 — Weekly analytics digest (one section per profile)
+function digestChange(pct) {
+  if (pct === null || pct === undefined) return `<span style="color:#94a3b8;">new</span>`;
+  if (pct === 0) return `<span style="color:#94a3b8;">no change</span>`;
+  const color = pct > 0 ? "#16a34a" : "#dc2626";
+  return `<span style="color:${color};">${pct > 0 ? "&#9650;" : "&#9660;"} ${Math.abs(pct)}%</span>`;
+}
+
+function digestStatRow(label, value, pct) {
+  return `
+    <tr>
+      <td style="padding:8px 12px;border:1px solid #e5e7eb;background:#f9fafb;font-size:14px;">${safeText(label)}</td>
+      <td style="padding:8px 12px;border:1px solid #e5e7eb;font-size:14px;font-weight:700;text-align:right;">${Number(value) || 0}</td>
+      <td style="padding:8px 12px;border:1px solid #e5e7eb;font-size:13px;text-align:right;white-space:nowrap;">${digestChange(pct)}</td>
+    </tr>`;
+}
+
+function digestProfileSection(profile) {
+  const { thisWeek, change } = profile;
+  const links = (profile.topLinks || [])
+    .map((l) => `<li style="margin:0 0 4px;">${safeText(l.key)} &middot; <strong>${Number(l.value) || 0}</strong></li>`)
+    .join("");
+  return `
+    <h3 style="margin:24px 0 8px;font-size:16px;color:#0f172a;">${safeText(profile.name)} <span style="font-weight:400;color:#94a3b8;">/${safeText(profile.profileSlug)}</span></h3>
+    <table role="presentation" cellpadding="0" cellspacing="0" style="border-collapse:collapse;width:100%;margin:0 0 12px;">
+      ${digestStatRow("Profile views", thisWeek.profileViews, change.profileViews)}
+      ${digestStatRow("QR scans", thisWeek.qrScans, change.qrScans)}
+      ${digestStatRow("NFC taps", thisWeek.cardTaps, change.cardTaps)}
+      ${digestStatRow("Link opens", thisWeek.linkOpens, change.linkOpens)}
+      ${digestStatRow("Unique visitors", thisWeek.uniqueVisitors, change.uniqueVisitors)}
+      ${digestStatRow("Contact exchanges", thisWeek.contactExchanges, change.contactExchanges)}
+    </table>
+    ${links ? `<p style="margin:0 0 4px;font-size:14px;font-weight:700;">Top clicked links</p><ul style="margin:0 0 8px;padding-left:20px;font-size:14px;">${links}</ul>` : ""}`;
+}
+
+function analyticsDigestTemplate(name, { weekLabel, profiles = [], dashboardUrl, settingsUrl, unsubscribeUrl } = {}) {
+  const week = safeText(weekLabel);
+  return baseEmailLayout(`
+    ${heading("Your week on KonarCard")}
+    ${greeting(name)}
+    <p style="margin:0 0 8px;">Here's how your ${profiles.length === 1 ? "profile" : "profiles"} did for <strong>${week}</strong>, compared with the week before.</p>
+    ${profiles.map(digestProfileSection).join("")}
+    ${btn(dashboardUrl || "https://konarcard.com/dashboard", "View Full Analytics")}
+    <p style="margin:0 0 4px;font-size:12px;color:#94a3b8;">You're getting this because weekly summaries are on for your account.
+      ${unsubscribeUrl ? `<a href="${safeText(unsubscribeUrl)}" style="color:#94a3b8;text-decoration:underline;">Unsubscribe</a>` : ""}
+      ${settingsUrl ? ` &middot; <a href="${safeText(settingsUrl)}" style="color:#94a3b8;text-decoration:underline;">Email settings</a>` : ""}
+    </p>
+  `, { preheader: `Your KonarCard analytics for ${week}` });
+}
+
 module.exports = {
   verificationEmailTemplate,
   passwordResetTemplate,
@@ -350,4 +442,8 @@ module.exports = {
   subscriptionCancelledTemplate,
   paymentFailedTemplate,
   paymentReminderTemplate,
+  teamInviteTemplate,
+  contactAutoReplyTemplate,
+  reviewRequestTemplate,
+  analyticsDigestTemplate,
 };
@@ -0,0 +1,46 @@
+// backend/utils/fetchImage.js
+// Download an uploaded image (our S3 bucket only, see uploadedImages.js) with
+// a timeout and size cap. Returns a Buffer, or null on any failure — callers
+// render without the image rather than failing.
+
+const { isUploadedImageUrl } = require("./uploadedImages");
+
+const IMAGE_FETCH_TIMEOUT_MS = 5000;
+const IMAGE_MAX_BYTES = 10 * 1024 * 1024;
+
+async function fetchImage(url, { timeoutMs = IMAGE_FETCH_TIMEOUT_MS, maxBytes = IMAGE_MAX_BYTES } = {}) {
+    const u = String(url || "").trim().slice(0, 1200);
+    // Profile image URLs are user data: never let them reach other hosts
+    if (!isUploadedImageUrl(u)) return null;
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+    try {
+        const response = await fetch(u, { signal: controller.signal });
+        if (!response.ok || !response.body) return null;
+
+        // Refuse early when the size is declared, and stop reading once the
+        // cap is passed when it isn't: never buffer more than maxBytes
+        if (Number(response.headers.get("content-length")) > maxBytes) return null;
+
+        const chunks = [];
+        let total = 0;
+        for await (const chunk of response.body) {
+            total += chunk.length;
+            if (total > maxBytes) return null;
+            chunks.push(chunk);
+        }
+
+        return total ? Buffer.concat(chunks, total) : null;
+    } catch (err) {
+        console.warn("[fetchImage] failed:", err?.message || err);
+        return null;
+    } finally {
+        clearTimeout(timer);
+        // Drops the connection if we stopped reading early
+        controller.abort();
+    }
+}
+
+module.exports = fetchImage;
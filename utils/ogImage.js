@@ -0,0 +1,186 @@
+// backend/utils/ogImage.js
+// 1200x630 share image (og:image) per profile, rendered with sharp and
+// cached in S3. The S3 key contains a hash of the inputs, so an unchanged
+// profile never re-renders and a changed one never serves a stale image.
+
+const crypto = require("crypto");
+const sharp = require("sharp");
+const BusinessCard = require("../models/BusinessCard");
+const uploadToS3 = require("./uploadToS3");
+const fetchImage = require("./fetchImage");
+const { buildPublishedView } = require("./profileSnapshot");
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+const LOGO_SIZE = 168;
+
+// Bump to force every image to re-render after a layout change
+const OG_IMAGE_VERSION = 1;
+
+// Any change to these (in the published view) re-renders the image
+const OG_IMAGE_INPUT_FIELDS = [
+    "cover_photo",
+    "logo",
+    "avatar",
+    "full_name",
+    "business_name",
+    "trade_title",
+    "location",
+    "button_bg_color",
+    "theme_mode",
+];
+
+const clean = (v, max = 120) => String(v || "").replace(/\s+/g, " ").trim().slice(0, max);
+
+const escapeXml = (v) =>
+    String(v ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+
+const safeColor = (v, fallback) => (/^#[0-9a-f]{3}([0-9a-f]{3})?$/i.test(clean(v)) ? clean(v) : fallback);
+
+const fitText = (v, maxChars) => {
+    const s = clean(v, 200);
+    return s.length > maxChars ? `${s.slice(0, maxChars - 1).trimEnd()}…` : s;
+};
+
+function pickOgImageInputs(view = {}) {
+    const inputs = { version: OG_IMAGE_VERSION };
+    for (const field of OG_IMAGE_INPUT_FIELDS) inputs[field] = clean(view[field], 1200);
+    return inputs;
+}
+
+function computeOgImageHash(view) {
+    return crypto
+        .createHash("sha1")
+        .update(JSON.stringify(pickOgImageInputs(view)))
+        .digest("hex")
+        .slice(0, 16);
+}
+
+function buildTextOverlay({ name, tradeTitle, location, accent, dark, hasCover, hasLogo }) {
+    // Light text on covers (darkened) and dark theme; dark text otherwise
+    const onDark = hasCover || dark;
+    const primary = onDark ? "#ffffff" : "#0f172a";
+    const secondary = onDark ? "#e2e8f0" : "#475569";
+
+    const left = hasLogo ? 72 + LOGO_SIZE + 40 : 72;
+    const maxChars = hasLogo ? 26 : 34;
+
+    const lines = [
+        `<text x="${left}" y="300" font-family="Arial, Helvetica, sans-serif" font-size="64" font-weight="700" fill="${primary}">${escapeXml(fitText(name, maxChars))}</text>`,
+        tradeTitle
+            ? `<text x="${left}" y="366" font-family="Arial, Helvetica, sans-serif" font-size="38" fill="${secondary}">${escapeXml(fitText(tradeTitle, maxChars + 10))}</text>`
+            : "",
+        location
+            ? `<text x="${left}" y="${tradeTitle ? 424 : 366}" font-family="Arial, Helvetica, sans-serif" font-size="30" fill="${secondary}">${escapeXml(fitText(location, maxChars + 16))}</text>`
+            : "",
+        `<text x="${WIDTH - 72}" y="${HEIGHT - 48}" text-anchor="end" font-family="Arial, Helvetica, sans-serif" font-size="26" font-weight="700" fill="${secondary}">KonarCard</text>`,
+    ];
+
+    return Buffer.from(`<svg width="${WIDTH}" height="${HEIGHT}" xmlns="http://www.w3.org/2000/svg">
+  ${hasCover ? `<rect width="${WIDTH}" height="${HEIGHT}" fill="#000000" fill-opacity="0.5"/>` : ""}
+  <rect x="0" y="${HEIGHT - 14}" width="${WIDTH}" height="14" fill="${accent}"/>
+  ${lines.filter(Boolean).join("\n  ")}
+</svg>`);
+}
+
+/**
+ * Renders the share image for a public view. Returns a JPEG buffer.
+ */
+async function renderOgImage(view = {}) {
+    const dark = view.theme_mode === "dark";
+    const accent = safeColor(view.button_bg_color, "#F47629");
+    const background = dark ? "#0f172a" : "#f8fafc";
+
+    const [coverRaw, logoRaw] = await Promise.all([
+        fetchImage(view.cover_photo),
+        fetchImage(view.logo || view.avatar),
+    ]);
+
+    let base = sharp({
+        create: { width: WIDTH, height: HEIGHT, channels: 3, background },
+    });
+
+    const layers = [];
+
+    let hasCover = false;
+    if (coverRaw) {
+        try {
+            const cover = await sharp(coverRaw).resize(WIDTH, HEIGHT, { fit: "cover" }).toBuffer();
+            layers.push({ input: cover, top: 0, left: 0 });
+            hasCover = true;
+        } catch (e) {
+            console.warn("[ogImage] cover decode failed:", e?.message || e);
+        }
+    }
+
+    let logo = null;
+    if (logoRaw) {
+        try {
+            const mask = Buffer.from(
+                `<svg width="${LOGO_SIZE}" height="${LOGO_SIZE}"><circle cx="${LOGO_SIZE / 2}" cy="${LOGO_SIZE / 2}" r="${LOGO_SIZE / 2}" fill="#fff"/></svg>`
+            );
+            logo = await sharp(logoRaw)
+                .resize(LOGO_SIZE, LOGO_SIZE, { fit: "cover" })
+                .composite([{ input: mask, blend: "dest-in" }])
+                .png()
+                .toBuffer();
+        } catch (e) {
+            console.warn("[ogImage] logo decode failed:", e?.message || e);
+        }
+    }
+
+    layers.push({
+        input: buildTextOverlay({
+            name: clean(view.full_name) || clean(view.business_name) || clean(view.profile_slug),
+            tradeTitle: clean(view.trade_title),
+            location: clean(view.location),
+            accent,
+            dark,
+            hasCover,
+            hasLogo: !!logo,
+        }),
+        top: 0,
+        left: 0,
+    });
+
+    if (logo) layers.push({ input: logo, top: Math.round((HEIGHT - LOGO_SIZE) / 2) - 20, left: 72 });
+
+    base = base.composite(layers);
+    return base.jpeg({ quality: 85 }).toBuffer();
+}
+
+/**
+ * Re-renders and uploads the share image when its inputs changed.
+ * Returns the current og_image_url ("" when none could be made).
+ */
+async function refreshOgImage(card, { force = false } = {}) {
+    if (!card?._id) return "";
+
+    const view = buildPublishedView(card);
+    const hash = computeOgImageHash(view);
+
+    if (!force && card.og_image_hash === hash && card.og_image_url) return card.og_image_url;
+
+    const buffer = await renderOgImage(view);
+    const url = await uploadToS3(buffer, `og_images/${card._id}/${hash}.jpg`, "image/jpeg");
+    if (!url) return card.og_image_url || "";
+
+    await BusinessCard.updateOne(
+        { _id: card._id },
+        { $set: { og_image_url: url, og_image_hash: hash } }
+    );
+
+    return url;
+}
+
+module.exports = {
+    OG_IMAGE_INPUT_FIELDS,
+    computeOgImageHash,
+    refreshOgImage,
+    renderOgImage,
+};
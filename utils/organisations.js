@@ -0,0 +1,68 @@
+// backend/utils/organisations.js
+// Seat accounting + invite tokens for Organisation.
+
+const crypto = require("crypto");
+const Organisation = require("../models/Organisation");
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+function hashInviteToken(token) {
+    return crypto.createHash("sha256").update(String(token || "")).digest("hex");
+}
+
+/**
+ * Returns { token, hash, expires }. Email `token`, store `hash`.
+ */
+function createInviteToken() {
+    const token = crypto.randomBytes(24).toString("hex");
+    return {
+        token,
+        hash: hashInviteToken(token),
+        expires: new Date(Date.now() + INVITE_TTL_MS),
+    };
+}
+
+function getSeatsForOwner(ownerDoc) {
+    if (String(ownerDoc?.plan || "").toLowerCase() !== "teams") return 1;
+    return Math.max(1, Number(ownerDoc?.teamsProfilesQty) || 1);
+}
+
+/**
+ * Owner + every member/invite occupies a seat.
+ */
+function getSeatUsage(org) {
+    const members = Array.isArray(org?.members) ? org.members : [];
+    const used = 1 + members.length;
+    const total = Math.max(1, Number(org?.seats) || 1);
+
+    return {
+        total,
+        used,
+        available: Math.max(0, total - used),
+        over_limit: used > total,
+    };
+}
+
+/**
+ * Keep Organisation.seats in step with the owner's Teams quantity.
+ * Called from the Stripe webhook after the User doc is updated.
+ * Members are never removed automatically; an over-limit org just
+ * cannot send new invites until seats are added or members removed.
+ */
+async function syncOrganisationSeats(ownerDoc) {
+    if (!ownerDoc?._id) return null;
+
+    return Organisation.findOneAndUpdate(
+        { owner: ownerDoc._id },
+        { $set: { seats: getSeatsForOwner(ownerDoc) } },
+        { new: true }
+    );
+}
+
+module.exports = {
+    createInviteToken,
+    getSeatUsage,
+    getSeatsForOwner,
+    hashInviteToken,
+    syncOrganisationSeats,
+};
@@ -0,0 +1,123 @@
+// backend/utils/physicalCards.js
+// Token generation + order → card provisioning for PhysicalCard.
+
+const crypto = require("crypto");
+const PhysicalCard = require("../models/PhysicalCard");
+
+// Domain that serves GET /c/:token (must route to this API)
+const PHYSICAL_CARD_DOMAIN =
+    process.env.PHYSICAL_CARD_DOMAIN ||
+    process.env.PUBLIC_PROFILE_DOMAIN ||
+    "https://www.konarcard.com";
+
+// No 0/O/1/l/I: tokens may be typed in by hand from a printed card
+const TOKEN_ALPHABET = "23456789abcdefghijkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ";
+const TOKEN_LENGTH = 10;
+const MAX_TOKEN_ATTEMPTS = 5;
+
+function generateCardToken(length = TOKEN_LENGTH) {
+    const bytes = crypto.randomBytes(length);
+    let out = "";
+    for (let i = 0; i < length; i += 1) {
+        out += TOKEN_ALPHABET[bytes[i] % TOKEN_ALPHABET.length];
+    }
+    return out;
+}
+
+function cleanCardToken(v) {
+    return String(v || "")
+        .trim()
+        .replace(/[^a-zA-Z0-9]/g, "")
+        .slice(0, 40);
+}
+
+/**
+ * URL encoded on the card. via = "nfc" (chip) | "qr" (printed code).
+ */
+function buildPhysicalCardUrl(token, via = "") {
+    const t = cleanCardToken(token);
+    if (!t) return "";
+
+    const base = `${PHYSICAL_CARD_DOMAIN}/c/${t}`;
+    return via === "qr" ? `${base}?via=qr` : base;
+}
+
+/**
+ * Create the PhysicalCard rows for a paid NfcOrder.
+ * Idempotent and safe to run concurrently (Stripe retries, admin endpoint):
+ * { order, order_index } is unique, so a position another call created
+ * first is simply read back.
+ */
+async function ensurePhysicalCardsForOrder(order) {
+    if (!order?._id || !order?.user) return [];
+
+    const quantity = Math.max(1, Math.min(50, Number(order.quantity) || 1));
+
+    const existing = await PhysicalCard.find({ order: order._id })
+        .sort({ order_index: 1 })
+        .lean();
+
+    const have = new Set(existing.map((c) => c.order_index));
+    let createdAny = false;
+
+    for (let index = 1; index <= quantity; index += 1) {
+        if (have.has(index)) continue;
+
+        for (let attempt = 1; attempt <= MAX_TOKEN_ATTEMPTS; attempt += 1) {
+            try {
+                await PhysicalCard.create({
+                    token: generateCardToken(),
+                    user: order.user,
+                    order: order._id,
+                    order_index: index,
+                    business_card: order.profile || null,
+                });
+                createdAny = true;
+                break;
+            } catch (err) {
+                if (err?.code !== 11000) throw err;
+                // Another call already created this position
+                if (err.keyPattern?.order_index) break;
+                // Token collision: try a fresh one
+                if (attempt < MAX_TOKEN_ATTEMPTS) continue;
+                throw err;
+            }
+        }
+    }
+
+    if (!createdAny && existing.length >= quantity) return existing;
+
+    return PhysicalCard.find({ order: order._id }).sort({ order_index: 1 }).lean();
+}
+
+function serializePhysicalCard(card) {
+    const profile =
+        card?.business_card && typeof card.business_card === "object" && card.business_card.profile_slug
+            ? card.business_card
+            : null;
+
+    return {
+        _id: card._id,
+        token: card.token,
+        label: card.label || "",
+        status: card.status,
+        order: card.order || null,
+        order_index: card.order_index,
+        business_card: profile ? profile._id : card.business_card || null,
+        profile_slug: profile ? profile.profile_slug : null,
+        nfc_url: buildPhysicalCardUrl(card.token, "nfc"),
+        qr_url: buildPhysicalCardUrl(card.token, "qr"),
+        tap_count: card.tap_count || 0,
+        last_tapped_at: card.last_tapped_at || null,
+        deactivated_at: card.deactivated_at || null,
+        createdAt: card.createdAt,
+    };
+}
+
+module.exports = {
+    buildPhysicalCardUrl,
+    cleanCardToken,
+    ensurePhysicalCardsForOrder,
+    generateCardToken,
+    serializePhysicalCard,
+};
@@ -0,0 +1,153 @@
+// backend/utils/profileMeta.js
+// <head> tags for server-rendered /u/:slug pages: Open Graph, Twitter card
+// and schema.org LocalBusiness JSON-LD. Input is the public profile payload
+// (published view + merged reviews), never the draft.
+
+const SITE_NAME = "KonarCard";
+const MAX_DESCRIPTION = 200;
+const MAX_JSONLD_REVIEWS = 5;
+
+const SOCIAL_FIELDS = ["facebook_url", "instagram_url", "linkedin_url", "x_url", "tiktok_url"];
+
+const clean = (v) => String(v || "").replace(/\s+/g, " ").trim();
+
+const escapeHtml = (v) =>
+    String(v ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#039;");
+
+const truncate = (v, max) => {
+    const s = clean(v);
+    return s.length > max ? `${s.slice(0, max - 1).trimEnd()}…` : s;
+};
+
+const isHttpUrl = (v) => /^https?:\/\//i.test(clean(v));
+
+function getProfileName(view) {
+    return clean(view.business_name) || clean(view.full_name) || clean(view.business_card_name) || clean(view.profile_slug);
+}
+
+/**
+ * Plain values used by both the meta tags and the JSON-LD.
+ */
+function buildProfileMeta(view = {}, { url = "" } = {}) {
+    const name = getProfileName(view);
+    const tradeTitle = clean(view.trade_title) || clean(view.job_title);
+    const location = clean(view.location);
+
+    const fallbackDescription = [tradeTitle, location].filter(Boolean).join(" · ");
+    const description = truncate(clean(view.bio) || clean(view.sub_heading) || fallbackDescription, MAX_DESCRIPTION);
+
+    // Generated share image first (utils/ogImage.js), then the raw uploads
+    const image = [view.og_image_url, view.cover_photo, view.logo, view.avatar].map(clean).find(isHttpUrl) || "";
+
+    return {
+        name,
+        title: tradeTitle ? `${name} — ${tradeTitle}` : name,
+        description: description || `${name} on ${SITE_NAME}`,
+        image,
+        // Only wide images make sense as a large card
+        largeImage: !!image && (image === clean(view.og_image_url) || image === clean(view.cover_photo)),
+        url,
+    };
+}
+
+/**
+ * schema.org LocalBusiness for a public profile.
+ */
+function buildLocalBusinessJsonLd(view = {}, { url = "" } = {}) {
+    const meta = buildProfileMeta(view, { url });
+
+    const data = {
+        "@context": "https://schema.org",
+        "@type": "LocalBusiness",
+        name: meta.name,
+        url: url || undefined,
+        description: clean(view.bio) || undefined,
+        image: meta.image || undefined,
+        logo: isHttpUrl(view.logo) ? clean(view.logo) : undefined,
+        telephone: clean(view.phone_number) || undefined,
+        email: clean(view.contact_email) || undefined,
+        address: clean(view.location) || undefined,
+    };
+
+    const sameAs = SOCIAL_FIELDS.map((f) => clean(view[f])).filter(isHttpUrl);
+    if (sameAs.length) data.sameAs = sameAs;
+
+    const services = (Array.isArray(view.services) ? view.services : [])
+        .map((s) => clean(s?.name))
+        .filter(Boolean);
+    if (services.length) {
+        data.makesOffer = services.map((serviceName) => ({
+            "@type": "Offer",
+            itemOffered: { "@type": "Service", name: serviceName },
+        }));
+    }
+
+    if (view.aggregate_rating) {
+        data.aggregateRating = view.aggregate_rating;
+
+        // Only visitor reviews back the rating (owner testimonials don't)
+        const reviews = (Array.isArray(view.reviews) ? view.reviews : [])
+            .filter((r) => r?.source === "visitor" && Number(r?.rating) >= 1 && clean(r?.name))
+            .slice(0, MAX_JSONLD_REVIEWS);
+
+        if (reviews.length) {
+            data.review = reviews.map((r) => ({
+                "@type": "Review",
+                author: { "@type": "Person", name: clean(r.name) },
+                reviewBody: clean(r.text) || undefined,
+                reviewRating: {
+                    "@type": "Rating",
+                    ratingValue: Math.round(Number(r.rating)),
+                    bestRating: 5,
+                    worstRating: 1,
+                },
+            }));
+        }
+    }
+
+    return data;
+}
+
+/**
+ * The HTML fragment injected into <head>.
+ */
+function renderProfileHeadTags(view = {}, { url = "" } = {}) {
+    const meta = buildProfileMeta(view, { url });
+
+    const tags = [
+        `<title>${escapeHtml(meta.title)} | ${SITE_NAME}</title>`,
+        `<meta name="description" content="${escapeHtml(meta.description)}"/>`,
+        url ? `<link rel="canonical" href="${escapeHtml(url)}"/>` : "",
+
+        `<meta property="og:type" content="profile"/>`,
+        `<meta property="og:site_name" content="${SITE_NAME}"/>`,
+        `<meta property="og:title" content="${escapeHtml(meta.title)}"/>`,
+        `<meta property="og:description" content="${escapeHtml(meta.description)}"/>`,
+        url ? `<meta property="og:url" content="${escapeHtml(url)}"/>` : "",
+        meta.image ? `<meta property="og:image" content="${escapeHtml(meta.image)}"/>` : "",
+        meta.image ? `<meta property="og:image:alt" content="${escapeHtml(meta.name)}"/>` : "",
+
+        `<meta name="twitter:card" content="${meta.largeImage ? "summary_large_image" : "summary"}"/>`,
+        `<meta name="twitter:title" content="${escapeHtml(meta.title)}"/>`,
+        `<meta name="twitter:description" content="${escapeHtml(meta.description)}"/>`,
+        meta.image ? `<meta name="twitter:image" content="${escapeHtml(meta.image)}"/>` : "",
+    ];
+
+    // "<" is escaped so profile text can never close the script tag
+    const jsonLd = JSON.stringify(buildLocalBusinessJsonLd(view, { url })).replace(/</g, "\\u003c");
+    tags.push(`<script type="application/ld+json">${jsonLd}</script>`);
+
+    return tags.filter(Boolean).join("\n    ");
+}
+
+module.exports = {
+    buildLocalBusinessJsonLd,
+    buildProfileMeta,
+    escapeHtml,
+    renderProfileHeadTags,
+};
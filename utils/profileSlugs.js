@@ -0,0 +1,125 @@
+// backend/utils/profileSlugs.js
+// Slug resolution that understands renamed profiles (ProfileSlugAlias).
+
+const BusinessCard = require("../models/BusinessCard");
+const ProfileSlugAlias = require("../models/ProfileSlugAlias");
+
+// How long the slugs of a deleted profile stay reserved for its owner
+const DELETED_SLUG_RESERVATION_DAYS = 180;
+
+function sameId(a, b) {
+    return !!a && !!b && String(a) === String(b);
+}
+
+/**
+ * Find a card by its current slug, falling back to retired slugs.
+ * Returns { card, canonicalSlug, aliased } or null.
+ */
+async function resolveProfileSlug(slug, { select, lean = false } = {}) {
+    if (!slug) return null;
+
+    const withOpts = (query) => {
+        if (select) query.select(select);
+        if (lean) query.lean();
+        return query;
+    };
+
+    const direct = await withOpts(BusinessCard.findOne({ profile_slug: slug }));
+    if (direct) {
+        return { card: direct, canonicalSlug: direct.profile_slug, aliased: false };
+    }
+
+    const alias = await ProfileSlugAlias.findOne({ slug }).select("business_card").lean();
+    if (!alias?.business_card) return null;
+
+    const card = await withOpts(BusinessCard.findById(alias.business_card));
+    if (!card) return null;
+
+    return { card, canonicalSlug: card.profile_slug, aliased: true };
+}
+
+/**
+ * Can `userId` use `slug` for a profile?
+ * Returns { ok: true } or { ok: false, reason: "SLUG_TAKEN" | "SLUG_RESERVED" }.
+ * A user may always reclaim their own retired slugs.
+ */
+async function checkSlugClaimable(slug, userId = null) {
+    const card = await BusinessCard.findOne({ profile_slug: slug }).select("user").lean();
+    if (card && !sameId(card.user, userId)) return { ok: false, reason: "SLUG_TAKEN" };
+
+    const alias = await ProfileSlugAlias.findOne({ slug }).select("user expires_at").lean();
+    const reserved = alias && (!alias.expires_at || alias.expires_at > new Date());
+    if (reserved && !sameId(alias.user, userId)) return { ok: false, reason: "SLUG_RESERVED" };
+
+    return { ok: true };
+}
+
+/**
+ * Record `fromSlug` as an alias of `card` after a rename, and drop any
+ * alias for the card's new slug (it is live again).
+ */
+async function recordSlugRename({ card, fromSlug }) {
+    const toSlug = card?.profile_slug;
+    if (!card?._id || !fromSlug || !toSlug || fromSlug === toSlug) return;
+
+    await ProfileSlugAlias.deleteOne({ slug: toSlug });
+
+    await ProfileSlugAlias.findOneAndUpdate(
+        { slug: fromSlug },
+        {
+            $set: {
+                business_card: card._id,
+                user: card.user,
+                renamed_to: toSlug,
+                expires_at: null,
+            },
+        },
+        { upsert: true, new: true }
+    );
+
+    // Keep older aliases of this card informative
+    await ProfileSlugAlias.updateMany(
+        { business_card: card._id },
+        { $set: { renamed_to: toSlug } }
+    );
+}
+
+/**
+ * A profile was deleted: its current and retired slugs stay reserved for
+ * the owner for DELETED_SLUG_RESERVATION_DAYS, then the aliases expire
+ * (TTL index) and the slugs become available to anyone.
+ */
+async function reserveSlugsOfDeletedProfile(card) {
+    if (!card?._id) return;
+
+    const expiresAt = new Date(Date.now() + DELETED_SLUG_RESERVATION_DAYS * 24 * 60 * 60 * 1000);
+
+    if (card.profile_slug) {
+        await ProfileSlugAlias.findOneAndUpdate(
+            { slug: card.profile_slug },
+            { $set: { business_card: card._id, user: card.user, renamed_to: "" } },
+            { upsert: true }
+        );
+    }
+
+    await ProfileSlugAlias.updateMany(
+        { business_card: card._id },
+        { $set: { expires_at: expiresAt } }
+    );
+}
+
+/**
+ * A user re-used one of their own retired slugs for a profile.
+ */
+async function releaseOwnSlugAlias(slug, userId) {
+    if (!slug || !userId) return;
+    await ProfileSlugAlias.deleteOne({ slug, user: userId });
+}
+
+module.exports = {
+    resolveProfileSlug,
+    checkSlugClaimable,
+    recordSlugRename,
+    releaseOwnSlugAlias,
+    reserveSlugsOfDeletedProfile,
+};
@@ -0,0 +1,138 @@
+// backend/utils/profileSnapshot.js
+// Helpers for copying / comparing the editable content of a BusinessCard.
+// Identity fields (_id, user, profile_slug, qr_code_url, timestamps) are
+// deliberately NOT part of a snapshot.
+
+const PROFILE_CONTENT_FIELDS = [
+    "template_id",
+
+    "business_card_name",
+    "business_name",
+    "trade_title",
+    "location",
+    "full_name",
+    "job_title",
+    "bio",
+
+    "theme_mode",
+    "page_theme",
+    "page_theme_variant",
+    "style",
+
+    "main_heading",
+    "sub_heading",
+
+    "logo",
+    "avatar",
+    "cover_photo",
+    "works",
+    "work_display_mode",
+
+    "services",
+    "services_display_mode",
+    "reviews",
+    "reviews_display_mode",
+    "about_me_layout",
+
+    "button_bg_color",
+    "button_text_color",
+    "text_alignment",
+
+    "show_main_section",
+    "show_about_me_section",
+    "show_work_section",
+    "show_services_section",
+    "show_reviews_section",
+    "show_contact_section",
+
+    "section_order",
+
+    "contact_email",
+    "phone_number",
+
+    "facebook_url",
+    "instagram_url",
+    "linkedin_url",
+    "x_url",
+    "tiktok_url",
+];
+
+// Owner-only settings that live on the card but are never served publicly
+const PRIVATE_SETTINGS_FIELDS = ["auto_reply"];
+
+function toPlain(cardLike) {
+    if (!cardLike) return {};
+    if (typeof cardLike.toObject === "function") {
+        return cardLike.toObject({ depopulate: true });
+    }
+    return cardLike;
+}
+
+/**
+ * Deep-copied plain object with only PROFILE_CONTENT_FIELDS.
+ */
+function pickProfileContent(cardLike) {
+    const src = toPlain(cardLike);
+    const out = {};
+
+    for (const field of PROFILE_CONTENT_FIELDS) {
+        if (src[field] === undefined) continue;
+        out[field] = JSON.parse(JSON.stringify(src[field]));
+    }
+
+    return out;
+}
+
+/**
+ * Field-by-field diff between two content snapshots.
+ * Returns [{ field, from, to }] for fields whose values differ.
+ */
+function diffProfileContent(before = {}, after = {}) {
+    const changes = [];
+
+    for (const field of PROFILE_CONTENT_FIELDS) {
+        const from = before[field] === undefined ? null : before[field];
+        const to = after[field] === undefined ? null : after[field];
+
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes.push({ field, from, to });
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * What the public is allowed to see: identity fields from the card plus
+ * the published content snapshot. Draft content never leaks through.
+ * Cards without a `published` snapshot (pre-draft profiles) are served as-is.
+ */
+function buildPublishedView(cardLike) {
+    const src = toPlain(cardLike);
+    const { published, ...rest } = src;
+    for (const field of PRIVATE_SETTINGS_FIELDS) delete rest[field];
+
+    if (!published || typeof published !== "object") return rest;
+
+    const out = { ...rest };
+    for (const field of PROFILE_CONTENT_FIELDS) delete out[field];
+
+    return { ...out, ...JSON.parse(JSON.stringify(published)) };
+}
+
+/**
+ * True when the draft differs from what is currently published.
+ */
+function hasUnpublishedChanges(cardLike) {
+    const src = toPlain(cardLike);
+    if (!src.published) return false;
+    return diffProfileContent(src.published, pickProfileContent(src)).length > 0;
+}
+
+module.exports = {
+    PROFILE_CONTENT_FIELDS,
+    pickProfileContent,
+    diffProfileContent,
+    buildPublishedView,
+    hasUnpublishedChanges,
+};
@@ -0,0 +1,473 @@
+// backend/utils/qrCode.js
+// QR generation for profiles and NFC orders. One module-matrix (qrcode) is
+// drawn as PNG (sharp), SVG or PDF (vector, for print shops) with the
+// profile's saved style: colours, error correction and an optional centred
+// logo.
+
+const QRCode = require("qrcode");
+const sharp = require("sharp");
+const uploadToS3 = require("./uploadToS3");
+const fetchImage = require("./fetchImage");
+const { isUploadedImageUrl } = require("./uploadedImages");
+const { buildPublishedView } = require("./profileSnapshot");
+const { buildProfileTargetUrl } = require("./customDomains");
+
+const QR_FORMATS = ["png", "svg", "pdf"];
+const ERROR_CORRECTION_LEVELS = ["L", "M", "Q", "H"];
+const LOGO_MODES = ["none", "profile", "custom"];
+
+const QR_STYLE_DEFAULTS = {
+    foreground_color: "#000000",
+    background_color: "#ffffff",
+    error_correction: "M",
+    logo_mode: "none",
+    logo_url: "",
+};
+
+// Quiet zone, in modules (matches the codes generated before styles existed)
+const MARGIN_MODULES = 2;
+// Logo box width as a share of the code; the modules under it are cleared,
+// so error correction is raised to at least Q whenever a logo is drawn
+const LOGO_SCALE = 0.22;
+
+const PNG_DEFAULT_SIZE = 900;
+const PNG_MIN_SIZE = 128;
+const PNG_MAX_SIZE = 4096;
+// 100mm square page
+const PDF_PAGE_PT = 283.46;
+// Scanners struggle below this (WCAG contrast ratio)
+const MIN_CONTRAST_RATIO = 3;
+
+const clean = (v, max = 1200) => String(v || "").trim().slice(0, max);
+
+const safeSlug = (v) =>
+    String(v || "")
+        .trim()
+        .toLowerCase()
+        .replace(/[^a-z0-9-]/g, "");
+
+/* =========================================================
+   Colours
+   ========================================================= */
+function normalizeHexColor(v) {
+    const s = clean(v, 20).toLowerCase();
+    if (/^#[0-9a-f]{6}$/.test(s)) return s;
+    if (/^#[0-9a-f]{3}$/.test(s)) return `#${s[1]}${s[1]}${s[2]}${s[2]}${s[3]}${s[3]}`;
+    return "";
+}
+
+function hexToRgb(hex) {
+    const n = parseInt(hex.slice(1), 16);
+    return { r: (n >> 16) & 255, g: (n >> 8) & 255, b: n & 255 };
+}
+
+function relativeLuminance(hex) {
+    const { r, g, b } = hexToRgb(hex);
+    const [R, G, B] = [r, g, b].map((c) => {
+        const s = c / 255;
+        return s <= 0.03928 ? s / 12.92 : Math.pow((s + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+}
+
+function contrastRatio(a, b) {
+    const [hi, lo] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+    return (hi + 0.05) / (lo + 0.05);
+}
+
+/* =========================================================
+   Style
+   ========================================================= */
+function toPlainStyle(style) {
+    const s = style && typeof style.toObject === "function" ? style.toObject() : style || {};
+    return {
+        foreground_color: normalizeHexColor(s.foreground_color) || QR_STYLE_DEFAULTS.foreground_color,
+        background_color: normalizeHexColor(s.background_color) || QR_STYLE_DEFAULTS.background_color,
+        error_correction: ERROR_CORRECTION_LEVELS.includes(s.error_correction)
+            ? s.error_correction
+            : QR_STYLE_DEFAULTS.error_correction,
+        logo_mode: LOGO_MODES.includes(s.logo_mode) ? s.logo_mode : QR_STYLE_DEFAULTS.logo_mode,
+        logo_url: clean(s.logo_url),
+    };
+}
+
+/**
+ * Applies a partial update to an existing style.
+ * Returns { style } or { error, code } for a 400.
+ */
+function normalizeQrStyle(input = {}, existing = {}) {
+    const next = toPlainStyle(existing);
+
+    if (input.foreground_color !== undefined) {
+        const c = normalizeHexColor(input.foreground_color);
+        if (!c) return { error: "foreground_color must be a hex colour", code: "INVALID_COLOR" };
+        next.foreground_color = c;
+    }
+
+    if (input.background_color !== undefined) {
+        const c = normalizeHexColor(input.background_color);
+        if (!c) return { error: "background_color must be a hex colour", code: "INVALID_COLOR" };
+        next.background_color = c;
+    }
+
+    if (input.error_correction !== undefined) {
+        const level = clean(input.error_correction, 2).toUpperCase();
+        if (!ERROR_CORRECTION_LEVELS.includes(level)) {
+            return { error: "error_correction must be L, M, Q or H", code: "INVALID_ERROR_CORRECTION" };
+        }
+        next.error_correction = level;
+    }
+
+    if (input.logo_mode !== undefined) {
+        const mode = clean(input.logo_mode, 20).toLowerCase();
+        if (!LOGO_MODES.includes(mode)) {
+            return { error: "logo_mode must be none, profile or custom", code: "INVALID_LOGO_MODE" };
+        }
+        next.logo_mode = mode;
+    }
+
+    if (input.logo_url !== undefined) {
+        const url = clean(input.logo_url);
+        if (url && !isUploadedImageUrl(url)) {
+            return { error: "logo_url must be an uploaded logo", code: "INVALID_LOGO_URL" };
+        }
+        next.logo_url = url;
+    }
+
+    if (next.logo_mode === "custom" && !next.logo_url) {
+        return { error: "A logo image is required for a custom logo", code: "LOGO_REQUIRED" };
+    }
+
+    if (contrastRatio(next.foreground_color, next.background_color) < MIN_CONTRAST_RATIO) {
+        return { error: "Foreground and background colours need more contrast", code: "LOW_CONTRAST" };
+    }
+
+    // Many scanners can't read light-on-dark codes
+    if (relativeLuminance(next.foreground_color) > relativeLuminance(next.background_color)) {
+        return { error: "The foreground colour must be darker than the background", code: "INVERTED_COLORS" };
+    }
+
+    return { style: next };
+}
+
+/**
+ * The logo to overlay for a style: the profile's published logo/avatar,
+ * the uploaded custom logo, or "" for none.
+ */
+function resolveQrLogoUrl(style, card) {
+    const s = toPlainStyle(style);
+    if (s.logo_mode === "custom") return s.logo_url;
+    if (s.logo_mode === "profile" && card) {
+        const view = buildPublishedView(card);
+        return clean(view.logo) || clean(view.avatar);
+    }
+    return "";
+}
+
+/**
+ * Style + logo for a BusinessCard, as options for generateAndUploadProfileQr.
+ */
+function getProfileQrOptions(card) {
+    const style = toPlainStyle(card?.qr_style);
+    return {
+        businessCardId: card?._id,
+        style,
+        logoUrl: resolveQrLogoUrl(style, card),
+    };
+}
+
+/* =========================================================
+   Matrix
+   ========================================================= */
+function buildMatrix(text, { errorCorrection, withLogo }) {
+    let level = errorCorrection;
+    if (withLogo && (level === "L" || level === "M")) level = "Q";
+
+    const qr = QRCode.create(text, { errorCorrectionLevel: level });
+    const count = qr.modules.size;
+
+    let logoBox = null;
+    if (withLogo) {
+        let size = Math.round(count * LOGO_SCALE);
+        // Same parity as the code so the box sits exactly in the centre
+        if ((count - size) % 2) size += 1;
+        logoBox = { start: (count - size) / 2, size };
+    }
+
+    const isDark = (row, col) => {
+        if (
+            logoBox &&
+            row >= logoBox.start &&
+            row < logoBox.start + logoBox.size &&
+            col >= logoBox.start &&
+            col < logoBox.start + logoBox.size
+        ) {
+            return false;
+        }
+        return !!qr.modules.get(row, col);
+    };
+
+    return { count, total: count + MARGIN_MODULES * 2, isDark, logoBox, errorCorrection: level };
+}
+
+// Horizontal runs of dark modules: [{ row, col, length }] (in module units)
+function darkRuns(matrix) {
+    const runs = [];
+    for (let row = 0; row < matrix.count; row++) {
+        let start = -1;
+        for (let col = 0; col <= matrix.count; col++) {
+            const dark = col < matrix.count && matrix.isDark(row, col);
+            if (dark && start < 0) start = col;
+            if (!dark && start >= 0) {
+                runs.push({ row, col: start, length: col - start });
+                start = -1;
+            }
+        }
+    }
+    return runs;
+}
+
+// Logo placement in module units, inset half a module from the cleared box
+function logoRect(matrix) {
+    const box = matrix.logoBox;
+    return {
+        x: MARGIN_MODULES + box.start + 0.5,
+        y: MARGIN_MODULES + box.start + 0.5,
+        size: box.size - 1,
+    };
+}
+
+async function prepareLogo(logoUrl, px, background) {
+    // Also covers styles saved before uploads were enforced
+    if (!isUploadedImageUrl(logoUrl)) return null;
+
+    const raw = await fetchImage(logoUrl);
+    if (!raw) return null;
+
+    try {
+        return await sharp(raw)
+            .resize(px, px, { fit: "contain", background })
+            .flatten({ background })
+            .png()
+            .toBuffer();
+    } catch (e) {
+        console.warn("[qrCode] logo decode failed:", e?.message || e);
+        return null;
+    }
+}
+
+/* =========================================================
+   Renderers
+   ========================================================= */
+async function renderPng(matrix, style, logo, size) {
+    const fg = hexToRgb(style.foreground_color);
+    const bg = hexToRgb(style.background_color);
+    const scale = size / matrix.total;
+
+    const pixels = Buffer.alloc(size * size * 3);
+    for (let y = 0; y < size; y++) {
+        const row = Math.floor(y / scale) - MARGIN_MODULES;
+        for (let x = 0; x < size; x++) {
+            const col = Math.floor(x / scale) - MARGIN_MODULES;
+            const dark =
+                row >= 0 && row < matrix.count && col >= 0 && col < matrix.count && matrix.isDark(row, col);
+            const c = dark ? fg : bg;
+            const i = (y * size + x) * 3;
+            pixels[i] = c.r;
+            pixels[i + 1] = c.g;
+            pixels[i + 2] = c.b;
+        }
+    }
+
+    let image = sharp(pixels, { raw: { width: size, height: size, channels: 3 } });
+
+    if (logo) {
+        const rect = logoRect(matrix);
+        const px = Math.max(1, Math.floor(rect.size * scale));
+        const input = await sharp(logo.buffer).resize(px, px).png().toBuffer();
+        image = image.composite([
+            { input, left: Math.round(rect.x * scale), top: Math.round(rect.y * scale) },
+        ]);
+    }
+
+    return image.png().toBuffer();
+}
+
+function renderSvg(matrix, style, logo, size) {
+    const path = darkRuns(matrix)
+        .map((r) => `M${r.col + MARGIN_MODULES} ${r.row + MARGIN_MODULES}h${r.length}v1h-${r.length}z`)
+        .join("");
+
+    let image = "";
+    if (logo) {
+        const rect = logoRect(matrix);
+        image = `<image x="${rect.x}" y="${rect.y}" width="${rect.size}" height="${rect.size}" xlink:href="data:image/png;base64,${logo.buffer.toString("base64")}"/>`;
+    }
+
+    const svg =
+        `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" ` +
+        `width="${size}" height="${size}" viewBox="0 0 ${matrix.total} ${matrix.total}" shape-rendering="crispEdges">` +
+        `<rect width="${matrix.total}" height="${matrix.total}" fill="${style.background_color}"/>` +
+        `<path fill="${style.foreground_color}" d="${path}"/>` +
+        image +
+        `</svg>`;
+
+    return Buffer.from(svg);
+}
+
+const pdfNum = (n) => String(Math.round(n * 1000) / 1000);
+
+const pdfColor = (hex) => {
+    const { r, g, b } = hexToRgb(hex);
+    return [r, g, b].map((c) => pdfNum(c / 255)).join(" ");
+};
+
+// Single-page PDF: modules as filled rectangles, logo as an embedded JPEG
+async function renderPdf(matrix, style, logo) {
+    const page = PDF_PAGE_PT;
+    const unit = page / matrix.total;
+
+    const ops = [
+        `${pdfColor(style.background_color)} rg`,
+        `0 0 ${pdfNum(page)} ${pdfNum(page)} re f`,
+        `${pdfColor(style.foreground_color)} rg`,
+    ];
+
+    for (const r of darkRuns(matrix)) {
+        // PDF origin is bottom-left
+        const x = (r.col + MARGIN_MODULES) * unit;
+        const y = page - (r.row + MARGIN_MODULES + 1) * unit;
+        ops.push(`${pdfNum(x)} ${pdfNum(y)} ${pdfNum(r.length * unit)} ${pdfNum(unit)} re`);
+    }
+    ops.push("f");
+
+    let jpeg = null;
+    if (logo) {
+        const rect = logoRect(matrix);
+        jpeg = await sharp(logo.buffer).jpeg({ quality: 92 }).toBuffer({ resolveWithObject: true });
+        const w = rect.size * unit;
+        const x = rect.x * unit;
+        const y = page - (rect.y + rect.size) * unit;
+        ops.push(`q ${pdfNum(w)} 0 0 ${pdfNum(w)} ${pdfNum(x)} ${pdfNum(y)} cm /Logo Do Q`);
+    }
+
+    const content = Buffer.from(ops.join("\n"));
+    const resources = jpeg ? "/Resources << /XObject << /Logo 5 0 R >> >>" : "/Resources << >>";
+
+    const objects = [
+        Buffer.from("<< /Type /Catalog /Pages 2 0 R >>"),
+        Buffer.from("<< /Type /Pages /Kids [3 0 R] /Count 1 >>"),
+        Buffer.from(
+            `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pdfNum(page)} ${pdfNum(page)}] /Contents 4 0 R ${resources} >>`
+        ),
+        Buffer.concat([
+            Buffer.from(`<< /Length ${content.length} >>\nstream\n`),
+            content,
+            Buffer.from("\nendstream"),
+        ]),
+    ];
+
+    if (jpeg) {
+        objects.push(
+            Buffer.concat([
+                Buffer.from(
+                    `<< /Type /XObject /Subtype /Image /Width ${jpeg.info.width} /Height ${jpeg.info.height} ` +
+                    `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.data.length} >>\nstream\n`
+                ),
+                jpeg.data,
+                Buffer.from("\nendstream"),
+            ])
+        );
+    }
+
+    const chunks = [Buffer.from("%PDF-1.4\n%\xE2\xE3\xCF\xD3\n", "binary")];
+    let offset = chunks[0].length;
+    const offsets = [];
+
+    objects.forEach((body, i) => {
+        const chunk = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`), body, Buffer.from("\nendobj\n")]);
+        offsets.push(offset);
+        offset += chunk.length;
+        chunks.push(chunk);
+    });
+
+    const xref = [
+        "xref",
+        `0 ${objects.length + 1}`,
+        "0000000000 65535 f ",
+        ...offsets.map((o) => `${String(o).padStart(10, "0")} 00000 n `),
+        "trailer",
+        `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+        "startxref",
+        String(offset),
+        "%%EOF",
+        "",
+    ].join("\n");
+    chunks.push(Buffer.from(xref));
+
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Renders a QR code for `text`.
+ * Options: { format: "png" | "svg" | "pdf", size (png/svg px), logoUrl }
+ * Returns { buffer, contentType, ext, errorCorrection }. A logo that can't
+ * be fetched is left out rather than failing the render.
+ */
+async function renderQrCode(text, style = {}, { format = "png", size = PNG_DEFAULT_SIZE, logoUrl = "" } = {}) {
+    const value = clean(text, 2000);
+    if (!value) throw new Error("renderQrCode: text missing");
+
+    const fmt = QR_FORMATS.includes(format) ? format : "png";
+    const s = toPlainStyle(style);
+    const px = Math.min(PNG_MAX_SIZE, Math.max(PNG_MIN_SIZE, Math.round(Number(size) || PNG_DEFAULT_SIZE)));
+
+    const logoSource = clean(logoUrl);
+    let logo = null;
+    if (logoSource) {
+        // Fetched at print resolution; each renderer scales it down
+        const buffer = await prepareLogo(logoSource, 512, s.background_color);
+        if (buffer) logo = { buffer };
+    }
+
+    const matrix = buildMatrix(value, { errorCorrection: s.error_correction, withLogo: !!logo });
+
+    if (fmt === "svg") {
+        return { buffer: renderSvg(matrix, s, logo, px), contentType: "image/svg+xml", ext: "svg", errorCorrection: matrix.errorCorrection };
+    }
+    if (fmt === "pdf") {
+        return { buffer: await renderPdf(matrix, s, logo), contentType: "application/pdf", ext: "pdf", errorCorrection: matrix.errorCorrection };
+    }
+    return { buffer: await renderPng(matrix, s, logo, px), contentType: "image/png", ext: "png", errorCorrection: matrix.errorCorrection };
+}
+
+/**
+ * Generate QR -> upload to S3 -> return URL
+ * Each BusinessCard has its own QR, keyed by its profile_slug.
+ *
+ * IMPORTANT:
+ * QR codes point to the tracked ?via=qr URL (on the verified custom domain
+ * when there is one) so analytics can record qr_scan.
+ */
+async function generateAndUploadProfileQr(userId, profileSlug, { businessCardId, style, logoUrl = "" } = {}) {
+    const slug = safeSlug(profileSlug);
+    const url = await buildProfileTargetUrl({ profileSlug: slug, businessCardId, via: "qr" });
+    if (!url) return "";
+
+    const { buffer } = await renderQrCode(url, style, { format: "png", logoUrl });
+
+    const fileKey = `qr-codes/${userId}/${slug || "profile"}-${Date.now()}.png`;
+    return uploadToS3(buffer, fileKey, "image/png");
+}
+
+module.exports = {
+    ERROR_CORRECTION_LEVELS,
+    QR_FORMATS,
+    QR_STYLE_DEFAULTS,
+    generateAndUploadProfileQr,
+    getProfileQrOptions,
+    normalizeQrStyle,
+    renderQrCode,
+    resolveQrLogoUrl,
+    toPlainStyle,
+};
@@ -0,0 +1,49 @@
+// backend/utils/rateLimit.js
+// Small in-memory fixed-window rate limiter. Per process: with several
+// instances behind a load balancer each one counts separately.
+
+/**
+ * createRateLimiter({ windowMs, max }) → { hit(key), reset(key) }
+ * hit() returns { allowed, remaining, retryAfterMs }.
+ */
+function createRateLimiter({ windowMs, max }) {
+    const buckets = new Map();
+
+    const sweep = setInterval(() => {
+        const now = Date.now();
+        for (const [key, bucket] of buckets) {
+            if (bucket.resetAt <= now) buckets.delete(key);
+        }
+    }, Math.max(windowMs, 60 * 1000));
+
+    // Never keep the process alive just for cleanup
+    if (typeof sweep.unref === "function") sweep.unref();
+
+    function hit(key) {
+        const now = Date.now();
+        let bucket = buckets.get(key);
+
+        if (!bucket || bucket.resetAt <= now) {
+            bucket = { count: 0, resetAt: now + windowMs };
+            buckets.set(key, bucket);
+        }
+
+        bucket.count += 1;
+
+        return {
+            allowed: bucket.count <= max,
+            remaining: Math.max(0, max - bucket.count),
+            retryAfterMs: bucket.count <= max ? 0 : bucket.resetAt - now,
+        };
+    }
+
+    function reset(key) {
+        buckets.delete(key);
+    }
+
+    return { hit, reset };
+}
+
+module.exports = {
+    createRateLimiter,
+};
@@ -0,0 +1,64 @@
+// backend/utils/reviewRequests.js
+// Signed links for review requests. The token is a JWT carrying only the
+// ReviewRequest id; single use is enforced by the request's status.
+
+const jwt = require("jsonwebtoken");
+
+const REVIEW_REQUEST_TTL_DAYS = 30;
+const TOKEN_PURPOSE = "review_request";
+
+const FRONTEND_URL = process.env.FRONTEND_URL || "http://localhost:5173";
+
+// Dedicated secret: a review link must never be usable as a login token
+function getSecret() {
+    return process.env.REVIEW_REQUEST_SECRET || "";
+}
+
+// Review requests can't be sent without REVIEW_REQUEST_SECRET
+function isReviewRequestSigningConfigured() {
+    return !!getSecret();
+}
+
+function getReviewRequestExpiry(from = new Date()) {
+    return new Date(from.getTime() + REVIEW_REQUEST_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function signReviewRequestToken(request) {
+    return jwt.sign(
+        { rr: String(request._id), purpose: TOKEN_PURPOSE },
+        getSecret(),
+        { expiresIn: Math.max(1, Math.floor((new Date(request.expires_at) - Date.now()) / 1000)) }
+    );
+}
+
+/**
+ * Returns { requestId } or { error: "REVIEW_REQUEST_EXPIRED" | "REVIEW_REQUEST_INVALID" }
+ */
+function verifyReviewRequestToken(token) {
+    const secret = getSecret();
+    if (!secret) return { error: "REVIEW_REQUEST_INVALID" };
+
+    try {
+        const decoded = jwt.verify(String(token || ""), secret);
+        if (decoded?.purpose !== TOKEN_PURPOSE || !decoded.rr) {
+            return { error: "REVIEW_REQUEST_INVALID" };
+        }
+        return { requestId: decoded.rr };
+    } catch (err) {
+        if (err?.name === "TokenExpiredError") return { error: "REVIEW_REQUEST_EXPIRED" };
+        return { error: "REVIEW_REQUEST_INVALID" };
+    }
+}
+
+function buildReviewRequestUrl(token) {
+    return `${FRONTEND_URL}/review?token=${encodeURIComponent(token)}`;
+}
+
+module.exports = {
+    REVIEW_REQUEST_TTL_DAYS,
+    buildReviewRequestUrl,
+    getReviewRequestExpiry,
+    isReviewRequestSigningConfigured,
+    signReviewRequestToken,
+    verifyReviewRequestToken,
+};
@@ -0,0 +1,49 @@
+// backend/utils/reviewStats.js
+// Rating summary for the public reviews list: approved visitor reviews only
+// (owner-entered testimonials are left out by the public profile payload).
+
+/**
+ * Returns { average, count, distribution: { 1..5 } }.
+ * Reviews without a 1-5 rating are ignored.
+ */
+function computeReviewStats(reviews = []) {
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    let count = 0;
+    let sum = 0;
+
+    for (const review of Array.isArray(reviews) ? reviews : []) {
+        const rating = Math.round(Number(review?.rating) || 0);
+        if (rating < 1 || rating > 5) continue;
+
+        distribution[rating] += 1;
+        count += 1;
+        sum += rating;
+    }
+
+    return {
+        average: count ? Math.round((sum / count) * 100) / 100 : 0,
+        count,
+        distribution,
+    };
+}
+
+/**
+ * schema.org AggregateRating for JSON-LD, or null when there are no ratings
+ * (search engines reject an AggregateRating with reviewCount 0).
+ */
+function buildAggregateRating(stats) {
+    if (!stats?.count) return null;
+
+    return {
+        "@type": "AggregateRating",
+        ratingValue: stats.average,
+        reviewCount: stats.count,
+        bestRating: 5,
+        worstRating: 1,
+    };
+}
+
+module.exports = {
+    buildAggregateRating,
+    computeReviewStats,
+};
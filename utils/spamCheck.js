@@ -0,0 +1,77 @@
+// backend/utils/spamCheck.js
+// Heuristics for the public exchange-contact form. A positive result
+// quarantines the submission (stored, not emailed) rather than rejecting
+// it, so a false positive never loses a real lead.
+
+const DISPOSABLE_EMAIL_DOMAINS = new Set([
+    "10minutemail.com",
+    "discard.email",
+    "dispostable.com",
+    "emailondeck.com",
+    "fakeinbox.com",
+    "getnada.com",
+    "guerrillamail.com",
+    "guerrillamail.net",
+    "maildrop.cc",
+    "mailinator.com",
+    "mailnesia.com",
+    "mintemail.com",
+    "mohmal.com",
+    "moakt.com",
+    "sharklasers.com",
+    "spamgourmet.com",
+    "temp-mail.org",
+    "tempmail.com",
+    "tempmail.dev",
+    "tempr.email",
+    "throwawaymail.com",
+    "trashmail.com",
+    "yopmail.com",
+]);
+
+// Extra domains without a deploy: DISPOSABLE_EMAIL_DOMAINS="a.com,b.com"
+for (const d of String(process.env.DISPOSABLE_EMAIL_DOMAINS || "").split(",")) {
+    const domain = d.trim().toLowerCase();
+    if (domain) DISPOSABLE_EMAIL_DOMAINS.add(domain);
+}
+
+const LINK_RE = /(https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(com|net|org|ru|cn|xyz|top|info|biz|io|co|click|link|shop)\b\/?\S*/gi;
+
+const MAX_LINKS_IN_MESSAGE = 1;
+
+function isDisposableEmail(email) {
+    const domain = String(email || "").split("@")[1] || "";
+    if (!domain) return false;
+
+    const parts = domain.toLowerCase().split(".");
+    // Match the domain and its parents (e.g. x.mailinator.com)
+    for (let i = 0; i < parts.length - 1; i += 1) {
+        if (DISPOSABLE_EMAIL_DOMAINS.has(parts.slice(i).join("."))) return true;
+    }
+    return false;
+}
+
+function countLinks(text) {
+    return (String(text || "").match(LINK_RE) || []).length;
+}
+
+/**
+ * Returns { quarantined, reasons: [] }
+ */
+function assessContactSpam({ name, email, message }) {
+    const reasons = [];
+
+    if (email && isDisposableEmail(email)) reasons.push("disposable_email");
+    if (countLinks(name) > 0) reasons.push("link_in_name");
+    if (countLinks(message) > MAX_LINKS_IN_MESSAGE) reasons.push("link_spam");
+
+    // Walls of BBCode / HTML anchors are almost always bots
+    if (/\[url=|<a\s+href=/i.test(String(message || ""))) reasons.push("markup_links");
+
+    return { quarantined: reasons.length > 0, reasons };
+}
+
+module.exports = {
+    assessContactSpam,
+    isDisposableEmail,
+};
@@ -1,189 +1,222 @@
-const mongoose = require("mongoose");
-
-const profileAnalyticsEventSchema = new mongoose.Schema(
-    {
-        // Owner of the profile being viewed / interacted with
-        owner_user: {
-            type: mongoose.Schema.Types.ObjectId,
-            ref: "User",
-            required: true,
-            index: true,
-        },
-
-        // Specific BusinessCard profile doc
-        business_card: {
-            type: mongoose.Schema.Types.ObjectId,
-            ref: "BusinessCard",
-            required: true,
-            index: true,
-        },
-
-        // Profile slug for easy querying
-        profile_slug: {
-            type: String,
-            required: true,
-            trim: true,
-            lowercase: true,
-            index: true,
-        },
-
-        // Main analytics event type
-        // Examples:
-        // profile_view
-        // contact_exchange_submitted
-        // contact_saved
-        // phone_clicked
-        // email_clicked
-        // website_clicked
-        // social_clicked
-        event_type: {
-            type: String,
-            required: true,
-            trim: true,
-            lowercase: true,
-            index: true,
-        },
-
-        // High-level source bucket
-        // qr | nfc | direct | social | referral | unknown
-        source_type: {
-            type: String,
-            default: "unknown",
-            trim: true,
-            lowercase: true,
-            index: true,
-        },
-
-        // More specific platform/source
-        // facebook | instagram | linkedin | google | tiktok | x | whatsapp | other | unknown
-        source_platform: {
-            type: String,
-            default: "unknown",
-            trim: true,
-            lowercase: true,
-            index: true,
-        },
-
-        // Where user came from
-        referrer: {
-            type: String,
-            default: "",
-            trim: true,
-            maxlength: 1000,
-        },
-
-        // UTM tracking
-        utm_source: {
-            type: String,
-            default: "",
-            trim: true,
-            lowercase: true,
-            maxlength: 120,
-        },
-        utm_medium: {
-            type: String,
-            default: "",
-            trim: true,
-            lowercase: true,
-            maxlength: 120,
-        },
-        utm_campaign: {
-            type: String,
-            default: "",
-            trim: true,
-            lowercase: true,
-            maxlength: 160,
-        },
-        utm_term: {
-            type: String,
-            default: "",
-            trim: true,
-            maxlength: 160,
-        },
-        utm_content: {
-            type: String,
-            default: "",
-            trim: true,
-            maxlength: 160,
-        },
-
-        // Anonymous tracking ids from frontend
-        visitor_id: {
-            type: String,
-            default: "",
-            trim: true,
-            maxlength: 120,
-            index: true,
-        },
-        session_id: {
-            type: String,
-            default: "",
-            trim: true,
-            maxlength: 120,
-            index: true,
-        },
-
-        // Optional click target info
-        // e.g. phone, email, website, instagram, facebook
-        action_target: {
-            type: String,
-            default: "",
-            trim: true,
-            lowercase: true,
-            maxlength: 120,
-        },
-
-        // Optional URL clicked
-        target_url: {
-            type: String,
-            default: "",
-            trim: true,
-            maxlength: 1200,
-        },
-
-        // Device / browser metadata
-        user_agent: {
-            type: String,
-            default: "",
-            maxlength: 500,
-        },
-
-        ip: {
-            type: String,
-            default: "",
-            maxlength: 64,
-        },
-    },
-    { timestamps: true }
-);
-
-// Helpful indexes for analytics queries
-profileAnalyticsEventSchema.index({ owner_user: 1, createdAt: -1 });
-profileAnalyticsEventSchema.index({ business_card: 1, createdAt: -1 });
-profileAnalyticsEventSchema.index({ profile_slug: 1, createdAt: -1 });
-
-profileAnalyticsEventSchema.index({
-    owner_user: 1,
-    event_type: 1,
-    createdAt: -1,
-});
-
-profileAnalyticsEventSchema.index({
-    business_card: 1,
-    event_type: 1,
-    createdAt: -1,
-});
-
-profileAnalyticsEventSchema.index({
-    owner_user: 1,
-    source_type: 1,
-    createdAt: -1,
-});
-
-profileAnalyticsEventSchema.index({
-    owner_user: 1,
-    source_platform: 1,
-    createdAt: -1,
-});
-
-module.exports = mongoose.model("ProfileAnalyticsEvent", profileAnalyticsEventSchema);
\ No newline at end of file
+// backend/utils/trackProfileEvent.js
+// Shared write path for ProfileAnalyticsEvent.
+// Used by POST /api/analytics/track, POST /api/business-card/public/:slug/track
+// and by server-side actions that should count as profile events (e.g. the
+// vCard download).
+
+const ProfileAnalyticsEvent = require("../models/ProfileAnalyticsEvent");
+const { classifyTraffic } = require("./botDetection");
+const { parseUserAgent } = require("./userAgent");
+
+const VIEW_EVENT_TYPES = ["qr_scan", "nfc_tap", "link_open"];
+
+const DEDUPE_WINDOW_MS = 5 * 60 * 1000;
+
+const ALLOWED_EVENT_TYPES = new Set([
+    "profile_view",
+    "qr_scan",
+    "nfc_tap",
+    "link_open",
+    "contact_save",
+    "contact_exchange",
+    "contact_exchange_opened",
+    "email_clicked",
+    "phone_clicked",
+    "social_clicked",
+]);
+
+const ALLOWED_SOURCE_TYPES = new Set([
+    "qr",
+    "nfc",
+    "direct",
+    "link",
+    "unknown",
+]);
+
+const ALLOWED_PLATFORMS = new Set([
+    "facebook",
+    "instagram",
+    "linkedin",
+    "x",
+    "tiktok",
+    "google",
+    "other",
+    "unknown",
+    "",
+]);
+
+function cleanString(v) {
+    return String(v || "").trim();
+}
+
+// Request values → schema values ("" / "unknown" when not allowed)
+function cleanEventType(v) {
+    const value = cleanString(v).toLowerCase();
+    return ALLOWED_EVENT_TYPES.has(value) ? value : "";
+}
+
+function cleanSourceType(v) {
+    const value = cleanString(v).toLowerCase();
+    return ALLOWED_SOURCE_TYPES.has(value) ? value : "unknown";
+}
+
+function cleanPlatform(v) {
+    const value = cleanString(v).toLowerCase();
+    if (value === "twitter") return "x";
+    return ALLOWED_PLATFORMS.has(value) ? value : "unknown";
+}
+
+// req.ip honours the app's "trust proxy" setting (see server.js), so only
+// X-Forwarded-For hops added by our own proxies count; the left-most hop
+// is whatever the client sent and must never be used for rate limits.
+function getClientIp(req) {
+    return (
+        req.ip ||
+        req.connection?.remoteAddress ||
+        req.socket?.remoteAddress ||
+        ""
+    )
+        .toString()
+        .slice(0, 64);
+}
+
+function isViewEventType(eventType) {
+    return VIEW_EVENT_TYPES.includes(eventType);
+}
+
+function buildRecentDuplicateQuery({
+    businessCard,
+    eventType,
+    sourceType,
+    payload,
+    ip,
+    userAgent,
+    since,
+}) {
+    const base = {
+        owner_user: businessCard.user,
+        business_card: businessCard._id,
+        profile_slug: businessCard.profile_slug,
+        event_type: eventType,
+        source_type: sourceType,
+        createdAt: { $gte: since },
+    };
+
+    if (payload.visit_id) {
+        return {
+            ...base,
+            visit_id: payload.visit_id,
+        };
+    }
+
+    if (payload.session_id) {
+        return {
+            ...base,
+            session_id: payload.session_id,
+        };
+    }
+
+    if (payload.visitor_id) {
+        return {
+            ...base,
+            visitor_id: payload.visitor_id,
+        };
+    }
+
+    return {
+        ...base,
+        ip,
+        user_agent: userAgent,
+    };
+}
+
+/**
+ * Record one analytics event for a BusinessCard.
+ *
+ * businessCard: { _id, user, profile_slug } (lean is fine)
+ * payload: normalized fields (referrer, utm_*, visitor_id, session_id,
+ *          visit_id, action_target, target_url, physical_card, campaign,
+ *          client_automation)
+ *
+ * View events are deduped per visit/session/visitor within DEDUPE_WINDOW_MS.
+ * Bots are stored with is_bot: true (see utils/botDetection.js); device_type,
+ * os and browser are parsed from the User-Agent.
+ * Returns { deduped: boolean, event }.
+ */
+async function trackProfileEvent({
+    req,
+    businessCard,
+    eventType,
+    sourceType = "unknown",
+    sourcePlatform = "unknown",
+    payload = {},
+}) {
+    const userAgent = cleanString(req.headers["user-agent"]).slice(0, 500);
+    const ip = getClientIp(req);
+    const bot = classifyTraffic({
+        req,
+        userAgent,
+        ip,
+        clientAutomation: payload.client_automation === true,
+    });
+
+    if (isViewEventType(eventType)) {
+        const since = new Date(Date.now() - DEDUPE_WINDOW_MS);
+
+        const duplicateQuery = buildRecentDuplicateQuery({
+            businessCard,
+            eventType,
+            sourceType,
+            payload,
+            ip,
+            userAgent,
+            since,
+        });
+
+        const existingRecentEvent = await ProfileAnalyticsEvent.findOne(duplicateQuery)
+            .select("_id createdAt")
+            .lean();
+
+        if (existingRecentEvent?._id) {
+            return { deduped: true, event: null };
+        }
+    }
+
+    const event = await ProfileAnalyticsEvent.create({
+        owner_user: businessCard.user,
+        business_card: businessCard._id,
+        profile_slug: businessCard.profile_slug,
+        event_type: eventType,
+        source_type: sourceType,
+        source_platform: sourcePlatform,
+        referrer: payload.referrer || "",
+        utm_source: payload.utm_source || "",
+        utm_medium: payload.utm_medium || "",
+        utm_campaign: payload.utm_campaign || "",
+        utm_term: payload.utm_term || "",
+        utm_content: payload.utm_content || "",
+        visitor_id: payload.visitor_id || "",
+        session_id: payload.session_id || "",
+        visit_id: payload.visit_id || "",
+        action_target: payload.action_target || "",
+        target_url: payload.target_url || "",
+        physical_card: payload.physical_card || null,
+        campaign: payload.campaign || null,
+        ip,
+        user_agent: userAgent,
+        ...parseUserAgent(userAgent),
+        is_bot: bot.isBot,
+        bot_reason: bot.reason,
+    });
+
+    return { deduped: false, event };
+}
+
+module.exports = {
+    VIEW_EVENT_TYPES,
+    cleanEventType,
+    cleanPlatform,
+    cleanSourceType,
+    getClientIp,
+    trackProfileEvent,
+};
@@ -0,0 +1,31 @@
+// backend/utils/uploadedImages.js
+// Which image URLs the server may download itself (QR logos, share images,
+// vCard photos): only files on our own upload bucket.
+
+const clean = (v, max = 1200) => String(v || "").trim().slice(0, max);
+
+/**
+ * True for files uploaded through utils/uploadToS3.js (path- or
+ * virtual-hosted-style URL on our bucket). Images are fetched server-side,
+ * so any other URL (internal hosts, metadata endpoints...) is refused.
+ */
+function isUploadedImageUrl(url) {
+    const bucket = process.env.AWS_QR_BUCKET_NAME;
+    const region = process.env.AWS_QR_BUCKET_REGION;
+    if (!bucket || !region) return false;
+
+    let parsed;
+    try {
+        parsed = new URL(clean(url));
+    } catch {
+        return false;
+    }
+    if (parsed.protocol !== "https:" || parsed.username || parsed.password || parsed.port) return false;
+
+    const host = parsed.hostname.toLowerCase();
+    const b = bucket.toLowerCase();
+    if (host === `${b}.s3.${region}.amazonaws.com` || host === `${b}.s3.amazonaws.com`) return true;
+    return host === `s3.${region}.amazonaws.com` && parsed.pathname.startsWith(`/${bucket}/`);
+}
+
+module.exports = { isUploadedImageUrl };
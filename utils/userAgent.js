@@ -0,0 +1,98 @@
+// backend/utils/userAgent.js
+// Minimal User-Agent parser: device type, OS and browser family.
+// Good enough for dashboard breakdowns; not for feature detection.
+// iPadOS 13+ reports itself as macOS, so those iPads count as desktop.
+
+const { isBotUserAgent } = require("./botDetection");
+
+const DEVICE_LABELS = {
+    mobile: "Mobile",
+    tablet: "Tablet",
+    desktop: "Desktop",
+    bot: "Bot",
+    unknown: "Unknown",
+};
+
+const OS_LABELS = {
+    ios: "iOS",
+    android: "Android",
+    windows: "Windows",
+    macos: "macOS",
+    chromeos: "ChromeOS",
+    linux: "Linux",
+    other: "Other",
+    unknown: "Unknown",
+};
+
+const BROWSER_LABELS = {
+    chrome: "Chrome",
+    safari: "Safari",
+    firefox: "Firefox",
+    edge: "Edge",
+    samsung: "Samsung Internet",
+    opera: "Opera",
+    facebook: "Facebook app",
+    instagram: "Instagram app",
+    linkedin: "LinkedIn app",
+    tiktok: "TikTok app",
+    snapchat: "Snapchat app",
+    other: "Other",
+    unknown: "Unknown",
+};
+
+// First match wins: in-app browsers before the engines they embed,
+// Edge / Samsung / Opera before Chrome, Chrome before Safari
+const BROWSER_PATTERNS = [
+    ["instagram", /instagram/],
+    ["facebook", /fban|fbav|fb_iab|fbios/],
+    ["linkedin", /linkedinapp/],
+    ["tiktok", /musical_ly|bytedancewebview|tiktok/],
+    ["snapchat", /snapchat/],
+    ["edge", /edg(e|a|ios)?\//],
+    ["samsung", /samsungbrowser/],
+    ["opera", /opr\/|opera|opios/],
+    ["firefox", /firefox|fxios/],
+    ["chrome", /chrome|crios|chromium/],
+    ["safari", /safari|applewebkit.*mobile/],
+];
+
+const OS_PATTERNS = [
+    ["ios", /iphone|ipod|ipad|\bios\b/],
+    ["android", /android/],
+    ["chromeos", /\bcros\b/],
+    ["windows", /windows/],
+    ["macos", /macintosh|mac os x/],
+    ["linux", /linux|x11/],
+];
+
+const firstMatch = (patterns, ua) => patterns.find(([, re]) => re.test(ua))?.[0];
+
+function detectDeviceType(ua, os) {
+    if (/ipad|tablet|kindle|silk\/|playbook/.test(ua)) return "tablet";
+    if (os === "android" && !/mobile/.test(ua)) return "tablet";
+    if (/mobi|iphone|ipod|android|windows phone/.test(ua)) return "mobile";
+    if (["windows", "macos", "linux", "chromeos"].includes(os)) return "desktop";
+    return "unknown";
+}
+
+/**
+ * "Mozilla/5.0 (iPhone; ...)" → { device_type: "mobile", os: "ios", browser: "safari" }
+ * Keys match DEVICE_LABELS / OS_LABELS / BROWSER_LABELS.
+ */
+function parseUserAgent(userAgent) {
+    const ua = String(userAgent || "").trim().toLowerCase();
+    if (!ua) return { device_type: "unknown", os: "unknown", browser: "unknown" };
+
+    const os = firstMatch(OS_PATTERNS, ua) || "other";
+    const browser = firstMatch(BROWSER_PATTERNS, ua) || "other";
+    const deviceType = isBotUserAgent(ua) ? "bot" : detectDeviceType(ua, os);
+
+    return { device_type: deviceType, os, browser };
+}
+
+module.exports = {
+    BROWSER_LABELS,
+    DEVICE_LABELS,
+    OS_LABELS,
+    parseUserAgent,
+};
@@ -0,0 +1,231 @@
+// backend/utils/vcard.js
+// vCard (.vcf) builder for BusinessCard profiles and contact records.
+// Supports vCard 3.0 (default, best iOS/Android support) and 4.0.
+
+const sharp = require("sharp");
+const fetchImage = require("./fetchImage");
+const { isUploadedImageUrl } = require("./uploadedImages");
+
+const PHOTO_FETCH_TIMEOUT_MS = 5000;
+const PHOTO_MAX_BYTES = 5 * 1024 * 1024;
+const PHOTO_SIZE_PX = 256;
+
+const SOCIAL_FIELDS = [
+    ["facebook_url", "facebook"],
+    ["instagram_url", "instagram"],
+    ["linkedin_url", "linkedin"],
+    ["x_url", "x"],
+    ["tiktok_url", "tiktok"],
+];
+
+function cleanString(v, max = 1000) {
+    return String(v || "").trim().slice(0, max);
+}
+
+function normalizeVersion(v) {
+    return String(v || "").trim() === "4.0" ? "4.0" : "3.0";
+}
+
+/**
+ * RFC 6350 / 2426 text value escaping
+ */
+function escapeValue(v) {
+    return cleanString(v)
+        .replace(/\\/g, "\\\\")
+        .replace(/\r?\n/g, "\\n")
+        .replace(/,/g, "\\,")
+        .replace(/;/g, "\\;");
+}
+
+/**
+ * Fold content lines at 75 octets (continuation lines start with a space).
+ * Splits on code points so multi-byte characters are never cut in half.
+ */
+function foldLine(line) {
+    if (Buffer.byteLength(line, "utf8") <= 75) return line;
+
+    const out = [];
+    let current = "";
+    let currentBytes = 0;
+    let limit = 75;
+
+    for (const ch of line) {
+        const bytes = Buffer.byteLength(ch, "utf8");
+        if (currentBytes + bytes > limit) {
+            out.push(current);
+            current = "";
+            currentBytes = 0;
+            limit = 74;
+        }
+        current += ch;
+        currentBytes += bytes;
+    }
+
+    if (current) out.push(current);
+    return out.join("\r\n ");
+}
+
+function splitName(fullName) {
+    const parts = cleanString(fullName, 160).split(/\s+/).filter(Boolean);
+    if (!parts.length) return { given: "", family: "" };
+    if (parts.length === 1) return { given: parts[0], family: "" };
+    return {
+        given: parts.slice(0, -1).join(" "),
+        family: parts[parts.length - 1],
+    };
+}
+
+/**
+ * Download an image URL and return a small JPEG as base64 for PHOTO.
+ * Returns "" on any failure: a contact without a photo beats no contact.
+ */
+async function loadVcardPhoto(imageUrl) {
+    // Reached without login: only ever fetch our own uploads
+    const url = cleanString(imageUrl, 1200);
+    if (!isUploadedImageUrl(url)) return "";
+
+    const raw = await fetchImage(url, {
+        timeoutMs: PHOTO_FETCH_TIMEOUT_MS,
+        maxBytes: PHOTO_MAX_BYTES,
+    });
+    if (!raw) return "";
+
+    try {
+        const jpeg = await sharp(raw)
+            .resize(PHOTO_SIZE_PX, PHOTO_SIZE_PX, { fit: "cover" })
+            .flatten({ background: "#ffffff" })
+            .jpeg({ quality: 80 })
+            .toBuffer();
+
+        return jpeg.toString("base64");
+    } catch (err) {
+        console.warn("[vcard] photo decode failed:", err?.message || err);
+        return "";
+    }
+}
+
+/**
+ * Build a single vCard string.
+ *
+ * contact: {
+ *   fullName, organization, title, phone, email, location, note,
+ *   url, socials: [{ type, url }], photoBase64, revision
+ * }
+ */
+function buildVcard(contact = {}, { version = "3.0" } = {}) {
+    const v = normalizeVersion(version);
+
+    const fullName =
+        cleanString(contact.fullName, 160) ||
+        cleanString(contact.organization, 160) ||
+        "KonarCard contact";
+    const name = splitName(contact.fullName);
+
+    const lines = ["BEGIN:VCARD", `VERSION:${v}`];
+
+    lines.push(`N:${escapeValue(name.family)};${escapeValue(name.given)};;;`);
+    lines.push(`FN:${escapeValue(fullName)}`);
+
+    if (cleanString(contact.organization)) {
+        lines.push(`ORG:${escapeValue(contact.organization)}`);
+    }
+
+    if (cleanString(contact.title)) {
+        lines.push(`TITLE:${escapeValue(contact.title)}`);
+    }
+
+    if (cleanString(contact.phone)) {
+        lines.push(
+            v === "4.0"
+                ? `TEL;TYPE=work,voice;VALUE=uri:tel:${cleanString(contact.phone).replace(/\s+/g, "")}`
+                : `TEL;TYPE=WORK,VOICE:${escapeValue(contact.phone)}`
+        );
+    }
+
+    if (cleanString(contact.email)) {
+        lines.push(
+            v === "4.0"
+                ? `EMAIL;TYPE=work:${escapeValue(contact.email)}`
+                : `EMAIL;TYPE=INTERNET,WORK:${escapeValue(contact.email)}`
+        );
+    }
+
+    if (cleanString(contact.location)) {
+        const locality = escapeValue(contact.location);
+        lines.push(
+            v === "4.0"
+                ? `ADR;TYPE=work;LABEL="${cleanString(contact.location).replace(/"/g, "'")}":;;;${locality};;;`
+                : `ADR;TYPE=WORK:;;;${locality};;;`
+        );
+    }
+
+    if (cleanString(contact.url)) {
+        lines.push(`URL:${cleanString(contact.url, 1200)}`);
+    }
+
+    for (const social of Array.isArray(contact.socials) ? contact.socials : []) {
+        const socialUrl = cleanString(social?.url, 1200);
+        const type = cleanString(social?.type, 40).toLowerCase();
+        if (!socialUrl || !type) continue;
+
+        lines.push(
+            v === "4.0"
+                ? `URL;TYPE=${type}:${socialUrl}`
+                : `X-SOCIALPROFILE;TYPE=${type}:${socialUrl}`
+        );
+    }
+
+    if (cleanString(contact.note)) {
+        lines.push(`NOTE:${escapeValue(contact.note)}`);
+    }
+
+    if (contact.photoBase64) {
+        lines.push(
+            v === "4.0"
+                ? `PHOTO:data:image/jpeg;base64,${contact.photoBase64}`
+                : `PHOTO;ENCODING=b;TYPE=JPEG:${contact.photoBase64}`
+        );
+    }
+
+    const rev = contact.revision ? new Date(contact.revision) : null;
+    if (rev && !Number.isNaN(rev.getTime())) {
+        lines.push(`REV:${rev.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "")}`);
+    }
+
+    lines.push("END:VCARD");
+
+    return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+/**
+ * Map a BusinessCard-shaped object to buildVcard() input.
+ */
+function businessCardToContact(card = {}, { profileUrl = "", photoBase64 = "" } = {}) {
+    return {
+        fullName: card.full_name || card.business_name || card.business_card_name,
+        organization: card.business_name || card.business_card_name || card.main_heading,
+        title: card.job_title || card.trade_title || card.sub_heading,
+        phone: card.phone_number,
+        email: card.contact_email,
+        location: card.location,
+        url: profileUrl,
+        socials: SOCIAL_FIELDS.map(([field, type]) => ({ type, url: card[field] })),
+        photoBase64,
+        revision: card.updatedAt,
+    };
+}
+
+function buildVcardFilename(name) {
+    const base = cleanString(name, 80)
+        .toLowerCase()
+        .replace(/[^a-z0-9-]+/g, "-")
+        .replace(/^-+|-+$/g, "");
+    return `${base || "contact"}.vcf`;
+}
+
+module.exports = {
+    buildVcard,
+    buildVcardFilename,
+    businessCardToContact,
+    loadVcardPhoto,
+};